@@ -8,7 +8,7 @@ export default function App() {
   useEffect(() => {
     fetch('http://localhost:5000/api/bugs')
       .then(res => res.json())
-      .then(data => setBugs(data));
+      .then(({ data }) => setBugs(data));
   }, []);
 
   return (
@@ -0,0 +1,101 @@
+import React from 'react';
+import { useAuth } from '@/hooks/useAuth';
+import { ApiError } from '@/lib/api';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Bug as BugIcon } from 'lucide-react';
+
+export const AuthForm: React.FC = () => {
+  const { login, register } = useAuth();
+  const [mode, setMode] = React.useState<'login' | 'register'>('login');
+  const [values, setValues] = React.useState({ username: '', name: '', email: '', password: '' });
+  const [errors, setErrors] = React.useState<Record<string, string>>({});
+  const [message, setMessage] = React.useState<string | null>(null);
+  const [submitting, setSubmitting] = React.useState(false);
+
+  const update = (field: keyof typeof values) => (e: React.ChangeEvent<HTMLInputElement>) =>
+    setValues({ ...values, [field]: e.target.value });
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      if (mode === 'login') {
+        await login(values.username, values.password);
+      } else {
+        await register(values);
+      }
+    } catch (err) {
+      setMessage((err as Error).message);
+      setErrors(
+        err instanceof ApiError
+          ? Object.fromEntries(Object.entries(err.fields).map(([field, { message }]) => [field, message]))
+          : {}
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const field = (name: keyof typeof values, label: string, type = 'text') => (
+    <div className="space-y-2">
+      <Label htmlFor={`auth-${name}`}>{label}</Label>
+      <Input
+        id={`auth-${name}`}
+        type={type}
+        value={values[name]}
+        onChange={update(name)}
+        data-testid={`auth-${name}-input`}
+      />
+      {errors[name] && <p className="text-sm text-destructive">{errors[name]}</p>}
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-background p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="text-center">
+          <div className="mx-auto mb-4 p-2 bg-gradient-primary rounded-lg w-fit">
+            <BugIcon className="h-6 w-6 text-white" />
+          </div>
+          <CardTitle>Bug Tracker</CardTitle>
+          <CardDescription>Sign in to report and manage bugs</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Tabs
+            value={mode}
+            onValueChange={(value) => {
+              setMode(value as typeof mode);
+              setErrors({});
+              setMessage(null);
+            }}
+          >
+            <TabsList className="grid w-full grid-cols-2 mb-4">
+              <TabsTrigger value="login">Sign in</TabsTrigger>
+              <TabsTrigger value="register">Create account</TabsTrigger>
+            </TabsList>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <TabsContent value="login" className="space-y-4">
+                {field('username', 'Username')}
+                {field('password', 'Password', 'password')}
+              </TabsContent>
+              <TabsContent value="register" className="space-y-4">
+                {field('username', 'Username')}
+                {field('name', 'Full name')}
+                {field('email', 'Email', 'email')}
+                {field('password', 'Password', 'password')}
+              </TabsContent>
+              {message && <p className="text-sm text-destructive" data-testid="auth-error">{message}</p>}
+              <Button type="submit" className="w-full" disabled={submitting} data-testid="auth-submit-button">
+                {submitting ? 'Please wait...' : mode === 'login' ? 'Sign in' : 'Create account'}
+              </Button>
+            </form>
+          </Tabs>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
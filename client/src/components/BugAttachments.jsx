@@ -0,0 +1,139 @@
+import React from 'react';
+import { Badge } from '@/components/ui/badge';
+import { Paperclip, X } from 'lucide-react';
+import { apiBlob } from '@/lib/api';
+import { useAuth } from '@/hooks/useAuth';
+import { formatFileSize, isImageType } from '../../../shared/attachments.js';
+
+export interface Attachment {
+  id: string;
+  filename: string;
+  contentType: string;
+  size: number;
+  uploadedBy?: string;
+  createdAt: string;
+}
+
+interface BugAttachmentsProps {
+  bugId: string;
+  reporterId?: string;
+  attachments: Attachment[];
+  onDelete: (attachmentId: string) => Promise<void>;
+}
+
+// Downloads need the auth header, so files are fetched as blobs and shown
+// through object URLs rather than linked directly.
+const useObjectUrl = (path: string | null) => {
+  const [url, setUrl] = React.useState<string | null>(null);
+
+  React.useEffect(() => {
+    if (!path) return;
+    let objectUrl: string | null = null;
+    let cancelled = false;
+    apiBlob(path)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(() => !cancelled && setUrl(null));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [path]);
+
+  return url;
+};
+
+const downloadPath = (bugId: string, attachment: Attachment) =>
+  `/bugs/${bugId}/attachments/${attachment.id}/download`;
+
+const Thumbnail: React.FC<{ bugId: string; attachment: Attachment }> = ({ bugId, attachment }) => {
+  const url = useObjectUrl(downloadPath(bugId, attachment));
+  return url ? (
+    <a href={url} target="_blank" rel="noreferrer">
+      <img src={url} alt={attachment.filename} className="h-full w-full object-cover" />
+    </a>
+  ) : (
+    <div className="h-full w-full animate-pulse bg-muted" />
+  );
+};
+
+export const BugAttachments: React.FC<BugAttachmentsProps> = ({ bugId, reporterId, attachments, onDelete }) => {
+  const { user } = useAuth();
+  const [error, setError] = React.useState<string | null>(null);
+
+  if (attachments.length === 0) return null;
+
+  const images = attachments.filter(attachment => isImageType(attachment.contentType));
+  const files = attachments.filter(attachment => !isImageType(attachment.contentType));
+  const canDelete = (attachment: Attachment) => attachment.uploadedBy === user?.id || reporterId === user?.id;
+
+  const run = async (action: () => Promise<void>) => {
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  };
+
+  const download = (attachment: Attachment) => run(async () => {
+    const url = URL.createObjectURL(await apiBlob(downloadPath(bugId, attachment)));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = attachment.filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  });
+
+  const deleteButton = (attachment: Attachment, className = '') =>
+    canDelete(attachment) && (
+      <button
+        type="button"
+        className={className}
+        onClick={() => run(() => onDelete(attachment.id))}
+        aria-label={`Delete ${attachment.filename}`}
+        data-testid={`delete-attachment-${attachment.id}`}
+      >
+        <X className="h-3 w-3" />
+      </button>
+    );
+
+  return (
+    <div className="space-y-2" data-testid={`bug-attachments-${bugId}`}>
+      {images.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {images.map(attachment => (
+            <div key={attachment.id} className="relative h-20 w-20 overflow-hidden rounded-md border" title={attachment.filename}>
+              <Thumbnail bugId={bugId} attachment={attachment} />
+              {deleteButton(attachment, 'absolute right-1 top-1 rounded-full bg-background/80 p-0.5')}
+            </div>
+          ))}
+        </div>
+      )}
+      {files.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {files.map(attachment => (
+            <Badge key={attachment.id} variant="outline" className="flex items-center gap-1">
+              <button
+                type="button"
+                className="flex items-center gap-1"
+                onClick={() => download(attachment)}
+                data-testid={`download-attachment-${attachment.id}`}
+              >
+                <Paperclip className="h-3 w-3" />
+                {attachment.filename}
+                <span className="text-muted-foreground">({formatFileSize(attachment.size)})</span>
+              </button>
+              {deleteButton(attachment)}
+            </Badge>
+          ))}
+        </div>
+      )}
+      {error && <p className="text-sm text-destructive">{error}</p>}
+    </div>
+  );
+};
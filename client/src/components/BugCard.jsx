@@ -4,18 +4,88 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Textarea } from '@/components/ui/textarea';
+import { Label } from '@/components/ui/label';
 import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle, AlertDialogTrigger } from '@/components/ui/alert-dialog';
-import { Calendar, User, Tag, Monitor, Edit, Trash2, Clock } from 'lucide-react';
+import { Calendar, User, Tag, Monitor, Edit, Trash2, Clock, Copy, AlertTriangle } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
+import { BugHistory } from '@/components/BugHistory';
+import { BugComments } from '@/components/BugComments';
+import { SearchHighlights } from '@/components/SearchHighlights';
+import { DuplicateCandidates } from '@/components/DuplicateCandidates';
+import { BugLinks } from '@/components/BugLinks';
+import { BugAttachments } from '@/components/BugAttachments';
+import { SlaBadge } from '@/components/SlaBadge';
+import { useAuth } from '@/hooks/useAuth';
+import { useSimilarBugs } from '@/hooks/useSimilarBugs';
+import { getAllowedTransitions, getRequiredTransitionFields, isUnresolved } from '../../../shared/bugWorkflow.js';
+import { getUnresolvedBlockers } from '../../../shared/bugLinks.js';
+
+const statusLabels: Record<BugStatus, string> = {
+  open: 'Open',
+  'in-progress': 'In Progress',
+  resolved: 'Resolved',
+  closed: 'Closed'
+};
 
 interface BugCardProps {
   bug: Bug;
-  onStatusChange: (id: string, status: BugStatus) => void;
+  onStatusChange: (id: string, status: BugStatus, fields?: Record<string, string>) => void;
   onEdit: (bug: Bug) => void;
   onDelete: (id: string) => void;
+  onMarkDuplicate?: (id: string, duplicateOf: string) => void;
+  onAddLink: (id: string, type: string, otherId: string) => Promise<void>;
+  onRemoveLink: (id: string, linkId: string) => Promise<void>;
+  onDeleteAttachment: (id: string, attachmentId: string) => Promise<void>;
+  recentlyChanged?: boolean;
 }
 
-export const BugCard: React.FC<BugCardProps> = ({ bug, onStatusChange, onEdit, onDelete }) => {
+export const BugCard: React.FC<BugCardProps> = ({
+  bug,
+  onStatusChange,
+  onEdit,
+  onDelete,
+  onMarkDuplicate,
+  onAddLink,
+  onRemoveLink,
+  onDeleteAttachment,
+  recentlyChanged = false
+}) => {
+  const { user } = useAuth();
+  const [pendingStatus, setPendingStatus] = React.useState<BugStatus | null>(null);
+  const [transitionFields, setTransitionFields] = React.useState<Record<string, string>>({});
+  const [isDuplicateDialogOpen, setIsDuplicateDialogOpen] = React.useState(false);
+  const { candidates, loading: candidatesLoading } = useSimilarBugs(
+    { title: bug.title, description: bug.description, environment: bug.environment, excludeId: bug.id },
+    { enabled: isDuplicateDialogOpen }
+  );
+
+  const canMarkDuplicate =
+    !!onMarkDuplicate && !bug.duplicateOf && isUnresolved(bug.status) && bug.reporter?.id === user?.id;
+
+  const allowedStatuses = getAllowedTransitions(bug.status) as BugStatus[];
+  const requiredFields = pendingStatus ? getRequiredTransitionFields(pendingStatus) : {};
+  const unresolvedBlockers = getUnresolvedBlockers(bug.links);
+  const warnAboutBlockers = (status: BugStatus | null) => status === 'resolved' && unresolvedBlockers.length > 0;
+
+  const handleStatusSelect = (status: BugStatus) => {
+    if (status === bug.status) return;
+    if (Object.keys(getRequiredTransitionFields(status)).length > 0 || warnAboutBlockers(status)) {
+      setTransitionFields({});
+      setPendingStatus(status);
+      return;
+    }
+    onStatusChange(bug.id, status);
+  };
+
+  const confirmTransition = () => {
+    if (!pendingStatus) return;
+    onStatusChange(bug.id, pendingStatus, transitionFields);
+    setPendingStatus(null);
+  };
+
+  const canConfirmTransition = Object.keys(requiredFields).every(field => transitionFields[field]?.trim());
   const statusColors: Record<BugStatus, string> = {
     open: 'bg-primary text-primary-foreground',
     'in-progress': 'bg-accent text-accent-foreground',
@@ -42,7 +112,11 @@ export const BugCard: React.FC<BugCardProps> = ({ bug, onStatusChange, onEdit, o
   };
 
   return (
-    <Card className={`${getCardShadow()} transition-all hover:shadow-lg`} data-testid={`bug-card-${bug.id}`}>
+    <Card
+      className={`${getCardShadow()} transition-all hover:shadow-lg ${recentlyChanged ? 'ring-2 ring-primary/40' : ''}`}
+      data-testid={`bug-card-${bug.id}`}
+      data-recently-changed={recentlyChanged || undefined}
+    >
       <CardHeader className="pb-3">
         <div className="flex items-start justify-between">
           <div className="space-y-2 flex-1">
@@ -54,12 +128,40 @@ export const BugCard: React.FC<BugCardProps> = ({ bug, onStatusChange, onEdit, o
               <Badge variant="secondary" className={priorityColors[bug.priority]}>
                 {bug.priority}
               </Badge>
+              <SlaBadge bug={bug} />
+              {bug.project && (
+                <Badge variant="outline" title={bug.project.name} data-testid={`bug-project-${bug.id}`}>
+                  {bug.project.key}
+                  {bug.component && ` · ${bug.component.name}`}
+                </Badge>
+              )}
+              {bug.fixVersion && (
+                <Badge variant="outline" data-testid={`bug-fix-version-${bug.id}`}>
+                  Fix {bug.fixVersion.name}
+                </Badge>
+              )}
               {bug.reproducible && (
                 <Badge variant="outline">Reproducible</Badge>
               )}
+              {bug.duplicateOf && (
+                <Badge variant="outline" data-testid={`duplicate-of-${bug.id}`}>
+                  Duplicate of {bug.duplicateOf.title}
+                </Badge>
+              )}
             </div>
           </div>
           <div className="flex gap-2 ml-4">
+            {canMarkDuplicate && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setIsDuplicateDialogOpen(true)}
+                title="Mark as duplicate"
+                data-testid={`open-duplicate-dialog-${bug.id}`}
+              >
+                <Copy className="h-4 w-4" />
+              </Button>
+            )}
             <Button
               variant="outline"
               size="sm"
@@ -83,7 +185,7 @@ export const BugCard: React.FC<BugCardProps> = ({ bug, onStatusChange, onEdit, o
                 <AlertDialogHeader>
                   <AlertDialogTitle>Delete Bug</AlertDialogTitle>
                   <AlertDialogDescription>
-                    Are you sure you want to delete "{bug.title}"? This action cannot be undone.
+                    Are you sure you want to delete "{bug.title}"? It will be moved to the trash, where it can be restored until it is purged.
                   </AlertDialogDescription>
                 </AlertDialogHeader>
                 <AlertDialogFooter>
@@ -106,15 +208,24 @@ export const BugCard: React.FC<BugCardProps> = ({ bug, onStatusChange, onEdit, o
           {bug.description}
         </CardDescription>
 
+        {bug.highlights && <SearchHighlights highlights={bug.highlights} />}
+
+        <BugAttachments
+          bugId={bug.id}
+          reporterId={bug.reporter?.id}
+          attachments={bug.attachments ?? []}
+          onDelete={(attachmentId) => onDeleteAttachment(bug.id, attachmentId)}
+        />
+
         {/* Metadata */}
         <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm text-muted-foreground">
           <div className="flex items-center gap-2">
             <User className="h-4 w-4" />
-            <span>Assignee: {bug.assignee}</span>
+            <span>Assignee: {bug.assignee?.name ?? 'Unassigned'}</span>
           </div>
           <div className="flex items-center gap-2">
             <User className="h-4 w-4" />
-            <span>Reporter: {bug.reporter}</span>
+            <span>Reporter: {bug.reporter?.name}</span>
           </div>
           <div className="flex items-center gap-2">
             <Monitor className="h-4 w-4" />
@@ -148,6 +259,14 @@ export const BugCard: React.FC<BugCardProps> = ({ bug, onStatusChange, onEdit, o
           </div>
         )}
 
+        {/* Resolution */}
+        {bug.resolution && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium">Resolution:</h4>
+            <p className="text-sm text-muted-foreground">{bug.resolution}</p>
+          </div>
+        )}
+
         {/* Status Change */}
         <div className="flex items-center justify-between pt-3 border-t">
           <div className="flex items-center gap-2">
@@ -158,19 +277,105 @@ export const BugCard: React.FC<BugCardProps> = ({ bug, onStatusChange, onEdit, o
           </div>
           <Select
             value={bug.status}
-            onValueChange={(value: BugStatus) => onStatusChange(bug.id, value)}
+            onValueChange={handleStatusSelect}
+            disabled={allowedStatuses.length === 0}
           >
             <SelectTrigger className="w-32" data-testid={`status-select-${bug.id}`}>
               <SelectValue />
             </SelectTrigger>
             <SelectContent>
-              <SelectItem value="open">Open</SelectItem>
-              <SelectItem value="in-progress">In Progress</SelectItem>
-              <SelectItem value="resolved">Resolved</SelectItem>
-              <SelectItem value="closed">Closed</SelectItem>
+              <SelectItem value={bug.status}>{statusLabels[bug.status]}</SelectItem>
+              {allowedStatuses.map((status) => (
+                <SelectItem key={status} value={status}>{statusLabels[status]}</SelectItem>
+              ))}
             </SelectContent>
           </Select>
         </div>
+
+        <BugLinks
+          bugId={bug.id}
+          links={bug.links ?? []}
+          onAddLink={(type, otherId) => onAddLink(bug.id, type, otherId)}
+          onRemoveLink={(linkId) => onRemoveLink(bug.id, linkId)}
+        />
+        <BugComments bugId={bug.id} commentCount={bug.commentCount} />
+        <BugHistory bugId={bug.id} updatedAt={bug.updatedAt} />
+
+        {/* Confirms the selected transition: required fields and open blockers */}
+        <Dialog open={!!pendingStatus} onOpenChange={(open) => !open && setPendingStatus(null)}>
+          <DialogContent>
+            <DialogHeader>
+              <DialogTitle>Move to {pendingStatus && statusLabels[pendingStatus]}</DialogTitle>
+              <DialogDescription>
+                {Object.keys(requiredFields).length > 0
+                  ? 'This transition needs a little more information.'
+                  : 'Please confirm this transition.'}
+              </DialogDescription>
+            </DialogHeader>
+            {warnAboutBlockers(pendingStatus) && (
+              <div
+                className="rounded-lg border border-warning/50 bg-warning/5 p-3 text-sm space-y-1"
+                data-testid={`unresolved-blockers-${bug.id}`}
+              >
+                <p className="flex items-center gap-2 font-medium">
+                  <AlertTriangle className="h-4 w-4 text-warning" />
+                  Still blocked by {unresolvedBlockers.length} unresolved {unresolvedBlockers.length === 1 ? 'bug' : 'bugs'}
+                </p>
+                <ul className="list-disc pl-6 text-muted-foreground">
+                  {unresolvedBlockers.map(link => (
+                    <li key={link.id}>{link.bug.title} ({statusLabels[link.bug.status]})</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {Object.entries(requiredFields).map(([field, message]) => (
+              <div key={field} className="space-y-2">
+                <Label htmlFor={`${bug.id}-${field}`} className="capitalize">{field}</Label>
+                <Textarea
+                  id={`${bug.id}-${field}`}
+                  placeholder={message as string}
+                  rows={3}
+                  value={transitionFields[field] ?? ''}
+                  onChange={(e) => setTransitionFields({ ...transitionFields, [field]: e.target.value })}
+                  data-testid={`transition-${field}-${bug.id}`}
+                />
+              </div>
+            ))}
+            <DialogFooter>
+              <Button variant="outline" onClick={() => setPendingStatus(null)}>Cancel</Button>
+              <Button
+                onClick={confirmTransition}
+                disabled={!canConfirmTransition}
+                data-testid={`confirm-transition-${bug.id}`}
+              >
+                Confirm
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
+
+        <Dialog open={isDuplicateDialogOpen} onOpenChange={setIsDuplicateDialogOpen}>
+          <DialogContent>
+            <DialogHeader>
+              <DialogTitle>Mark as duplicate</DialogTitle>
+              <DialogDescription>
+                Pick the original report. "{bug.title}" will be linked to it and closed.
+              </DialogDescription>
+            </DialogHeader>
+            <DuplicateCandidates
+              candidates={candidates}
+              loading={candidatesLoading}
+              actionLabel="Duplicate of this"
+              onSelect={(original) => {
+                onMarkDuplicate?.(bug.id, original.id);
+                setIsDuplicateDialogOpen(false);
+              }}
+            />
+            {!candidatesLoading && candidates.length === 0 && (
+              <p className="text-sm text-muted-foreground">No similar open bugs found.</p>
+            )}
+          </DialogContent>
+        </Dialog>
       </CardContent>
     </Card>
   );
@@ -0,0 +1,174 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Skeleton } from '@/components/ui/skeleton';
+import { MessageSquare, ChevronDown, ChevronUp, Edit, Trash2 } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { apiRequest } from '@/lib/api';
+import { User } from '@/lib/auth';
+import { useAuth } from '@/hooks/useAuth';
+
+interface Comment {
+  id: string;
+  author: Pick<User, 'id' | 'username' | 'name'>;
+  body: string;
+  edited: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+interface BugCommentsProps {
+  bugId: string;
+  commentCount?: number;
+}
+
+export const BugComments: React.FC<BugCommentsProps> = ({ bugId, commentCount = 0 }) => {
+  const { user } = useAuth();
+  const [open, setOpen] = React.useState(false);
+  const [comments, setComments] = React.useState<Comment[] | null>(null);
+  const [draft, setDraft] = React.useState('');
+  const [editingId, setEditingId] = React.useState<string | null>(null);
+  const [editDraft, setEditDraft] = React.useState('');
+  const [error, setError] = React.useState<string | null>(null);
+  const [submitting, setSubmitting] = React.useState(false);
+
+  const basePath = `/bugs/${bugId}/comments`;
+  const count = comments?.length ?? commentCount;
+
+  React.useEffect(() => {
+    if (!open || comments !== null) return;
+    apiRequest<Comment[]>(basePath)
+      .then(setComments)
+      .catch((err) => setError(err.message));
+  }, [open, comments, basePath]);
+
+  const run = async (action: () => Promise<void>) => {
+    setSubmitting(true);
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const addComment = () => run(async () => {
+    const comment = await apiRequest<Comment>(basePath, {
+      method: 'POST',
+      body: JSON.stringify({ body: draft })
+    });
+    setComments([...(comments ?? []), comment]);
+    setDraft('');
+  });
+
+  const saveEdit = (id: string) => run(async () => {
+    const updated = await apiRequest<Comment>(`${basePath}/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ body: editDraft })
+    });
+    setComments((comments ?? []).map(c => (c.id === id ? updated : c)));
+    setEditingId(null);
+  });
+
+  const removeComment = (id: string) => run(async () => {
+    await apiRequest(`${basePath}/${id}`, { method: 'DELETE' });
+    setComments((comments ?? []).filter(c => c.id !== id));
+  });
+
+  return (
+    <div className="space-y-3">
+      <Button
+        variant="ghost"
+        size="sm"
+        className="px-0 text-muted-foreground"
+        onClick={() => setOpen(!open)}
+        data-testid={`comments-toggle-${bugId}`}
+      >
+        <MessageSquare className="mr-2 h-4 w-4" />
+        {count === 1 ? '1 comment' : `${count} comments`}
+        {open ? <ChevronUp className="ml-1 h-4 w-4" /> : <ChevronDown className="ml-1 h-4 w-4" />}
+      </Button>
+
+      {open && (
+        <div className="space-y-4" data-testid={`comments-thread-${bugId}`}>
+          {error && <p className="text-sm text-destructive">{error}</p>}
+          {comments === null && !error && <Skeleton className="h-12 w-full" />}
+
+          {comments?.map((comment) => (
+            <div key={comment.id} className="rounded-md bg-muted p-3 text-sm">
+              <div className="flex items-center justify-between">
+                <p>
+                  <span className="font-medium">{comment.author.name}</span>
+                  <span className="text-muted-foreground">
+                    {' '}· {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+                    {comment.edited && ' (edited)'}
+                  </span>
+                </p>
+                {comment.author.id === user?.id && (
+                  <div className="flex gap-1">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => {
+                        setEditingId(comment.id);
+                        setEditDraft(comment.body);
+                      }}
+                      data-testid={`edit-comment-${comment.id}`}
+                    >
+                      <Edit className="h-3 w-3" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="text-destructive hover:text-destructive"
+                      onClick={() => removeComment(comment.id)}
+                      disabled={submitting}
+                      data-testid={`delete-comment-${comment.id}`}
+                    >
+                      <Trash2 className="h-3 w-3" />
+                    </Button>
+                  </div>
+                )}
+              </div>
+              {editingId === comment.id ? (
+                <div className="mt-2 space-y-2">
+                  <Textarea value={editDraft} onChange={(e) => setEditDraft(e.target.value)} rows={2} />
+                  <div className="flex justify-end gap-2">
+                    <Button variant="outline" size="sm" onClick={() => setEditingId(null)}>Cancel</Button>
+                    <Button size="sm" onClick={() => saveEdit(comment.id)} disabled={submitting || !editDraft.trim()}>
+                      Save
+                    </Button>
+                  </div>
+                </div>
+              ) : (
+                <p className="mt-1 whitespace-pre-wrap">{comment.body}</p>
+              )}
+            </div>
+          ))}
+
+          <div className="space-y-2">
+            <Textarea
+              placeholder="Add a comment"
+              rows={2}
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              data-testid={`comment-input-${bugId}`}
+            />
+            <div className="flex justify-end">
+              <Button
+                size="sm"
+                onClick={addComment}
+                disabled={submitting || !draft.trim()}
+                data-testid={`add-comment-${bugId}`}
+              >
+                Comment
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
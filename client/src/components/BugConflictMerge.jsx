@@ -0,0 +1,170 @@
+import React from 'react';
+import { Bug, BugFormData } from '@/types/bug';
+import { BugFormValues, toBugFormValues } from '@/lib/bugValidation';
+import { useUsers } from '@/hooks/useUsers';
+import { useProjects } from '@/hooks/useProjects';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import { Label } from '@/components/ui/label';
+import { AlertTriangle } from 'lucide-react';
+import { BUG_FORM_FIELDS } from '../../../shared/bugSchema.js';
+
+type Side = 'mine' | 'theirs';
+type Field = keyof BugFormValues;
+
+interface BugConflictMergeProps {
+  base: Partial<Bug>;
+  mine: BugFormData;
+  current: Bug;
+  onResolve: (values: BugFormData) => Promise<void>;
+  onDiscard: () => void;
+}
+
+const fieldLabels: Record<Field, string> = {
+  title: 'Title',
+  description: 'Description',
+  project: 'Project',
+  component: 'Component',
+  affectsVersion: 'Affects version',
+  fixVersion: 'Fix version',
+  priority: 'Priority',
+  assignee: 'Assignee',
+  environment: 'Environment',
+  reproducible: 'Reproducible',
+  stepsToReproduce: 'Steps to reproduce',
+  tags: 'Tags'
+};
+
+const isSame = (a: unknown, b: unknown) => JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+
+export const BugConflictMerge: React.FC<BugConflictMergeProps> = ({ base, mine, current, onResolve, onDiscard }) => {
+  const { users } = useUsers();
+  const { projects } = useProjects();
+  const original = toBugFormValues(base);
+  const theirs = toBugFormValues(current);
+  const yours = mine as BugFormValues;
+
+  // Only fields where the two copies disagree need a decision. Default to
+  // whichever side actually changed the field since the edit started.
+  const fields = (BUG_FORM_FIELDS as Field[]).filter(field => !isSame(yours[field], theirs[field]));
+  const [choices, setChoices] = React.useState<Record<string, Side>>(() =>
+    Object.fromEntries(fields.map(field => [field, isSame(yours[field], original[field]) ? 'theirs' : 'mine']))
+  );
+  const [saving, setSaving] = React.useState(false);
+
+  const formatValue = (field: Field, value: unknown) => {
+    if (field === 'assignee') return users.find(user => user.id === value)?.name ?? current.assignee?.name ?? '—';
+    if (field === 'project') return projects.find(project => project.id === value)?.name ?? current.project?.name ?? '—';
+    if (field === 'affectsVersion' || field === 'fixVersion') {
+      // Only the two saved copies know release names
+      const release = [current[field], base[field]].find(candidate => candidate?.id === value);
+      return release?.name ?? (value ? String(value) : '—');
+    }
+    if (field === 'component') {
+      const components = projects.flatMap(project => project.components);
+      return components.find(component => component.id === value)?.name ?? (value ? current.component?.name : null) ?? '—';
+    }
+    if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return value ? String(value) : '—';
+  };
+
+  const changedBy = (field: Field) => {
+    const mineChanged = !isSame(yours[field], original[field]);
+    const theirsChanged = !isSame(theirs[field], original[field]);
+    if (mineChanged && theirsChanged) return 'Changed by both';
+    return mineChanged ? 'Changed by you' : 'Changed by them';
+  };
+
+  const resolve = async (pick: (field: Field) => Side) => {
+    setSaving(true);
+    try {
+      const merged = Object.fromEntries(
+        (BUG_FORM_FIELDS as Field[]).map(field => [field, pick(field) === 'mine' ? yours[field] : theirs[field]])
+      );
+      // The API takes null, not '', for "none"
+      await onResolve({
+        ...merged,
+        component: merged.component || null,
+        affectsVersion: merged.affectsVersion || null,
+        fixVersion: merged.fixVersion || null
+      } as BugFormData);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card data-testid="conflict-merge">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <AlertTriangle className="h-5 w-5 text-warning" />
+          This bug changed while you were editing
+        </CardTitle>
+        <CardDescription>
+          Choose which value to keep for each field, or overwrite everything with your version.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {fields.length === 0 && (
+          <p className="text-sm text-muted-foreground">
+            Your changes don't overlap with theirs, so they can be saved as they are.
+          </p>
+        )}
+        {fields.map(field => (
+          <div key={field} className="rounded-lg border p-3 space-y-2" data-testid={`conflict-field-${field}`}>
+            <div className="flex items-center justify-between">
+              <span className="font-medium">{fieldLabels[field]}</span>
+              <Badge variant="outline">{changedBy(field)}</Badge>
+            </div>
+            <RadioGroup
+              value={choices[field]}
+              onValueChange={(value) => setChoices({ ...choices, [field]: value as Side })}
+              className="grid gap-2 md:grid-cols-2"
+            >
+              {(['mine', 'theirs'] as Side[]).map(side => (
+                <Label
+                  key={side}
+                  htmlFor={`conflict-${field}-${side}`}
+                  className="flex items-start gap-2 rounded-md border p-2 cursor-pointer font-normal"
+                >
+                  <RadioGroupItem id={`conflict-${field}-${side}`} value={side} className="mt-0.5" />
+                  <span className="space-y-1">
+                    <span className="block text-xs text-muted-foreground">
+                      {side === 'mine' ? 'Your version' : 'Current version'}
+                    </span>
+                    <span className="block whitespace-pre-wrap break-words text-sm">
+                      {formatValue(field, side === 'mine' ? yours[field] : theirs[field])}
+                    </span>
+                  </span>
+                </Label>
+              ))}
+            </RadioGroup>
+          </div>
+        ))}
+        <div className="flex flex-wrap justify-end gap-2">
+          <Button variant="ghost" onClick={onDiscard} disabled={saving} data-testid="conflict-discard-button">
+            Discard my changes
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => resolve(() => 'mine')}
+            disabled={saving}
+            data-testid="conflict-overwrite-button"
+          >
+            Overwrite with mine
+          </Button>
+          <Button
+            onClick={() => resolve(field => choices[field] ?? 'mine')}
+            disabled={saving}
+            data-testid="conflict-merge-button"
+          >
+            {saving ? 'Saving...' : 'Save merged version'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
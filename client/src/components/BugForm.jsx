@@ -1,8 +1,14 @@
 import React from 'react';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
-import * as z from 'zod';
 import { Bug, BugFormData, BugPriority } from '@/types/bug';
+import { bugFormSchema, BugFormValues, toBugFormValues } from '@/lib/bugValidation';
+import { ApiError } from '@/lib/api';
+import { useUsers } from '@/hooks/useUsers';
+import { useProjects } from '@/hooks/useProjects';
+import { useReleases } from '@/hooks/useReleases';
+import { useSimilarBugs } from '@/hooks/useSimilarBugs';
+import { DuplicateCandidates } from '@/components/DuplicateCandidates';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Textarea } from '@/components/ui/textarea';
@@ -11,52 +17,85 @@ import { Checkbox } from '@/components/ui/checkbox';
 import { Form, FormControl, FormDescription, FormField, FormItem, FormLabel, FormMessage } from '@/components/ui/form';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
-import { X } from 'lucide-react';
+import { X, Paperclip } from 'lucide-react';
+import { ATTACHMENT_LIMITS, formatFileSize, getAttachmentError } from '../../../shared/attachments.js';
 
-const bugFormSchema = z.object({
-  title: z.string().min(1, 'Title is required').max(100, 'Title must be less than 100 characters'),
-  description: z.string().min(10, 'Description must be at least 10 characters').max(1000, 'Description must be less than 1000 characters'),
-  priority: z.enum(['low', 'medium', 'high', 'critical']),
-  assignee: z.string().min(1, 'Assignee is required'),
-  reporter: z.string().min(1, 'Reporter is required'),
-  environment: z.string().min(1, 'Environment is required'),
-  reproducible: z.boolean(),
-  stepsToReproduce: z.string().optional(),
-  tags: z.array(z.string()).default([])
-});
+export interface BugSubmitOptions {
+  // Report the bug and immediately close it as a duplicate of this one
+  duplicateOf?: string;
+  // Files to upload along with the bug
+  attachments?: File[];
+}
 
 interface BugFormProps {
-  onSubmit: (data: BugFormData) => void;
+  onSubmit: (data: BugFormData, options?: BugSubmitOptions) => void | Promise<unknown>;
   loading?: boolean;
   initialData?: Partial<Bug>;
   isEditing?: boolean;
+  // Project preselected for new bugs, e.g. the one the list is switched to
+  defaultProject?: string;
 }
 
+// Radix selects can't hold an empty value, so "none" gets its own
+const NONE = 'none';
+
+const RELEASE_FIELDS = [
+  { name: 'affectsVersion', label: 'Affects Version' },
+  { name: 'fixVersion', label: 'Fix Version' }
+] as const;
+
 export const BugForm: React.FC<BugFormProps> = ({
   onSubmit,
   loading = false,
   initialData,
-  isEditing = false
+  isEditing = false,
+  defaultProject
 }) => {
   const [tagInput, setTagInput] = React.useState('');
+  const [files, setFiles] = React.useState<File[]>([]);
+  const [fileError, setFileError] = React.useState<string | null>(null);
+  const { users, loading: usersLoading } = useUsers();
+  const { projects, loading: projectsLoading } = useProjects();
 
-  const form = useForm<z.infer<typeof bugFormSchema>>({
+  const defaultValues = toBugFormValues(initialData);
+  const form = useForm<BugFormValues>({
     resolver: zodResolver(bugFormSchema),
-    defaultValues: {
-      title: initialData?.title ?? '',
-      description: initialData?.description ?? '',
-      priority: (initialData?.priority as BugPriority) ?? 'medium',
-      assignee: initialData?.assignee ?? '',
-      reporter: initialData?.reporter ?? '',
-      environment: initialData?.environment ?? '',
-      reproducible: initialData?.reproducible ?? false,
-      stepsToReproduce: initialData?.stepsToReproduce ?? '',
-      tags: initialData?.tags ?? []
-    }
+    defaultValues: { ...defaultValues, project: defaultValues.project || defaultProject || '' }
   });
+  const components = projects.find(project => project.id === form.watch('project'))?.components ?? [];
+  const { releases } = useReleases(form.watch('project') || undefined);
+
+  const { candidates, loading: candidatesLoading } = useSimilarBugs(
+    {
+      title: form.watch('title'),
+      description: form.watch('description'),
+      environment: form.watch('environment')
+    },
+    { enabled: !isEditing }
+  );
 
-  const handleSubmit = (data: z.infer<typeof bugFormSchema>) => {
-    onSubmit(data as BugFormData);
+  const handleSubmit = async (data: BugFormValues, options?: BugSubmitOptions) => {
+    try {
+      await onSubmit(data as BugFormData, { ...options, attachments: files });
+    } catch (err) {
+      // Map server-side field errors back onto the matching inputs
+      const fieldErrors = err instanceof ApiError ? Object.entries(err.fields) : [];
+      const formFields = Object.keys(form.getValues());
+      const unmapped = fieldErrors.filter(([field]) => !formFields.includes(field));
+
+      fieldErrors
+        .filter(([field]) => formFields.includes(field))
+        .forEach(([field, { code, message }]) =>
+          form.setError(field as keyof BugFormValues, { type: code, message }, { shouldFocus: true })
+        );
+
+      if (fieldErrors.length === 0 || unmapped.length > 0) {
+        form.setError('root.server', {
+          type: err instanceof ApiError ? err.code : 'UNKNOWN_ERROR',
+          message: unmapped.length > 0 ? unmapped.map(([, e]) => e.message).join(', ') : (err as Error).message
+        });
+      }
+    }
   };
 
   const addTag = () => {
@@ -72,6 +111,19 @@ export const BugForm: React.FC<BugFormProps> = ({
     form.setValue('tags', currentTags.filter(tag => tag !== tagToRemove));
   };
 
+  const addFiles = (selected: FileList | null) => {
+    const incoming = Array.from(selected ?? []);
+    const errors = incoming.map(file => getAttachmentError(file)).filter(Boolean);
+    const accepted = incoming.filter(file => !getAttachmentError(file));
+    const next = [...files, ...accepted].slice(0, ATTACHMENT_LIMITS.maxFiles);
+
+    if (files.length + accepted.length > ATTACHMENT_LIMITS.maxFiles) {
+      errors.push(`At most ${ATTACHMENT_LIMITS.maxFiles} files can be attached at once`);
+    }
+    setFiles(next);
+    setFileError(errors.length ? errors.join(', ') : null);
+  };
+
   const priorityColors: Record<BugPriority, string> = {
     low: 'bg-info text-info-foreground',
     medium: 'bg-warning text-warning-foreground',
@@ -89,7 +141,7 @@ export const BugForm: React.FC<BugFormProps> = ({
       </CardHeader>
       <CardContent>
         <Form {...form}>
-          <form onSubmit={form.handleSubmit(handleSubmit)} className="space-y-6">
+          <form onSubmit={form.handleSubmit(data => handleSubmit(data))} className="space-y-6">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <FormField
                 control={form.control}
@@ -109,6 +161,104 @@ export const BugForm: React.FC<BugFormProps> = ({
                 )}
               />
 
+              <FormField
+                control={form.control}
+                name="project"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Project *</FormLabel>
+                    <Select
+                      value={field.value}
+                      onValueChange={(value) => {
+                        field.onChange(value);
+                        // Components and releases belong to one project, so start over
+                        form.setValue('component', '');
+                        RELEASE_FIELDS.forEach(({ name }) => form.setValue(name, ''));
+                      }}
+                      disabled={projectsLoading}
+                    >
+                      <FormControl>
+                        <SelectTrigger data-testid="project-select">
+                          <SelectValue placeholder={projectsLoading ? 'Loading projects...' : 'Select project'} />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent>
+                        {projects.map((project) => (
+                          <SelectItem key={project.id} value={project.id}>
+                            {project.name} <span className="text-muted-foreground">{project.key}</span>
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              <FormField
+                control={form.control}
+                name="component"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Component</FormLabel>
+                    <Select
+                      value={field.value || NONE}
+                      onValueChange={(value) => field.onChange(value === NONE ? '' : value)}
+                      disabled={!components.length}
+                    >
+                      <FormControl>
+                        <SelectTrigger data-testid="component-select">
+                          <SelectValue />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent>
+                        <SelectItem value={NONE}>None</SelectItem>
+                        {components.map((component) => (
+                          <SelectItem key={component.id} value={component.id}>
+                            {component.name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+
+              {RELEASE_FIELDS.map(({ name, label }) => (
+                <FormField
+                  key={name}
+                  control={form.control}
+                  name={name}
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>{label}</FormLabel>
+                      <Select
+                        value={field.value || NONE}
+                        onValueChange={(value) => field.onChange(value === NONE ? '' : value)}
+                        disabled={!releases.length}
+                      >
+                        <FormControl>
+                          <SelectTrigger data-testid={`${name}-select`}>
+                            <SelectValue />
+                          </SelectTrigger>
+                        </FormControl>
+                        <SelectContent>
+                          <SelectItem value={NONE}>None</SelectItem>
+                          {releases.map((release) => (
+                            <SelectItem key={release.id} value={release.id}>
+                              {release.name}
+                              {release.released && <span className="text-muted-foreground"> (released)</span>}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              ))}
+
               <FormField
                 control={form.control}
                 name="priority"
@@ -165,31 +315,20 @@ export const BugForm: React.FC<BugFormProps> = ({
                 render={({ field }) => (
                   <FormItem>
                     <FormLabel>Assignee *</FormLabel>
-                    <FormControl>
-                      <Input
-                        placeholder="Enter assignee name"
-                        {...field}
-                        data-testid="assignee-input"
-                      />
-                    </FormControl>
-                    <FormMessage />
-                  </FormItem>
-                )}
-              />
-
-              <FormField
-                control={form.control}
-                name="reporter"
-                render={({ field }) => (
-                  <FormItem>
-                    <FormLabel>Reporter *</FormLabel>
-                    <FormControl>
-                      <Input
-                        placeholder="Enter reporter name"
-                        {...field}
-                        data-testid="reporter-input"
-                      />
-                    </FormControl>
+                    <Select onValueChange={field.onChange} defaultValue={field.value} disabled={usersLoading}>
+                      <FormControl>
+                        <SelectTrigger data-testid="assignee-select">
+                          <SelectValue placeholder={usersLoading ? 'Loading users...' : 'Select assignee'} />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent>
+                        {users.map((user) => (
+                          <SelectItem key={user.id} value={user.id}>
+                            {user.name} <span className="text-muted-foreground">@{user.username}</span>
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
                     <FormMessage />
                   </FormItem>
                 )}
@@ -293,9 +432,60 @@ export const BugForm: React.FC<BugFormProps> = ({
               )}
             </div>
 
+            {/* Attachments */}
+            <div className="space-y-3">
+              <FormLabel htmlFor="bug-attachments">Attachments</FormLabel>
+              <Input
+                id="bug-attachments"
+                type="file"
+                multiple
+                accept={ATTACHMENT_LIMITS.mimeTypes.join(',')}
+                onChange={(e) => {
+                  addFiles(e.target.files);
+                  e.target.value = '';
+                }}
+                data-testid="attachments-input"
+              />
+              <p className="text-sm text-muted-foreground">
+                Screenshots, logs and other files up to {formatFileSize(ATTACHMENT_LIMITS.maxFileSize)} each.
+              </p>
+              {files.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {files.map((file, index) => (
+                    <Badge key={`${file.name}-${index}`} variant="secondary" className="flex items-center gap-1">
+                      <Paperclip className="h-3 w-3" />
+                      {file.name} ({formatFileSize(file.size)})
+                      <X
+                        className="h-3 w-3 cursor-pointer"
+                        onClick={() => setFiles(files.filter((_, i) => i !== index))}
+                        data-testid={`remove-file-${index}`}
+                      />
+                    </Badge>
+                  ))}
+                </div>
+              )}
+              {fileError && <p className="text-sm text-destructive" data-testid="attachments-error">{fileError}</p>}
+            </div>
+
+            {!isEditing && (
+              <DuplicateCandidates
+                candidates={candidates}
+                loading={candidatesLoading}
+                actionLabel="Report as duplicate"
+                disabled={loading || form.formState.isSubmitting}
+                onSelect={(bug) => form.handleSubmit(data => handleSubmit(data, { duplicateOf: bug.id }))()}
+              />
+            )}
+
+            {form.formState.errors.root?.server && (
+              <p className="text-sm font-medium text-destructive" data-testid="form-error">
+                {form.formState.errors.root.server.message}
+              </p>
+            )}
+
             <Button
               type="submit"
-              disabled={loading}
+              disabled={loading || form.formState.isSubmitting}
               className="w-full"
               data-testid="submit-button"
             >
@@ -0,0 +1,102 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+import { Skeleton } from '@/components/ui/skeleton';
+import { History, ChevronDown, ChevronUp } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { apiRequest } from '@/lib/api';
+
+interface HistoryChange {
+  field: string;
+  from?: unknown;
+  to?: unknown;
+}
+
+interface HistoryEntry {
+  id: string;
+  action: 'create' | 'update' | 'delete' | 'restore' | 'purge';
+  actor: string;
+  changes: HistoryChange[];
+  createdAt: string;
+}
+
+interface BugHistoryProps {
+  bugId: string;
+  updatedAt?: Date;
+}
+
+const actionLabels: Record<HistoryEntry['action'], string> = {
+  create: 'created this bug',
+  update: 'updated',
+  delete: 'moved this bug to the trash',
+  restore: 'restored this bug from the trash',
+  purge: 'permanently deleted this bug'
+};
+
+const formatValue = (value: unknown) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  return String(value);
+};
+
+export const BugHistory: React.FC<BugHistoryProps> = ({ bugId, updatedAt }) => {
+  const [open, setOpen] = React.useState(false);
+  const [entries, setEntries] = React.useState<HistoryEntry[] | null>(null);
+  const [error, setError] = React.useState<string | null>(null);
+
+  React.useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+
+    apiRequest<HistoryEntry[]>(`/bugs/${bugId}/history`)
+      .then((data) => !cancelled && setEntries(data))
+      .catch((err) => !cancelled && setError(err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, bugId, updatedAt?.valueOf()]);
+
+  return (
+    <div className="space-y-3">
+      <Button
+        variant="ghost"
+        size="sm"
+        className="px-0 text-muted-foreground"
+        onClick={() => setOpen(!open)}
+        data-testid={`history-toggle-${bugId}`}
+      >
+        <History className="mr-2 h-4 w-4" />
+        History
+        {open ? <ChevronUp className="ml-1 h-4 w-4" /> : <ChevronDown className="ml-1 h-4 w-4" />}
+      </Button>
+
+      {open && (
+        <ol className="relative ml-2 space-y-4 border-l pl-4" data-testid={`history-timeline-${bugId}`}>
+          {error && <li className="text-sm text-destructive">{error}</li>}
+          {!error && entries === null && <Skeleton className="h-12 w-full" />}
+          {entries?.map((entry) => (
+            <li key={entry.id} className="text-sm">
+              <div className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border bg-background" />
+              <p>
+                <span className="font-medium">{entry.actor}</span> {actionLabels[entry.action]}
+                <span className="text-muted-foreground">
+                  {' '}· {formatDistanceToNow(new Date(entry.createdAt), { addSuffix: true })}
+                </span>
+              </p>
+              {entry.action === 'update' && (
+                <ul className="mt-1 space-y-1 text-muted-foreground">
+                  {entry.changes.map((change) => (
+                    <li key={change.field}>
+                      <span className="font-medium text-foreground">{change.field}</span>:{' '}
+                      <span className="line-through">{formatValue(change.from)}</span> → {formatValue(change.to)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,187 @@
+import React from 'react';
+import { ExportFormat, ImportOptions, ImportResponse } from '@/hooks/useBugs';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
+import { Download, Upload } from 'lucide-react';
+import { toast } from 'sonner';
+
+interface BugImportExportProps {
+  onExport: (format: ExportFormat) => Promise<Blob>;
+  onImport: (file: File, options: ImportOptions) => Promise<ImportResponse>;
+}
+
+const actionLabels = { create: 'Create', update: 'Update', unchanged: 'No change' };
+
+const saveBlob = (blob: Blob, filename: string) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const ImportResults: React.FC<{ response: ImportResponse }> = ({ response }) => {
+  const { summary, results, dryRun } = response;
+  const failures = results.filter(result => !result.ok);
+
+  return (
+    <div className="space-y-3" data-testid="import-results">
+      <p className="text-sm">
+        {dryRun ? 'Would create' : 'Created'} {summary.created}, {dryRun ? 'update' : 'updated'} {summary.updated},{' '}
+        {summary.unchanged} unchanged, {summary.failed} with errors.
+      </p>
+      {failures.length > 0 && (
+        <ul className="max-h-64 space-y-2 overflow-y-auto text-sm">
+          {failures.map(result => (
+            <li key={result.row} className="rounded-md border p-2" data-testid={`import-error-row-${result.row}`}>
+              <div className="flex items-center gap-2">
+                <span className="font-medium">Row {result.row}</span>
+                {result.externalId && <Badge variant="outline">{result.externalId}</Badge>}
+              </div>
+              {result.error?.fields ? (
+                <ul className="mt-1 text-destructive">
+                  {Object.entries(result.error.fields).map(([field, error]) => (
+                    <li key={field}>
+                      {field}: {error.message}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="mt-1 text-destructive">{result.error?.message}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {dryRun && results.some(result => result.ok) && (
+        <ul className="max-h-32 overflow-y-auto text-xs text-muted-foreground">
+          {results.filter(result => result.ok).map(result => (
+            <li key={result.row}>
+              Row {result.row}: {actionLabels[result.action!]}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Export downloads whatever the list currently shows; import checks a file
+// with a dry run first, then applies the rows that passed.
+export const BugImportExport: React.FC<BugImportExportProps> = ({ onExport, onImport }) => {
+  const [isImportOpen, setIsImportOpen] = React.useState(false);
+  const [file, setFile] = React.useState<File | null>(null);
+  const [mode, setMode] = React.useState<ImportOptions['mode']>('create');
+  const [response, setResponse] = React.useState<ImportResponse | null>(null);
+  const [busy, setBusy] = React.useState(false);
+
+  const handleExport = async (format: ExportFormat) => {
+    try {
+      saveBlob(await onExport(format), `bugs-${new Date().toISOString().slice(0, 10)}.${format}`);
+    } catch (err) {
+      toast.error((err as Error).message);
+    }
+  };
+
+  const runImport = async (dryRun: boolean) => {
+    if (!file) return;
+    setBusy(true);
+    try {
+      const res = await onImport(file, { mode, dryRun });
+      setResponse(res);
+      if (!dryRun) toast.success(`Imported ${res.summary.created + res.summary.updated} of ${res.summary.total} bugs`);
+    } catch (err) {
+      toast.error((err as Error).message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleOpenChange = (open: boolean) => {
+    setIsImportOpen(open);
+    if (!open) {
+      setFile(null);
+      setResponse(null);
+    }
+  };
+
+  return (
+    <div className="flex gap-2">
+      <Button variant="outline" onClick={() => handleExport('csv')} data-testid="export-csv-button">
+        <Download className="mr-2 h-4 w-4" />
+        CSV
+      </Button>
+      <Button variant="outline" onClick={() => handleExport('json')} data-testid="export-json-button">
+        <Download className="mr-2 h-4 w-4" />
+        JSON
+      </Button>
+      <Dialog open={isImportOpen} onOpenChange={handleOpenChange}>
+        <DialogTrigger asChild>
+          <Button variant="outline" data-testid="import-button">
+            <Upload className="mr-2 h-4 w-4" />
+            Import
+          </Button>
+        </DialogTrigger>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Import Bugs</DialogTitle>
+            <DialogDescription>
+              A CSV with a header row or a JSON list, using the same columns as an export.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="import-file">File</Label>
+              <Input
+                id="import-file"
+                type="file"
+                accept=".csv,.json,text/csv,application/json"
+                onChange={(e) => {
+                  setFile(e.target.files?.[0] ?? null);
+                  setResponse(null);
+                }}
+                data-testid="import-file-input"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Existing bugs</Label>
+              <Select
+                value={mode}
+                onValueChange={(value) => {
+                  setMode(value as ImportOptions['mode']);
+                  setResponse(null);
+                }}
+              >
+                <SelectTrigger data-testid="import-mode-select">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="create">Always create new bugs</SelectItem>
+                  <SelectItem value="upsert">Update bugs with a matching external id</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            {response && <ImportResults response={response} />}
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" onClick={() => runImport(true)} disabled={!file || busy} data-testid="import-check-button">
+                Check file
+              </Button>
+              <Button
+                onClick={() => runImport(false)}
+                disabled={!file || busy || !response?.dryRun}
+                data-testid="import-apply-button"
+              >
+                {busy ? 'Importing...' : 'Import'}
+              </Button>
+            </div>
+          </div>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
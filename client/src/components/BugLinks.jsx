@@ -0,0 +1,142 @@
+import React from 'react';
+import { Bug, BugStatus } from '@/types/bug';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Link2, Plus, X } from 'lucide-react';
+import { apiRequest } from '@/lib/api';
+import { useDebouncedValue } from '@/hooks/useDebouncedValue';
+import { LINK_DIRECTIONS, getLinkLabel } from '../../../shared/bugLinks.js';
+
+export interface BugLink {
+  id: string;
+  type: string;
+  bug: { id: string; title: string; status: BugStatus; priority: string };
+}
+
+interface BugLinksProps {
+  bugId: string;
+  links: BugLink[];
+  onAddLink: (type: string, otherId: string) => Promise<void>;
+  onRemoveLink: (linkId: string) => Promise<void>;
+}
+
+const SEARCH_LIMIT = 5;
+
+export const BugLinks: React.FC<BugLinksProps> = ({ bugId, links, onAddLink, onRemoveLink }) => {
+  const [adding, setAdding] = React.useState(false);
+  const [type, setType] = React.useState('relates-to');
+  const [query, setQuery] = React.useState('');
+  const [results, setResults] = React.useState<Pick<Bug, 'id' | 'title' | 'status'>[]>([]);
+  const [error, setError] = React.useState<string | null>(null);
+  const debouncedQuery = useDebouncedValue(query.trim(), 300);
+
+  React.useEffect(() => {
+    if (!adding || !debouncedQuery) {
+      setResults([]);
+      return;
+    }
+    let cancelled = false;
+    const params = new URLSearchParams({ q: debouncedQuery, limit: String(SEARCH_LIMIT + 1) });
+    apiRequest<{ data: Bug[] }>(`/bugs/search?${params}`)
+      .then((res) => !cancelled && setResults(res.data.filter(bug => bug.id !== bugId).slice(0, SEARCH_LIMIT)))
+      .catch(() => !cancelled && setResults([]));
+    return () => {
+      cancelled = true;
+    };
+  }, [adding, debouncedQuery, bugId]);
+
+  const run = async (action: () => Promise<void>) => {
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  };
+
+  const addLink = (otherId: string) => run(async () => {
+    await onAddLink(type, otherId);
+    setAdding(false);
+    setQuery('');
+  });
+
+  return (
+    <div className="space-y-2" data-testid={`bug-links-${bugId}`}>
+      <div className="flex items-center justify-between">
+        <span className="flex items-center gap-2 text-sm text-muted-foreground">
+          <Link2 className="h-4 w-4" />
+          Linked bugs ({links.length})
+        </span>
+        <Button variant="ghost" size="sm" onClick={() => setAdding(!adding)} data-testid={`add-link-${bugId}`}>
+          <Plus className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {links.length > 0 && (
+        <ul className="space-y-1">
+          {links.map(link => (
+            <li key={link.id} className="flex items-center gap-2 text-sm" data-testid={`bug-link-${link.id}`}>
+              <span className="text-muted-foreground w-28 shrink-0">{getLinkLabel(link.type)}</span>
+              <span className="flex-1 truncate">{link.bug.title}</span>
+              <Badge variant="outline" className="capitalize">
+                {link.bug.status.replace('-', ' ')}
+              </Badge>
+              <Button
+                variant="ghost"
+                size="sm"
+                className="h-6 w-6 p-0"
+                onClick={() => run(() => onRemoveLink(link.id))}
+                aria-label="Remove link"
+              >
+                <X className="h-3 w-3" />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {adding && (
+        <div className="rounded-lg border p-2 space-y-2">
+          <div className="flex gap-2">
+            <Select value={type} onValueChange={setType}>
+              <SelectTrigger className="w-40" data-testid="link-type-select">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {LINK_DIRECTIONS.map(direction => (
+                  <SelectItem key={direction} value={direction}>
+                    {getLinkLabel(direction)}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Input
+              placeholder="Search for a bug to link"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              data-testid="link-search-input"
+            />
+          </div>
+          {results.map(result => (
+            <button
+              key={result.id}
+              type="button"
+              className="flex w-full items-center gap-2 rounded px-2 py-1 text-left text-sm hover:bg-muted"
+              onClick={() => addLink(result.id)}
+              data-testid={`link-result-${result.id}`}
+            >
+              <span className="flex-1 truncate">{result.title}</span>
+              <Badge variant="outline" className="capitalize">
+                {result.status.replace('-', ' ')}
+              </Badge>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && <p className="text-sm text-destructive">{error}</p>}
+    </div>
+  );
+};
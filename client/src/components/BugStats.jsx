@@ -1,114 +1,194 @@
 import React from 'react';
-import { Bug } from '@/types/bug';
+import { BugFilters } from '@/types/bug';
+import { useBugStats } from '@/hooks/useBugStats';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
-import { AlertTriangle, CheckCircle, Clock, Bug as BugIcon } from 'lucide-react';
+import { Skeleton } from '@/components/ui/skeleton';
+import { AlertTriangle, CheckCircle, Clock, Timer, Bug as BugIcon } from 'lucide-react';
+import { Bar, BarChart, CartesianGrid, Cell, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { BUG_STATUSES, BUG_PRIORITIES } from '../../../shared/bugSchema.js';
 
 interface BugStatsProps {
-  bugs: Bug[];
+  filters?: BugFilters;
+  search?: string;
 }
 
-export const BugStats: React.FC<BugStatsProps> = ({ bugs }) => {
-  const stats = React.useMemo(() => {
-    const total = bugs.length;
-    const open = bugs.filter(bug => bug.status === 'open').length;
-    const inProgress = bugs.filter(bug => bug.status === 'in-progress').length;
-    const resolved = bugs.filter(bug => bug.status === 'resolved').length;
-    const closed = bugs.filter(bug => bug.status === 'closed').length;
-    
-    const critical = bugs.filter(bug => bug.priority === 'critical').length;
-    const high = bugs.filter(bug => bug.priority === 'high').length;
-    const medium = bugs.filter(bug => bug.priority === 'medium').length;
-    const low = bugs.filter(bug => bug.priority === 'low').length;
-
-    const resolvedPercentage = total > 0 ? Math.round((resolved / total) * 100) : 0;
-
-    return {
-      total,
-      open,
-      inProgress,
-      resolved,
-      closed,
-      critical,
-      high,
-      medium,
-      low,
-      resolvedPercentage
-    };
-  }, [bugs]);
+const statusColors = {
+  open: 'hsl(var(--primary))',
+  'in-progress': 'hsl(var(--accent))',
+  resolved: 'hsl(var(--secondary))',
+  closed: 'hsl(var(--muted-foreground))'
+};
+
+const priorityColors = {
+  critical: 'hsl(var(--critical))',
+  high: 'hsl(var(--accent))',
+  medium: 'hsl(var(--warning))',
+  low: 'hsl(var(--info))'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatDuration = (ms: number | null) => {
+  if (ms === null) return '—';
+  if (ms < HOUR_MS) return `${Math.max(1, Math.round(ms / 60000))}m`;
+  if (ms < 48 * HOUR_MS) return `${Math.round(ms / HOUR_MS)}h`;
+  return `${Math.round(ms / (24 * HOUR_MS))}d`;
+};
+
+const ChartCard: React.FC<{ title: string; description: string; className?: string; children: React.ReactNode }> = ({
+  title,
+  description,
+  className = '',
+  children
+}) => (
+  <Card className={className}>
+    <CardHeader>
+      <CardTitle>{title}</CardTitle>
+      <CardDescription>{description}</CardDescription>
+    </CardHeader>
+    <CardContent className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        {children}
+      </ResponsiveContainer>
+    </CardContent>
+  </Card>
+);
+
+export const BugStats: React.FC<BugStatsProps> = ({ filters = {}, search = '' }) => {
+  const { stats, loading, error } = useBugStats({ filters, search });
+
+  if (error) {
+    return <p className="text-sm text-destructive">{error}</p>;
+  }
+  if (loading && !stats) {
+    return (
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {Array.from({ length: 4 }).map((_, i) => (
+          <Skeleton key={i} className="h-64 w-full" />
+        ))}
+      </div>
+    );
+  }
+  if (!stats) return null;
+
+  const resolvedPercentage = stats.total > 0 ? Math.round((stats.byStatus.resolved / stats.total) * 100) : 0;
+  const statusData = BUG_STATUSES.map(status => ({ name: status.replace('-', ' '), status, count: stats.byStatus[status] }));
+  const priorityData = BUG_PRIORITIES.map(priority => ({ name: priority, count: stats.byPriority[priority] })).reverse();
 
   const statCards = [
     {
       title: 'Total Bugs',
       value: stats.total,
-      description: 'All reported bugs',
+      description: 'Matching the current view',
       icon: BugIcon,
       color: 'text-foreground'
     },
     {
       title: 'Open',
-      value: stats.open,
+      value: stats.byStatus.open,
       description: 'Awaiting action',
       icon: AlertTriangle,
       color: 'text-primary'
     },
     {
       title: 'In Progress',
-      value: stats.inProgress,
+      value: stats.byStatus['in-progress'],
       description: 'Being worked on',
       icon: Clock,
       color: 'text-accent'
     },
     {
       title: 'Resolved',
-      value: stats.resolved,
-      description: `${stats.resolvedPercentage}% completion rate`,
+      value: stats.byStatus.resolved,
+      description: `${resolvedPercentage}% completion rate`,
       icon: CheckCircle,
       color: 'text-secondary'
+    },
+    {
+      title: 'Time to Resolve',
+      value: formatDuration(stats.timeToResolve.median),
+      description: `Median; mean ${formatDuration(stats.timeToResolve.mean)} over ${stats.timeToResolve.count} bugs`,
+      icon: Timer,
+      color: 'text-info'
     }
   ];
 
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-      {statCards.map((stat) => (
-        <Card key={stat.title} className="relative overflow-hidden">
-          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-            <CardTitle className="text-sm font-medium">{stat.title}</CardTitle>
-            <stat.icon className={`h-4 w-4 ${stat.color}`} />
-          </CardHeader>
-          <CardContent>
-            <div className="text-2xl font-bold">{stat.value}</div>
-            <CardDescription className="text-xs">{stat.description}</CardDescription>
-          </CardContent>
-        </Card>
-      ))}
-      
-      {/* Priority Breakdown */}
-      <Card className="md:col-span-2 lg:col-span-4">
-        <CardHeader>
-          <CardTitle>Priority Breakdown</CardTitle>
-          <CardDescription>Distribution of bugs by priority level</CardDescription>
-        </CardHeader>
-        <CardContent>
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-            <div className="text-center">
-              <div className="text-2xl font-bold text-critical">{stats.critical}</div>
-              <div className="text-sm text-muted-foreground">Critical</div>
-            </div>
-            <div className="text-center">
-              <div className="text-2xl font-bold text-accent">{stats.high}</div>
-              <div className="text-sm text-muted-foreground">High</div>
-            </div>
-            <div className="text-center">
-              <div className="text-2xl font-bold text-warning">{stats.medium}</div>
-              <div className="text-sm text-muted-foreground">Medium</div>
-            </div>
-            <div className="text-center">
-              <div className="text-2xl font-bold text-info">{stats.low}</div>
-              <div className="text-sm text-muted-foreground">Low</div>
-            </div>
-          </div>
-        </CardContent>
-      </Card>
+    <div className="space-y-4" data-testid="bug-stats">
+      <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4">
+        {statCards.map((stat) => (
+          <Card key={stat.title} className="relative overflow-hidden">
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">{stat.title}</CardTitle>
+              <stat.icon className={`h-4 w-4 ${stat.color}`} />
+            </CardHeader>
+            <CardContent>
+              <div className="text-2xl font-bold">{stat.value}</div>
+              <CardDescription className="text-xs">{stat.description}</CardDescription>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <ChartCard title="Status" description="Bugs in each workflow status">
+          <BarChart data={statusData}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="name" />
+            <YAxis allowDecimals={false} />
+            <Tooltip />
+            <Bar dataKey="count" name="Bugs">
+              {statusData.map(entry => (
+                <Cell key={entry.status} fill={statusColors[entry.status]} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ChartCard>
+
+        <ChartCard title="Priority Breakdown" description="Distribution of bugs by priority level">
+          <BarChart data={priorityData}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="name" />
+            <YAxis allowDecimals={false} />
+            <Tooltip />
+            <Bar dataKey="count" name="Bugs">
+              {priorityData.map(entry => (
+                <Cell key={entry.name} fill={priorityColors[entry.name]} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ChartCard>
+
+        <ChartCard title="Open Bug Age" description="How long unresolved bugs have been waiting">
+          <BarChart data={stats.openAge}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="label" />
+            <YAxis allowDecimals={false} />
+            <Tooltip />
+            <Bar dataKey="count" name="Open bugs" fill="hsl(var(--primary))" />
+          </BarChart>
+        </ChartCard>
+
+        <ChartCard title="Assignees" description="Bugs assigned to each person">
+          <BarChart data={stats.byAssignee} layout="vertical" margin={{ left: 24 }}>
+            <CartesianGrid strokeDasharray="3 3" horizontal={false} />
+            <XAxis type="number" allowDecimals={false} />
+            <YAxis type="category" dataKey="name" width={100} />
+            <Tooltip />
+            <Bar dataKey="count" name="Bugs" fill="hsl(var(--info))" />
+          </BarChart>
+        </ChartCard>
+
+        <ChartCard title="Tags" description="Most used tags" className="md:col-span-2">
+          <BarChart data={stats.byTag}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="tag" />
+            <YAxis allowDecimals={false} />
+            <Tooltip />
+            <Bar dataKey="count" name="Bugs" fill="hsl(var(--accent))" />
+          </BarChart>
+        </ChartCard>
+      </div>
     </div>
   );
-};
\ No newline at end of file
+};
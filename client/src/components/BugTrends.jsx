@@ -0,0 +1,177 @@
+import React from 'react';
+import { BugFilters } from '@/types/bug';
+import { TrendInterval, useBugTrends } from '@/hooks/useBugTrends';
+import { useDebouncedValue } from '@/hooks/useDebouncedValue';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+  Area,
+  AreaChart,
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis
+} from 'recharts';
+import { BUG_STATUSES } from '../../../shared/bugSchema.js';
+
+interface BugTrendsProps {
+  filters?: BugFilters;
+  search?: string;
+}
+
+const statusColors = {
+  open: 'hsl(var(--primary))',
+  'in-progress': 'hsl(var(--accent))',
+  resolved: 'hsl(var(--secondary))',
+  closed: 'hsl(var(--muted-foreground))'
+};
+
+// Buckets are UTC days/weeks, so label them in UTC too
+const formatDate = (date: string) =>
+  new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const TrendCard: React.FC<{ title: string; description: string; children: React.ReactNode }> = ({
+  title,
+  description,
+  children
+}) => (
+  <Card>
+    <CardHeader>
+      <CardTitle>{title}</CardTitle>
+      <CardDescription>{description}</CardDescription>
+    </CardHeader>
+    <CardContent className="h-72">
+      <ResponsiveContainer width="100%" height="100%">
+        {children}
+      </ResponsiveContainer>
+    </CardContent>
+  </Card>
+);
+
+export const BugTrends: React.FC<BugTrendsProps> = ({ filters = {}, search = '' }) => {
+  const [interval, setTrendInterval] = React.useState<TrendInterval>('day');
+  const [from, setFrom] = React.useState('');
+  const [to, setTo] = React.useState('');
+  const [tag, setTag] = React.useState('');
+  const debouncedTag = useDebouncedValue(tag.trim(), 300);
+
+  // A tag picked here narrows the charts beyond the list filters
+  const { trends, loading, error } = useBugTrends({
+    filters: debouncedTag ? { ...filters, tags: [debouncedTag] } : filters,
+    search,
+    interval,
+    from: from || undefined,
+    to: to ? `${to}T23:59:59.999Z` : undefined
+  });
+
+  return (
+    <div className="space-y-4" data-testid="bug-trends">
+      <div className="flex flex-wrap items-end gap-4">
+        <div className="space-y-1">
+          <Label>Group by</Label>
+          <Select value={interval} onValueChange={(value) => setTrendInterval(value as TrendInterval)}>
+            <SelectTrigger className="w-32" data-testid="trend-interval-select">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="day">Day</SelectItem>
+              <SelectItem value="week">Week</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="trend-from">From</Label>
+          <Input id="trend-from" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="trend-to">To</Label>
+          <Input id="trend-to" type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="trend-tag">Tag</Label>
+          <Input
+            id="trend-tag"
+            placeholder="All tags"
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            data-testid="trend-tag-input"
+          />
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-destructive">{error}</p>}
+      {loading && !trends && (
+        <div className="grid gap-4">
+          {Array.from({ length: 3 }).map((_, i) => (
+            <Skeleton key={i} className="h-72 w-full" />
+          ))}
+        </div>
+      )}
+
+      {trends && (
+        <div className="grid gap-4">
+          <TrendCard title="Opened vs Resolved" description={`Bugs reported and resolved per ${trends.interval}`}>
+            <BarChart data={trends.openedVsResolved}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis dataKey="date" tickFormatter={formatDate} />
+              <YAxis allowDecimals={false} />
+              <Tooltip labelFormatter={formatDate} />
+              <Legend />
+              <Bar dataKey="opened" name="Opened" fill="hsl(var(--primary))" />
+              <Bar dataKey="resolved" name="Resolved" fill="hsl(var(--secondary))" />
+            </BarChart>
+          </TrendCard>
+
+          <TrendCard title="Cumulative Flow" description={`Bugs in each status at the end of every ${trends.interval}`}>
+            <AreaChart data={trends.cumulativeFlow}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis dataKey="date" tickFormatter={formatDate} />
+              <YAxis allowDecimals={false} />
+              <Tooltip labelFormatter={formatDate} />
+              <Legend />
+              {[...BUG_STATUSES].reverse().map(status => (
+                <Area
+                  key={status}
+                  type="monotone"
+                  dataKey={status}
+                  name={status.replace('-', ' ')}
+                  stackId="flow"
+                  stroke={statusColors[status]}
+                  fill={statusColors[status]}
+                />
+              ))}
+            </AreaChart>
+          </TrendCard>
+
+          <TrendCard title="Burndown" description="Unresolved bugs against a steady path to zero">
+            <LineChart data={trends.burndown}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis dataKey="date" tickFormatter={formatDate} />
+              <YAxis allowDecimals={false} />
+              <Tooltip labelFormatter={formatDate} />
+              <Legend />
+              <Line type="monotone" dataKey="remaining" name="Remaining" stroke="hsl(var(--primary))" dot={false} />
+              <Line
+                type="linear"
+                dataKey="ideal"
+                name="Ideal"
+                stroke="hsl(var(--muted-foreground))"
+                strokeDasharray="5 5"
+                dot={false}
+              />
+            </LineChart>
+          </TrendCard>
+        </div>
+      )}
+    </div>
+  );
+};
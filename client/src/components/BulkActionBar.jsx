@@ -0,0 +1,136 @@
+import React from 'react';
+import { BugStatus, BugPriority } from '@/types/bug';
+import { BulkChanges } from '@/hooks/useBugs';
+import { useUsers } from '@/hooks/useUsers';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { X } from 'lucide-react';
+import { BUG_STATUSES, BUG_PRIORITIES } from '../../../shared/bugSchema.js';
+import { getRequiredTransitionFields } from '../../../shared/bugWorkflow.js';
+
+interface BulkActionBarProps {
+  count: number;
+  onApply: (changes: BulkChanges) => Promise<void>;
+  onClear: () => void;
+}
+
+const toTags = (value: string) => value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+export const BulkActionBar: React.FC<BulkActionBarProps> = ({ count, onApply, onClear }) => {
+  const { users } = useUsers();
+  const [status, setStatus] = React.useState<BugStatus | ''>('');
+  const [priority, setPriority] = React.useState<BugPriority | ''>('');
+  const [assignee, setAssignee] = React.useState('');
+  const [addTags, setAddTags] = React.useState('');
+  const [removeTags, setRemoveTags] = React.useState('');
+  const [transitionFields, setTransitionFields] = React.useState<Record<string, string>>({});
+  const [applying, setApplying] = React.useState(false);
+
+  const requiredFields = status ? getRequiredTransitionFields(status) : {};
+  const changes: BulkChanges = {
+    ...(status && { status, ...transitionFields }),
+    ...(priority && { priority }),
+    ...(assignee && { assignee }),
+    ...(toTags(addTags).length && { addTags: toTags(addTags) }),
+    ...(toTags(removeTags).length && { removeTags: toTags(removeTags) })
+  };
+  const canApply =
+    Object.keys(changes).length > 0 &&
+    Object.keys(requiredFields).every(field => transitionFields[field]?.trim());
+
+  const reset = () => {
+    setStatus('');
+    setPriority('');
+    setAssignee('');
+    setAddTags('');
+    setRemoveTags('');
+    setTransitionFields({});
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    try {
+      await onApply(changes);
+      reset();
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 rounded-lg border bg-card p-3" data-testid="bulk-action-bar">
+      <span className="text-sm font-medium" data-testid="bulk-selection-count">
+        {count} selected
+      </span>
+      <Select value={status} onValueChange={(value) => setStatus(value as BugStatus)}>
+        <SelectTrigger className="w-36" data-testid="bulk-status-select">
+          <SelectValue placeholder="Set status" />
+        </SelectTrigger>
+        <SelectContent>
+          {BUG_STATUSES.map(value => (
+            <SelectItem key={value} value={value} className="capitalize">
+              {value.replace('-', ' ')}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {Object.entries(requiredFields).map(([field, message]) => (
+        <Input
+          key={field}
+          className="w-56"
+          placeholder={message}
+          value={transitionFields[field] ?? ''}
+          onChange={(e) => setTransitionFields({ ...transitionFields, [field]: e.target.value })}
+          data-testid={`bulk-${field}-input`}
+        />
+      ))}
+      <Select value={priority} onValueChange={(value) => setPriority(value as BugPriority)}>
+        <SelectTrigger className="w-36" data-testid="bulk-priority-select">
+          <SelectValue placeholder="Set priority" />
+        </SelectTrigger>
+        <SelectContent>
+          {BUG_PRIORITIES.map(value => (
+            <SelectItem key={value} value={value} className="capitalize">
+              {value}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Select value={assignee} onValueChange={setAssignee}>
+        <SelectTrigger className="w-40" data-testid="bulk-assignee-select">
+          <SelectValue placeholder="Assign to" />
+        </SelectTrigger>
+        <SelectContent>
+          {users.map(user => (
+            <SelectItem key={user.id} value={user.id}>
+              {user.name}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Input
+        className="w-36"
+        placeholder="Add tags"
+        value={addTags}
+        onChange={(e) => setAddTags(e.target.value)}
+        data-testid="bulk-add-tags-input"
+      />
+      <Input
+        className="w-36"
+        placeholder="Remove tags"
+        value={removeTags}
+        onChange={(e) => setRemoveTags(e.target.value)}
+        data-testid="bulk-remove-tags-input"
+      />
+      <div className="ml-auto flex gap-2">
+        <Button size="sm" onClick={handleApply} disabled={!canApply || applying} data-testid="bulk-apply-button">
+          {applying ? 'Applying...' : 'Apply'}
+        </Button>
+        <Button size="sm" variant="ghost" onClick={onClear} data-testid="bulk-clear-button">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+    </div>
+  );
+};
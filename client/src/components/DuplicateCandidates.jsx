@@ -0,0 +1,56 @@
+import React from 'react';
+import { SimilarBug } from '@/hooks/useSimilarBugs';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Copy } from 'lucide-react';
+
+interface DuplicateCandidatesProps {
+  candidates: SimilarBug[];
+  loading?: boolean;
+  actionLabel: string;
+  onSelect: (bug: SimilarBug) => void;
+  disabled?: boolean;
+}
+
+export const DuplicateCandidates: React.FC<DuplicateCandidatesProps> = ({
+  candidates,
+  loading = false,
+  actionLabel,
+  onSelect,
+  disabled = false
+}) => {
+  if (!loading && candidates.length === 0) return null;
+
+  return (
+    <div className="rounded-lg border border-warning/50 bg-warning/5 p-3 space-y-2" data-testid="duplicate-candidates">
+      <div className="flex items-center gap-2 text-sm font-medium">
+        <Copy className="h-4 w-4" />
+        {loading && candidates.length === 0 ? 'Looking for similar bugs...' : 'Possible duplicates'}
+      </div>
+      <ul className="space-y-2">
+        {candidates.map(bug => (
+          <li key={bug.id} className="flex items-center gap-3 text-sm" data-testid={`duplicate-candidate-${bug.id}`}>
+            <div className="flex-1 min-w-0">
+              <p className="truncate font-medium">{bug.title}</p>
+              <p className="truncate text-muted-foreground">{bug.description}</p>
+            </div>
+            <Badge variant="outline" className="capitalize">
+              {bug.status.replace('-', ' ')}
+            </Badge>
+            <Badge variant="secondary">{Math.round(bug.similarity * 100)}% match</Badge>
+            <Button
+              type="button"
+              size="sm"
+              variant="outline"
+              onClick={() => onSelect(bug)}
+              disabled={disabled}
+              data-testid={`mark-duplicate-${bug.id}`}
+            >
+              {actionLabel}
+            </Button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
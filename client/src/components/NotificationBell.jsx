@@ -0,0 +1,93 @@
+import React from 'react';
+import { Notification, useNotifications } from '@/hooks/useNotifications';
+import { Button } from '@/components/ui/button';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Bell } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { toast } from 'sonner';
+
+const describeNotification = (notification: Notification) => {
+  const who = notification.actor?.name ?? 'Someone';
+  switch (notification.type) {
+    case 'assigned':
+      return `${who} assigned you`;
+    case 'status_changed':
+      return `${who} moved it to ${notification.statusChange?.to.replace('-', ' ')}`;
+    case 'commented':
+      return `${who} commented`;
+    case 'mentioned':
+      return `${who} mentioned you${notification.comment ? ' in a comment' : ''}`;
+  }
+};
+
+export const NotificationBell: React.FC = () => {
+  const { notifications, unread, error, refresh, markRead, markAllRead } = useNotifications();
+
+  const run = (action: () => Promise<unknown>) => action().catch(err => toast.error((err as Error).message));
+
+  return (
+    <Popover onOpenChange={(open) => open && refresh()}>
+      <PopoverTrigger asChild>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="relative"
+          aria-label={unread ? `${unread} unread notifications` : 'Notifications'}
+          data-testid="notification-bell"
+        >
+          <Bell className="h-4 w-4" />
+          {unread > 0 && (
+            <span
+              className="absolute -right-1 -top-1 flex h-4 min-w-4 items-center justify-center rounded-full bg-destructive px-1 text-[10px] font-medium text-destructive-foreground"
+              data-testid="notification-unread-count"
+            >
+              {unread > 99 ? '99+' : unread}
+            </span>
+          )}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-80 p-0">
+        <div className="flex items-center justify-between border-b px-4 py-2">
+          <span className="text-sm font-medium">Notifications</span>
+          <Button
+            variant="ghost"
+            size="sm"
+            disabled={unread === 0}
+            onClick={() => run(markAllRead)}
+            data-testid="mark-all-read-button"
+          >
+            Mark all read
+          </Button>
+        </div>
+        {error && <p className="px-4 py-2 text-sm text-destructive">{error}</p>}
+        {notifications.length === 0 ? (
+          <p className="px-4 py-6 text-center text-sm text-muted-foreground">You're all caught up.</p>
+        ) : (
+          <ul className="max-h-96 overflow-y-auto" data-testid="notification-list">
+            {notifications.map(notification => (
+              <li key={notification.id}>
+                <button
+                  type="button"
+                  className={`w-full border-b px-4 py-3 text-left text-sm hover:bg-muted ${notification.read ? 'text-muted-foreground' : ''}`}
+                  onClick={() => !notification.read && run(() => markRead(notification.id))}
+                  data-testid={`notification-${notification.id}`}
+                >
+                  <div className="flex items-start gap-2">
+                    {!notification.read && <span className="mt-1.5 h-2 w-2 shrink-0 rounded-full bg-primary" />}
+                    <div className="min-w-0 space-y-1">
+                      <p className="truncate font-medium">{notification.bug?.title ?? 'Deleted bug'}</p>
+                      <p>{describeNotification(notification)}</p>
+                      <p className="text-xs text-muted-foreground">
+                        {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                      </p>
+                    </div>
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+};
@@ -0,0 +1,229 @@
+import React from 'react';
+import { Release, ReleaseOptions, ReleaseReadiness as Readiness, useReleases } from '@/hooks/useReleases';
+import { ApiError } from '@/lib/api';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Progress } from '@/components/ui/progress';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle } from '@/components/ui/alert-dialog';
+import { Rocket } from 'lucide-react';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+
+interface ReleaseReadinessProps {
+  // The project switched to in the header; releases belong to one project
+  project?: string;
+  canManage?: boolean;
+}
+
+const formatTarget = (release: Release) =>
+  release.targetDate ? format(new Date(release.targetDate), 'MMM d, yyyy') : 'No target date';
+
+// What is still blocking a release: open bugs targeted at it by priority, and
+// how much of it is done. Admins can plan releases and mark them released.
+export const ReleaseReadiness: React.FC<ReleaseReadinessProps> = ({ project, canManage = false }) => {
+  const { releases, loading, createRelease, getReadiness, releaseRelease } = useReleases(project);
+  const [selectedId, setSelectedId] = React.useState<string | null>(null);
+  const [readiness, setReadiness] = React.useState<Readiness | null>(null);
+  const [name, setName] = React.useState('');
+  const [targetDate, setTargetDate] = React.useState('');
+  // Set when releasing was refused because bugs are still open
+  const [blocked, setBlocked] = React.useState<{ count: number } | null>(null);
+  const [moveTo, setMoveTo] = React.useState('');
+
+  const release = releases.find(candidate => candidate.id === selectedId) ?? releases[0] ?? null;
+  const moveTargets = releases.filter(candidate => !candidate.released && candidate.id !== release?.id);
+
+  const load = React.useCallback(() => {
+    if (!release) {
+      setReadiness(null);
+      return;
+    }
+    getReadiness(release.id)
+      .then(setReadiness)
+      .catch(err => toast.error((err as Error).message));
+  }, [getReadiness, release?.id, release?.releasedAt]);
+
+  React.useEffect(load, [load]);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      const created = await createRelease({ name: name.trim(), targetDate: targetDate || null });
+      setSelectedId(created.id);
+      setName('');
+      setTargetDate('');
+    } catch (err) {
+      toast.error((err as Error).message);
+    }
+  };
+
+  const handleRelease = async (options: ReleaseOptions = {}) => {
+    if (!release) return;
+    try {
+      const result = await releaseRelease(release.id, options);
+      setBlocked(null);
+      toast.success(
+        result.moved ? `${release.name} released; ${result.moved} bugs moved on` : `${release.name} released`
+      );
+    } catch (err) {
+      if (err instanceof ApiError && err.code === 'UNRESOLVED_BUGS') {
+        setMoveTo(moveTargets[0]?.id ?? '');
+        setBlocked({ count: (err.details?.bugs as unknown[])?.length ?? 0 });
+      } else {
+        toast.error((err as Error).message);
+      }
+    }
+  };
+
+  if (!project) {
+    return <p className="text-sm text-muted-foreground">Pick a project in the header to see its releases.</p>;
+  }
+
+  return (
+    <div className="space-y-4" data-testid="release-readiness">
+      <div className="flex flex-wrap items-end gap-4">
+        <div className="space-y-1">
+          <Label>Release</Label>
+          <Select value={release?.id ?? ''} onValueChange={setSelectedId} disabled={!releases.length}>
+            <SelectTrigger className="w-48" data-testid="release-select">
+              <SelectValue placeholder={loading ? 'Loading releases...' : 'No releases yet'} />
+            </SelectTrigger>
+            <SelectContent>
+              {releases.map(candidate => (
+                <SelectItem key={candidate.id} value={candidate.id}>
+                  {candidate.name}
+                  {candidate.released && <span className="text-muted-foreground"> (released)</span>}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {canManage && (
+          <form onSubmit={handleCreate} className="flex items-end gap-2" data-testid="release-form">
+            <div className="space-y-1">
+              <Label htmlFor="release-name">New release</Label>
+              <Input
+                id="release-name"
+                placeholder="e.g. 2.4"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className="w-32"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="release-target">Target date</Label>
+              <Input id="release-target" type="date" value={targetDate} onChange={(e) => setTargetDate(e.target.value)} />
+            </div>
+            <Button type="submit" variant="outline" disabled={!name.trim()}>
+              Add
+            </Button>
+          </form>
+        )}
+      </div>
+
+      {release && readiness && (
+        <Card>
+          <CardHeader className="flex flex-row items-start justify-between space-y-0">
+            <div className="space-y-1">
+              <CardTitle className="flex items-center gap-2">
+                {release.name}
+                {release.released && <Badge variant="secondary">Released</Badge>}
+              </CardTitle>
+              <CardDescription>
+                {release.released
+                  ? `Released ${format(new Date(release.releasedAt as string), 'MMM d, yyyy')}`
+                  : formatTarget(release)}
+              </CardDescription>
+            </div>
+            {canManage && !release.released && (
+              <Button onClick={() => handleRelease()} data-testid="release-button">
+                <Rocket className="mr-2 h-4 w-4" />
+                Mark Released
+              </Button>
+            )}
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <div className="space-y-2">
+              <div className="flex justify-between text-sm">
+                <span>
+                  {readiness.resolved} of {readiness.total} bugs resolved
+                </span>
+                <span className="font-medium" data-testid="release-progress">
+                  {readiness.progress}%
+                </span>
+              </div>
+              <Progress value={readiness.progress} />
+            </div>
+
+            {readiness.unresolved === 0 ? (
+              <p className="text-sm text-muted-foreground">Nothing is blocking this release.</p>
+            ) : (
+              readiness.byPriority
+                .filter(group => group.count > 0)
+                .map(group => (
+                  <div key={group.priority} className="space-y-2" data-testid={`release-blockers-${group.priority}`}>
+                    <h4 className="text-sm font-medium capitalize">
+                      {group.priority} <span className="text-muted-foreground">({group.count})</span>
+                    </h4>
+                    <ul className="space-y-1 text-sm">
+                      {group.bugs.map(bug => (
+                        <li key={bug.id} className="flex items-center justify-between gap-2 rounded-md border p-2">
+                          <span className="truncate">{bug.title}</span>
+                          <span className="flex shrink-0 items-center gap-2 text-muted-foreground">
+                            {bug.assignee?.name}
+                            <Badge variant="outline">{bug.status.replace('-', ' ')}</Badge>
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <AlertDialog open={!!blocked} onOpenChange={(open) => !open && setBlocked(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>{blocked?.count} unresolved bugs</AlertDialogTitle>
+            <AlertDialogDescription>
+              These bugs are still targeted at {release?.name}. Move them to another release, or release anyway
+              and leave them where they are.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          {moveTargets.length > 0 && (
+            <Select value={moveTo} onValueChange={setMoveTo}>
+              <SelectTrigger data-testid="release-move-select">
+                <SelectValue placeholder="Move to..." />
+              </SelectTrigger>
+              <SelectContent>
+                {moveTargets.map(candidate => (
+                  <SelectItem key={candidate.id} value={candidate.id}>
+                    {candidate.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <Button variant="outline" onClick={() => handleRelease({ force: true })}>
+              Release Anyway
+            </Button>
+            {moveTargets.length > 0 && (
+              <AlertDialogAction disabled={!moveTo} onClick={() => handleRelease({ moveTo })}>
+                Move and Release
+              </AlertDialogAction>
+            )}
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
@@ -0,0 +1,136 @@
+import React from 'react';
+import { SavedView, ViewQuery, getViewLink, useSavedViews } from '@/hooks/useSavedViews';
+import { useAuth } from '@/hooks/useAuth';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Link2, Save, Trash2, Users } from 'lucide-react';
+import { toast } from 'sonner';
+
+interface SavedViewsProps {
+  // The filters, search and sort currently shown on the list
+  current: ViewQuery;
+  activeViewId?: string | null;
+  onApply: (view: SavedView) => void;
+}
+
+export const SavedViews: React.FC<SavedViewsProps> = ({ current, activeViewId, onApply }) => {
+  const { user } = useAuth();
+  const { views, loading, createView, updateView, deleteView } = useSavedViews();
+  const [name, setName] = React.useState('');
+  const [shared, setShared] = React.useState(false);
+  const [busy, setBusy] = React.useState(false);
+
+  const isMine = (view: SavedView) => view.owner.id === user?.id;
+  const run = (action: () => Promise<unknown>, success?: string) =>
+    action()
+      .then(() => success && toast.success(success))
+      .catch(err => toast.error((err as Error).message));
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const view = await createView({ name: name.trim(), shared, query: current });
+      setName('');
+      setShared(false);
+      onApply(view);
+      toast.success('View saved');
+    } catch (err) {
+      toast.error((err as Error).message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copyLink = (view: SavedView) =>
+    run(() => navigator.clipboard.writeText(getViewLink(view.id)), 'Link copied');
+
+  return (
+    <Card data-testid="saved-views">
+      <CardHeader>
+        <CardTitle>Saved Views</CardTitle>
+        <CardDescription>
+          Save the current filters, search and sort under a name. Shared views show up for the whole team.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <form onSubmit={handleSave} className="flex flex-wrap items-end gap-3" data-testid="saved-view-form">
+          <div className="flex-1 space-y-1">
+            <Label htmlFor="view-name">Name</Label>
+            <Input
+              id="view-name"
+              placeholder="e.g. My critical open bugs"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              data-testid="view-name-input"
+            />
+          </div>
+          <label className="flex items-center gap-2 pb-2 text-sm">
+            <Checkbox checked={shared} onCheckedChange={(checked) => setShared(checked === true)} />
+            Share with the team
+          </label>
+          <Button type="submit" disabled={busy || !name.trim()} data-testid="save-view-button">
+            <Save className="mr-2 h-4 w-4" />
+            Save View
+          </Button>
+        </form>
+
+        {!loading && !views.length && <p className="text-sm text-muted-foreground">No saved views yet.</p>}
+
+        <ul className="space-y-2">
+          {views.map(view => (
+            <li
+              key={view.id}
+              className={`flex items-center justify-between gap-2 rounded-md border p-3 ${
+                view.id === activeViewId ? 'border-primary' : ''
+              }`}
+              data-testid={`saved-view-${view.id}`}
+            >
+              <button type="button" className="min-w-0 flex-1 text-left" onClick={() => onApply(view)}>
+                <span className="flex items-center gap-2 font-medium">
+                  {view.name}
+                  {view.shared && (
+                    <Badge variant="outline" className="text-xs">
+                      <Users className="mr-1 h-3 w-3" />
+                      Shared
+                    </Badge>
+                  )}
+                </span>
+                {!isMine(view) && <span className="text-xs text-muted-foreground">by {view.owner.name}</span>}
+              </button>
+              <div className="flex shrink-0 items-center gap-1">
+                {isMine(view) && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => run(() => updateView(view.id, { query: current }), 'View updated')}
+                    title="Save the current filters into this view"
+                  >
+                    <Save className="h-4 w-4" />
+                  </Button>
+                )}
+                <Button variant="ghost" size="sm" onClick={() => copyLink(view)} title="Copy link">
+                  <Link2 className="h-4 w-4" />
+                </Button>
+                {(isMine(view) || user?.role === 'admin') && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => run(() => deleteView(view.id))}
+                    title="Delete view"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </CardContent>
+    </Card>
+  );
+};
@@ -0,0 +1,51 @@
+import React from 'react';
+
+export interface SearchHighlight {
+  field: string;
+  text: string;
+  ranges: [number, number][];
+}
+
+interface SearchHighlightsProps {
+  highlights: SearchHighlight[];
+}
+
+const fieldLabels: Record<string, string> = {
+  title: 'Title',
+  description: 'Description',
+  stepsToReproduce: 'Steps',
+  tags: 'Tags'
+};
+
+const HighlightedText: React.FC<SearchHighlight> = ({ text, ranges }) => {
+  const parts: React.ReactNode[] = [];
+  let cursor = 0;
+
+  ranges.forEach(([from, to], index) => {
+    if (from > cursor) parts.push(text.slice(cursor, from));
+    parts.push(
+      <mark key={index} className="rounded-sm bg-warning/40 px-0.5 text-foreground">
+        {text.slice(from, to)}
+      </mark>
+    );
+    cursor = to;
+  });
+  if (cursor < text.length) parts.push(text.slice(cursor));
+
+  return <>{parts}</>;
+};
+
+export const SearchHighlights: React.FC<SearchHighlightsProps> = ({ highlights }) => {
+  if (highlights.length === 0) return null;
+
+  return (
+    <div className="space-y-1 rounded-md border border-dashed p-3 text-sm" data-testid="search-highlights">
+      {highlights.map((highlight) => (
+        <p key={highlight.field} className="text-muted-foreground">
+          <span className="font-medium text-foreground">{fieldLabels[highlight.field] ?? highlight.field}: </span>
+          <HighlightedText {...highlight} />
+        </p>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,59 @@
+import React from 'react';
+import { Bug } from '@/types/bug';
+import { Badge } from '@/components/ui/badge';
+import { AlarmClock, AlertTriangle } from 'lucide-react';
+import { formatDistanceToNowStrict } from 'date-fns';
+import { getBugSla, SLA_TARGETS } from '../../../shared/sla.js';
+
+interface SlaBadgeProps {
+  bug: Bug;
+}
+
+const TICK_MS = 60 * 1000;
+
+const useNow = () => {
+  const [now, setNow] = React.useState(() => Date.now());
+  React.useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+  return now;
+};
+
+// Counts down to the next SLA target, or flags the one that was missed. The
+// server sends the bug's policy, so the countdown keeps running between fetches.
+export const SlaBadge: React.FC<SlaBadgeProps> = ({ bug }) => {
+  const now = useNow();
+  if (!bug.sla) return null;
+
+  const sla = getBugSla(bug, { [bug.priority]: bug.sla.policy }, now);
+  const targets = Object.keys(SLA_TARGETS).map(name => ({ name, ...sla[name] }));
+  const target = targets.find(candidate => candidate.state === 'breached') ??
+    targets.find(candidate => candidate.state !== 'met');
+  if (!target) return null;
+
+  const label = SLA_TARGETS[target.name].label;
+  const due = formatDistanceToNowStrict(target.dueAt);
+
+  if (target.state === 'breached') {
+    return (
+      <Badge variant="destructive" className="gap-1" data-testid={`sla-badge-${bug.id}`} data-sla-state="breached">
+        <AlertTriangle className="h-3 w-3" />
+        {label} SLA breached{target.metAt ? '' : ` ${due} ago`}
+      </Badge>
+    );
+  }
+
+  return (
+    <Badge
+      variant={target.state === 'at-risk' ? 'secondary' : 'outline'}
+      className={`gap-1 ${target.state === 'at-risk' ? 'bg-warning text-warning-foreground' : ''}`}
+      data-testid={`sla-badge-${bug.id}`}
+      data-sla-state={target.state}
+      title={`${label} by ${target.dueAt.toLocaleString()}`}
+    >
+      <AlarmClock className="h-3 w-3" />
+      {label} in {due}
+    </Badge>
+  );
+};
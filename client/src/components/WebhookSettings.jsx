@@ -0,0 +1,231 @@
+import React from 'react';
+import { Webhook, WebhookDelivery, WebhookEvent, WEBHOOK_EVENTS, useWebhooks } from '@/hooks/useWebhooks';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
+import { Send, RotateCcw, Trash2, Webhook as WebhookIcon } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { toast } from 'sonner';
+
+const deliveryStatusVariants = {
+  succeeded: 'secondary',
+  pending: 'outline',
+  failed: 'destructive'
+} as const;
+
+const DeliveryLog: React.FC<{
+  webhook: Webhook;
+  getDeliveries: (id: string) => Promise<WebhookDelivery[]>;
+  onRedeliver: (id: string, deliveryId: string) => Promise<WebhookDelivery>;
+}> = ({ webhook, getDeliveries, onRedeliver }) => {
+  const [deliveries, setDeliveries] = React.useState<WebhookDelivery[] | null>(null);
+
+  const load = React.useCallback(() => {
+    getDeliveries(webhook.id)
+      .then(setDeliveries)
+      .catch(err => toast.error((err as Error).message));
+  }, [getDeliveries, webhook.id]);
+
+  React.useEffect(load, [load]);
+
+  const handleRedeliver = async (delivery: WebhookDelivery) => {
+    try {
+      const result = await onRedeliver(webhook.id, delivery.id);
+      if (result.status === 'succeeded') toast.success('Delivered');
+      else toast.error(result.attempts.at(-1)?.error ?? 'Delivery failed');
+      load();
+    } catch (err) {
+      toast.error((err as Error).message);
+    }
+  };
+
+  if (!deliveries) return <p className="text-sm text-muted-foreground">Loading deliveries...</p>;
+  if (!deliveries.length) return <p className="text-sm text-muted-foreground">Nothing sent yet.</p>;
+
+  return (
+    <ul className="max-h-64 space-y-2 overflow-y-auto text-sm" data-testid={`webhook-deliveries-${webhook.id}`}>
+      {deliveries.map(delivery => {
+        const lastAttempt = delivery.attempts.at(-1);
+        return (
+          <li key={delivery.id} className="flex items-center justify-between gap-2 rounded-md border p-2">
+            <div className="space-y-1">
+              <div className="flex items-center gap-2">
+                <Badge variant={deliveryStatusVariants[delivery.status]}>{delivery.status}</Badge>
+                <span className="font-medium">{delivery.event}</span>
+                <span className="text-muted-foreground">
+                  {formatDistanceToNow(new Date(delivery.createdAt), { addSuffix: true })}
+                </span>
+              </div>
+              {lastAttempt && (
+                <p className="text-xs text-muted-foreground">
+                  {delivery.attempts.length} attempt{delivery.attempts.length === 1 ? '' : 's'}
+                  {lastAttempt.error ? ` · ${lastAttempt.error}` : ` · ${lastAttempt.statusCode}`}
+                  {delivery.nextAttemptAt &&
+                    ` · retrying ${formatDistanceToNow(new Date(delivery.nextAttemptAt), { addSuffix: true })}`}
+                </p>
+              )}
+            </div>
+            <Button variant="ghost" size="sm" onClick={() => handleRedeliver(delivery)} title="Redeliver">
+              <RotateCcw className="h-4 w-4" />
+            </Button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+// Admins register endpoints here; the signing secret is shown once, right
+// after a webhook is created.
+export const WebhookSettings: React.FC = () => {
+  const { webhooks, loading, error, createWebhook, updateWebhook, deleteWebhook, pingWebhook, getDeliveries, redeliver } =
+    useWebhooks();
+  const [url, setUrl] = React.useState('');
+  const [events, setEvents] = React.useState<WebhookEvent[]>(['bug.created']);
+  const [secret, setSecret] = React.useState<string | null>(null);
+  const [expandedId, setExpandedId] = React.useState<string | null>(null);
+  const [busy, setBusy] = React.useState(false);
+
+  const toggleEvent = (event: WebhookEvent, checked: boolean) =>
+    setEvents(prev => (checked ? [...prev, event] : prev.filter(existing => existing !== event)));
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const webhook = await createWebhook({ url: url.trim(), events });
+      setSecret(webhook.secret ?? null);
+      setUrl('');
+      toast.success('Webhook added');
+    } catch (err) {
+      toast.error((err as Error).message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePing = async (webhook: Webhook) => {
+    try {
+      const delivery = await pingWebhook(webhook.id);
+      if (delivery.status === 'succeeded') toast.success('Ping delivered');
+      else toast.error(delivery.attempts.at(-1)?.error ?? 'Ping failed');
+    } catch (err) {
+      toast.error((err as Error).message);
+    }
+  };
+
+  const run = (action: () => Promise<unknown>) => action().catch(err => toast.error((err as Error).message));
+
+  return (
+    <Dialog onOpenChange={(open) => !open && setSecret(null)}>
+      <DialogTrigger asChild>
+        <Button variant="ghost" size="sm" data-testid="webhooks-button">
+          <WebhookIcon className="mr-2 h-4 w-4" />
+          Webhooks
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Webhooks</DialogTitle>
+          <DialogDescription>
+            Bug events are POSTed as JSON, signed with HMAC-SHA256 in the X-Webhook-Signature header. Failed
+            deliveries are retried with backoff.
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleCreate} className="space-y-3 rounded-md border p-4" data-testid="webhook-form">
+          <div className="space-y-2">
+            <Label htmlFor="webhook-url">Payload URL</Label>
+            <Input
+              id="webhook-url"
+              placeholder="https://example.com/hooks/bugs"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              data-testid="webhook-url-input"
+            />
+          </div>
+          <div className="flex flex-wrap gap-4">
+            {WEBHOOK_EVENTS.map(event => (
+              <label key={event} className="flex items-center gap-2 text-sm">
+                <Checkbox
+                  checked={events.includes(event)}
+                  onCheckedChange={(checked) => toggleEvent(event, checked === true)}
+                  data-testid={`webhook-event-${event}`}
+                />
+                {event}
+              </label>
+            ))}
+          </div>
+          <div className="flex justify-end">
+            <Button type="submit" disabled={busy || !url.trim() || !events.length} data-testid="webhook-create-button">
+              Add Webhook
+            </Button>
+          </div>
+          {secret && (
+            <div className="space-y-1" data-testid="webhook-secret">
+              <Label htmlFor="webhook-secret">Signing secret</Label>
+              <Input id="webhook-secret" readOnly value={secret} onFocus={(e) => e.target.select()} />
+              <p className="text-xs text-muted-foreground">Copy it now; it won't be shown again.</p>
+            </div>
+          )}
+        </form>
+
+        {error && <p className="text-sm text-destructive">{error}</p>}
+        {!loading && !webhooks.length && <p className="text-sm text-muted-foreground">No webhooks yet.</p>}
+
+        <ul className="space-y-3">
+          {webhooks.map(webhook => (
+            <li key={webhook.id} className="space-y-3 rounded-md border p-4" data-testid={`webhook-${webhook.id}`}>
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0 space-y-2">
+                  <p className="truncate font-medium">{webhook.url}</p>
+                  <div className="flex flex-wrap gap-1">
+                    {webhook.events.map(event => (
+                      <Badge key={event} variant="outline" className="text-xs">
+                        {event}
+                      </Badge>
+                    ))}
+                  </div>
+                </div>
+                <div className="flex shrink-0 items-center gap-1">
+                  <label className="mr-2 flex items-center gap-2 text-sm">
+                    <Checkbox
+                      checked={webhook.active}
+                      onCheckedChange={(checked) => run(() => updateWebhook(webhook.id, { active: checked === true }))}
+                      data-testid={`webhook-active-${webhook.id}`}
+                    />
+                    Active
+                  </label>
+                  <Button variant="ghost" size="sm" onClick={() => handlePing(webhook)} title="Send a ping">
+                    <Send className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setExpandedId(expandedId === webhook.id ? null : webhook.id)}
+                  >
+                    Deliveries
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => run(() => deleteWebhook(webhook.id))}
+                    title="Delete webhook"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+              {expandedId === webhook.id && (
+                <DeliveryLog webhook={webhook} getDeliveries={getDeliveries} onRedeliver={redeliver} />
+              )}
+            </li>
+          ))}
+        </ul>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,30 @@
+import { useSyncExternalStore } from 'react';
+import { apiRequest } from '@/lib/api';
+import { clearSession, getSession, Session, setSession, subscribeSession } from '@/lib/auth';
+
+export interface RegisterData {
+  username: string;
+  name: string;
+  email: string;
+  password: string;
+}
+
+export const useAuth = () => {
+  const session = useSyncExternalStore(subscribeSession, getSession);
+
+  const login = async (username: string, password: string) => {
+    setSession(await apiRequest<Session>('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password })
+    }));
+  };
+
+  const register = async (data: RegisterData) => {
+    setSession(await apiRequest<Session>('/auth/register', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    }));
+  };
+
+  return { user: session?.user ?? null, login, register, logout: clearSession };
+};
@@ -0,0 +1,41 @@
+import { useEffect, useState } from 'react';
+import { BugFilters, BugPriority, BugStatus } from '@/types/bug';
+import { apiRequest, toQueryString } from '@/lib/api';
+
+export interface BugStatsData {
+  total: number;
+  byStatus: Record<BugStatus, number>;
+  byPriority: Record<BugPriority, number>;
+  byAssignee: { id: string; username: string | null; name: string; count: number }[];
+  byTag: { tag: string; count: number }[];
+  // Durations in milliseconds; null when nothing has been resolved
+  timeToResolve: { count: number; mean: number | null; median: number | null };
+  openAge: { label: string; minDays: number; count: number }[];
+}
+
+// Aggregated over every bug in the current view, not just the loaded page
+export const useBugStats = ({ filters = {}, search = '' }: { filters?: BugFilters; search?: string } = {}) => {
+  const [stats, setStats] = useState<BugStatsData | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const path = `/bugs/stats${toQueryString({ ...filters, q: search.trim() })}`;
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    apiRequest<BugStatsData>(path)
+      .then((data) => {
+        if (cancelled) return;
+        setStats(data);
+        setError(null);
+      })
+      .catch((err) => !cancelled && setError((err as Error).message))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [path]);
+
+  return { stats, loading, error };
+};
@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react';
+import { BugFilters, BugStatus } from '@/types/bug';
+import { apiRequest, toQueryString } from '@/lib/api';
+
+export type TrendInterval = 'day' | 'week';
+
+export interface TrendQuery {
+  filters?: BugFilters;
+  search?: string;
+  interval?: TrendInterval;
+  from?: string;
+  to?: string;
+}
+
+export interface BugTrendsData {
+  interval: TrendInterval;
+  from: string;
+  to: string;
+  openedVsResolved: { date: string; opened: number; resolved: number }[];
+  cumulativeFlow: ({ date: string } & Record<BugStatus, number>)[];
+  burndown: { date: string; remaining: number; ideal: number }[];
+}
+
+export const useBugTrends = ({ filters = {}, search = '', interval = 'day', from, to }: TrendQuery = {}) => {
+  const [trends, setTrends] = useState<BugTrendsData | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const path = `/bugs/trends${toQueryString({ ...filters, q: search.trim(), interval, from, to })}`;
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    apiRequest<BugTrendsData>(path)
+      .then((data) => {
+        if (cancelled) return;
+        setTrends(data);
+        setError(null);
+      })
+      .catch((err) => !cancelled && setError((err as Error).message))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [path]);
+
+  return { trends, loading, error };
+};
@@ -0,0 +1,260 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Bug, BugFormData, BugFilters } from '@/types/bug';
+import { apiBlob, apiRequest, normalizeBug, toMultipart, toQueryString } from '@/lib/api';
+import { BugStreamEvent, connectBugEvents } from '@/lib/bugEvents';
+
+// How long a card stays marked after a live change
+const CHANGE_HIGHLIGHT_MS = 5000;
+
+export interface BugQuery {
+  filters?: BugFilters;
+  search?: string;
+  sort?: string;
+  limit?: number;
+  offset?: number;
+}
+
+export interface BugPagination {
+  total: number;
+  limit: number;
+  offset: number;
+  hasMore: boolean;
+}
+
+export type BulkTarget = { ids: string[] } | { query: Record<string, unknown> };
+
+export interface BulkChanges {
+  status?: Bug['status'];
+  priority?: Bug['priority'];
+  assignee?: string;
+  resolution?: string;
+  addTags?: string[];
+  removeTags?: string[];
+}
+
+export interface BulkUpdateResponse {
+  results: { id: string; ok: boolean; error?: { code: string; message: string } }[];
+  summary: { total: number; updated: number; failed: number };
+}
+
+export type ExportFormat = 'csv' | 'json';
+
+export interface ImportOptions {
+  mode: 'create' | 'upsert';
+  dryRun: boolean;
+}
+
+export interface ImportResult {
+  row: number;
+  ok: boolean;
+  action?: 'create' | 'update' | 'unchanged';
+  id?: string;
+  externalId?: string;
+  error?: { code: string; message: string; fields?: Record<string, { code: string; message: string }> };
+}
+
+export interface ImportResponse {
+  dryRun: boolean;
+  results: ImportResult[];
+  summary: { total: number; created: number; updated: number; unchanged: number; failed: number };
+}
+
+interface BugListResponse {
+  data: unknown[];
+  pagination: BugPagination;
+}
+
+export const useBugs = ({ filters = {}, search = '', sort, limit = 20, offset = 0 }: BugQuery = {}) => {
+  const [bugs, setBugs] = useState<Bug[]>([]);
+  const [pagination, setPagination] = useState<BugPagination>({ total: 0, limit, offset, hasMore: false });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [connected, setConnected] = useState(false);
+  const [changedIds, setChangedIds] = useState<Set<string>>(new Set());
+  const bugsRef = useRef(bugs);
+  bugsRef.current = bugs;
+
+  const q = search.trim();
+  const path = q
+    ? `/bugs/search${toQueryString({ ...filters, q, sort, limit, offset })}`
+    : `/bugs${toQueryString({ ...filters, sort, limit, offset })}`;
+
+  const fetchBugs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await apiRequest<BugListResponse>(path);
+      setBugs(res.data.map(normalizeBug));
+      setPagination(res.pagination);
+      setError(null);
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setLoading(false);
+    }
+  }, [path]);
+
+  useEffect(() => {
+    fetchBugs();
+  }, [fetchBugs]);
+
+  const markChanged = useCallback((id: string) => {
+    setChangedIds(prev => new Set(prev).add(id));
+    setTimeout(() => {
+      setChangedIds(prev => {
+        const next = new Set(prev);
+        next.delete(id);
+        return next;
+      });
+    }, CHANGE_HIGHLIGHT_MS);
+  }, []);
+
+  // Where a new bug would land is only known for the default view: the first
+  // page, newest first, with nothing filtered out.
+  const showsNewestFirst =
+    offset === 0 && !q && !sort && !Object.values(filters).some(value => (Array.isArray(value) ? value.length : value));
+  const isListed = (id: string) => bugsRef.current.some(bug => bug.id === id);
+
+  const applyEvent = (event: BugStreamEvent) => {
+    switch (event.type) {
+      case 'bug.created': {
+        const bug = normalizeBug(event.data);
+        if (!showsNewestFirst || isListed(bug.id)) return;
+        setBugs(prev => [bug, ...prev].slice(0, limit));
+        setPagination(prev => ({ ...prev, total: prev.total + 1, hasMore: prev.total + 1 > limit }));
+        markChanged(bug.id);
+        return;
+      }
+      case 'bug.updated': {
+        const bug = normalizeBug(event.data);
+        if (!isListed(bug.id)) return;
+        setBugs(prev => prev.map(existing => (existing.id === bug.id ? bug : existing)));
+        markChanged(bug.id);
+        return;
+      }
+      case 'bug.deleted':
+        if (!isListed(event.data.id)) return;
+        setBugs(prev => prev.filter(bug => bug.id !== event.data.id));
+        setPagination(prev => ({ ...prev, total: prev.total - 1 }));
+        return;
+      case 'resync':
+        // Too much was missed while disconnected to replay it
+        fetchBugs();
+        return;
+    }
+  };
+
+  // One connection for the lifetime of the hook; events are applied to
+  // whatever page is showing when they arrive.
+  const applyEventRef = useRef(applyEvent);
+  applyEventRef.current = applyEvent;
+  useEffect(
+    () => connectBugEvents({ onEvent: event => applyEventRef.current(event), onConnectionChange: setConnected }),
+    []
+  );
+
+  // Sends JSON, or multipart when there are files to attach
+  const toBody = (fields: Record<string, unknown>, files: File[]) =>
+    files.length ? toMultipart(fields, files) : JSON.stringify(fields);
+
+  const createBug = async (data: BugFormData, files: File[] = []) => {
+    const bug = await apiRequest('/bugs', { method: 'POST', body: toBody(data, files) });
+    await fetchBugs();
+    return normalizeBug(bug);
+  };
+
+  // Partial update: only the given fields change
+  const updateBug = async (id: string, data: Partial<BugFormData & Pick<Bug, 'status'>>) => {
+    const bug = await apiRequest(`/bugs/${id}`, { method: 'PATCH', body: JSON.stringify(data) });
+    await fetchBugs();
+    return normalizeBug(bug);
+  };
+
+  // Full replacement of every form field, used by the edit dialog. Passing the
+  // version the edit started from makes a stale save fail with VERSION_CONFLICT.
+  const replaceBug = async (id: string, data: BugFormData, version?: number, files: File[] = []) => {
+    const bug = await apiRequest(`/bugs/${id}`, { method: 'PUT', body: toBody({ ...data, version }, files) });
+    await fetchBugs();
+    return normalizeBug(bug);
+  };
+
+  const bulkUpdateBugs = async (target: BulkTarget, changes: BulkChanges) => {
+    const res = await apiRequest<BulkUpdateResponse>('/bugs/bulk', {
+      method: 'POST',
+      body: JSON.stringify({ ...target, changes })
+    });
+    await fetchBugs();
+    return res;
+  };
+
+  // Links the bug to the original report and closes it
+  const markDuplicate = async (id: string, duplicateOf: string) => {
+    const bug = await apiRequest(`/bugs/${id}/duplicate`, { method: 'POST', body: JSON.stringify({ duplicateOf }) });
+    await fetchBugs();
+    return normalizeBug(bug);
+  };
+
+  // `type` is read from this bug's side, e.g. "blocked-by"
+  const addLink = async (id: string, type: string, otherId: string) => {
+    await apiRequest(`/bugs/${id}/links`, { method: 'POST', body: JSON.stringify({ type, bug: otherId }) });
+    await fetchBugs();
+  };
+
+  const removeLink = async (id: string, linkId: string) => {
+    await apiRequest(`/bugs/${id}/links/${linkId}`, { method: 'DELETE' });
+    await fetchBugs();
+  };
+
+  const deleteAttachment = async (id: string, attachmentId: string) => {
+    await apiRequest(`/bugs/${id}/attachments/${attachmentId}`, { method: 'DELETE' });
+    await fetchBugs();
+  };
+
+  // Everything in the current view (filters, search and sort), without paging
+  const exportBugs = (format: ExportFormat) =>
+    apiBlob(`/bugs/export${toQueryString({ ...filters, q, sort, format })}`);
+
+  // A dry run only reports what each row would do
+  const importBugs = async (file: File, { mode, dryRun }: ImportOptions) => {
+    const body = new FormData();
+    body.append('file', file);
+    body.append('mode', mode);
+    body.append('dryRun', String(dryRun));
+    const res = await apiRequest<ImportResponse>('/bugs/import', { method: 'POST', body });
+    if (!dryRun) await fetchBugs();
+    return res;
+  };
+
+  // Moves the bug to the trash; restoreBug brings it back until it is purged
+  const deleteBug = async (id: string) => {
+    await apiRequest(`/bugs/${id}`, { method: 'DELETE' });
+    await fetchBugs();
+  };
+
+  const restoreBug = async (id: string) => {
+    const bug = await apiRequest(`/bugs/${id}/restore`, { method: 'POST' });
+    await fetchBugs();
+    return normalizeBug(bug);
+  };
+
+  return {
+    bugs,
+    pagination,
+    loading,
+    error,
+    connected,
+    changedIds,
+    createBug,
+    updateBug,
+    replaceBug,
+    bulkUpdateBugs,
+    markDuplicate,
+    addLink,
+    removeLink,
+    deleteAttachment,
+    exportBugs,
+    importBugs,
+    deleteBug,
+    restoreBug,
+    refresh: fetchBugs
+  };
+};
@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiRequest } from '@/lib/api';
+
+export type NotificationType = 'assigned' | 'status_changed' | 'commented' | 'mentioned';
+
+export interface Notification {
+  id: string;
+  type: NotificationType;
+  // null once the bug has been deleted
+  bug: { id: string; title: string; status: string; priority: string } | null;
+  actor: { id: string; username: string; name: string } | null;
+  statusChange?: { from: string; to: string };
+  comment?: string;
+  read: boolean;
+  createdAt: string;
+}
+
+interface NotificationPage {
+  data: Notification[];
+  unread: number;
+}
+
+const POLL_MS = 30 * 1000;
+
+export const useNotifications = () => {
+  const [notifications, setNotifications] = useState<Notification[]>([]);
+  const [unread, setUnread] = useState(0);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const page = await apiRequest<NotificationPage>('/notifications?limit=20');
+      setNotifications(page.data);
+      setUnread(page.unread);
+      setError(null);
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, POLL_MS);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  const markRead = async (id: string) => {
+    const updated = await apiRequest<Notification>(`/notifications/${id}/read`, { method: 'POST' });
+    setNotifications(prev => prev.map(notification => (notification.id === id ? updated : notification)));
+    setUnread(prev => Math.max(prev - 1, 0));
+  };
+
+  const markAllRead = async () => {
+    await apiRequest('/notifications/read-all', { method: 'POST' });
+    setNotifications(prev => prev.map(notification => ({ ...notification, read: true })));
+    setUnread(0);
+  };
+
+  return { notifications, unread, error, refresh, markRead, markAllRead };
+};
@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react';
+import { apiRequest } from '@/lib/api';
+
+export interface ProjectComponent {
+  id: string;
+  project: string;
+  name: string;
+  description?: string;
+}
+
+export interface Project {
+  id: string;
+  key: string;
+  name: string;
+  description?: string;
+  components: ProjectComponent[];
+}
+
+// Every project with its components; there are few enough to load at once
+export const useProjects = () => {
+  const [projects, setProjects] = useState<Project[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    apiRequest<Project[]>('/projects')
+      .then((data) => !cancelled && setProjects(data))
+      .catch(() => !cancelled && setProjects([]))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { projects, loading };
+};
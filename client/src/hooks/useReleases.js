@@ -0,0 +1,83 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Bug, BugPriority } from '@/types/bug';
+import { apiRequest } from '@/lib/api';
+
+export interface Release {
+  id: string;
+  project: string;
+  name: string;
+  description: string;
+  targetDate: string | null;
+  releasedAt: string | null;
+  released: boolean;
+}
+
+export interface ReleaseReadiness {
+  release: Release;
+  total: number;
+  resolved: number;
+  unresolved: number;
+  // Whole percent of targeted bugs already resolved
+  progress: number;
+  byPriority: { priority: BugPriority; count: number; bugs: Bug[] }[];
+}
+
+export interface ReleaseOptions {
+  // Carry unresolved bugs over to this release
+  moveTo?: string;
+  // Release with unresolved bugs left in place
+  force?: boolean;
+}
+
+export type ReleaseInput = Pick<Release, 'name'> & Partial<Pick<Release, 'description' | 'targetDate'>>;
+
+// A project's releases, unreleased and soonest first; none without a project
+export const useReleases = (project?: string) => {
+  const [releases, setReleases] = useState<Release[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  const refresh = useCallback(async () => {
+    if (!project) {
+      setReleases([]);
+      return;
+    }
+    setLoading(true);
+    try {
+      setReleases(await apiRequest<Release[]>(`/releases?project=${project}`));
+    } catch {
+      setReleases([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [project]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const createRelease = async (data: ReleaseInput) => {
+    const release = await apiRequest<Release>('/releases', {
+      method: 'POST',
+      body: JSON.stringify({ ...data, project })
+    });
+    await refresh();
+    return release;
+  };
+
+  const getReadiness = useCallback(
+    (id: string) => apiRequest<ReleaseReadiness>(`/releases/${id}/readiness`),
+    []
+  );
+
+  // Rejects with 409 UNRESOLVED_BUGS (details.bugs) while bugs are left open
+  const releaseRelease = async (id: string, options: ReleaseOptions = {}) => {
+    const result = await apiRequest<{ release: Release; moved: number; unresolved: number }>(`/releases/${id}/release`, {
+      method: 'POST',
+      body: JSON.stringify(options)
+    });
+    await refresh();
+    return result;
+  };
+
+  return { releases, loading, refresh, createRelease, getReadiness, releaseRelease };
+};
@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useState } from 'react';
+import { BugFilters } from '@/types/bug';
+import { apiRequest } from '@/lib/api';
+
+export interface ViewQuery {
+  filters: BugFilters;
+  search: string;
+  sort: string;
+}
+
+export interface SavedView {
+  id: string;
+  name: string;
+  shared: boolean;
+  owner: { id: string; username: string; name: string };
+  query: ViewQuery;
+  updatedAt: string;
+}
+
+export type SavedViewInput = Pick<SavedView, 'name' | 'query'> & Partial<Pick<SavedView, 'shared'>>;
+
+export const VIEW_PARAM = 'view';
+
+// The link that opens the Index with this view applied
+export const getViewLink = (id: string) =>
+  `${window.location.origin}${window.location.pathname}?${VIEW_PARAM}=${id}`;
+
+// Shared links may point at a view that isn't in the user's list yet
+export const fetchSavedView = (id: string) => apiRequest<SavedView>(`/views/${id}`);
+
+// The user's own views and the ones teammates shared
+export const useSavedViews = () => {
+  const [views, setViews] = useState<SavedView[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      setViews(await apiRequest<SavedView[]>('/views'));
+    } catch {
+      setViews([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const createView = async (data: SavedViewInput) => {
+    const view = await apiRequest<SavedView>('/views', { method: 'POST', body: JSON.stringify(data) });
+    setViews(prev => [...prev, view].sort((a, b) => a.name.localeCompare(b.name)));
+    return view;
+  };
+
+  const updateView = async (id: string, changes: Partial<SavedViewInput>) => {
+    const view = await apiRequest<SavedView>(`/views/${id}`, { method: 'PATCH', body: JSON.stringify(changes) });
+    setViews(prev => prev.map(existing => (existing.id === id ? view : existing)));
+    return view;
+  };
+
+  const deleteView = async (id: string) => {
+    await apiRequest(`/views/${id}`, { method: 'DELETE' });
+    setViews(prev => prev.filter(view => view.id !== id));
+  };
+
+  return { views, loading, refresh, createView, updateView, deleteView };
+};
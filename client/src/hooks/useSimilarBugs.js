@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react';
+import { Bug } from '@/types/bug';
+import { apiRequest, normalizeBug } from '@/lib/api';
+import { useDebouncedValue } from '@/hooks/useDebouncedValue';
+
+export interface BugDraft {
+  title?: string;
+  description?: string;
+  environment?: string;
+  excludeId?: string;
+}
+
+export type SimilarBug = Bug & { similarity: number };
+
+const MIN_DRAFT_LENGTH = 8;
+
+// Looks up possible duplicates of a draft as the user types
+export const useSimilarBugs = (draft: BugDraft, { enabled = true } = {}) => {
+  const [candidates, setCandidates] = useState<SimilarBug[]>([]);
+  const [loading, setLoading] = useState(false);
+  // Debounce the serialized draft; the object itself is new on every render
+  const key = useDebouncedValue(JSON.stringify(draft), 500);
+  const { title = '', description = '' } = JSON.parse(key) as BugDraft;
+  const hasEnoughText = `${title} ${description}`.trim().length >= MIN_DRAFT_LENGTH;
+
+  useEffect(() => {
+    if (!enabled || !hasEnoughText) {
+      setCandidates([]);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    apiRequest<{ data: any[] }>('/bugs/similar', { method: 'POST', body: key })
+      .then((res) => !cancelled && setCandidates(res.data.map(bug => ({ ...normalizeBug(bug), similarity: bug.similarity }))))
+      .catch(() => !cancelled && setCandidates([]))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key, enabled, hasEnoughText]);
+
+  return { candidates, loading };
+};
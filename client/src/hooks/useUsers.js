@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+import { apiRequest } from '@/lib/api';
+import { User } from '@/lib/auth';
+
+export const useUsers = () => {
+  const [users, setUsers] = useState<User[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    apiRequest<User[]>('/users')
+      .then((data) => !cancelled && setUsers(data))
+      .catch(() => !cancelled && setUsers([]))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { users, loading };
+};
@@ -0,0 +1,99 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiRequest } from '@/lib/api';
+
+export const WEBHOOK_EVENTS = ['bug.created', 'bug.updated', 'bug.status_changed', 'bug.deleted'] as const;
+export type WebhookEvent = (typeof WEBHOOK_EVENTS)[number];
+
+export interface Webhook {
+  id: string;
+  url: string;
+  events: WebhookEvent[];
+  description: string;
+  active: boolean;
+  createdAt: string;
+  // Only present in the response that created the webhook
+  secret?: string;
+}
+
+export interface WebhookAttempt {
+  at: string;
+  statusCode: number | null;
+  error: string | null;
+  durationMs: number;
+}
+
+export interface WebhookDelivery {
+  id: string;
+  event: string;
+  status: 'pending' | 'succeeded' | 'failed';
+  attempts: WebhookAttempt[];
+  nextAttemptAt: string | null;
+  redeliveryOf: string | null;
+  createdAt: string;
+}
+
+export type WebhookInput = Pick<Webhook, 'url' | 'events'> & Partial<Pick<Webhook, 'description' | 'active'>>;
+
+// Admin-only management of outgoing webhooks and their delivery logs
+export const useWebhooks = () => {
+  const [webhooks, setWebhooks] = useState<Webhook[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    try {
+      setWebhooks(await apiRequest<Webhook[]>('/webhooks'));
+      setError(null);
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const createWebhook = async (data: WebhookInput) => {
+    const webhook = await apiRequest<Webhook>('/webhooks', { method: 'POST', body: JSON.stringify(data) });
+    setWebhooks(prev => [...prev, { ...webhook, secret: undefined }]);
+    return webhook;
+  };
+
+  const updateWebhook = async (id: string, changes: Partial<WebhookInput>) => {
+    const webhook = await apiRequest<Webhook>(`/webhooks/${id}`, { method: 'PATCH', body: JSON.stringify(changes) });
+    setWebhooks(prev => prev.map(existing => (existing.id === id ? webhook : existing)));
+    return webhook;
+  };
+
+  const deleteWebhook = async (id: string) => {
+    await apiRequest(`/webhooks/${id}`, { method: 'DELETE' });
+    setWebhooks(prev => prev.filter(webhook => webhook.id !== id));
+  };
+
+  const pingWebhook = (id: string) => apiRequest<WebhookDelivery>(`/webhooks/${id}/ping`, { method: 'POST' });
+
+  const getDeliveries = useCallback(
+    (id: string) =>
+      apiRequest<{ data: WebhookDelivery[] }>(`/webhooks/${id}/deliveries?limit=50`).then(res => res.data),
+    []
+  );
+
+  const redeliver = (id: string, deliveryId: string) =>
+    apiRequest<WebhookDelivery>(`/webhooks/${id}/deliveries/${deliveryId}/redeliver`, { method: 'POST' });
+
+  return {
+    webhooks,
+    loading,
+    error,
+    refresh,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    pingWebhook,
+    getDeliveries,
+    redeliver
+  };
+};
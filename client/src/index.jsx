@@ -1,56 +1,236 @@
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { Bug, BugFormData, BugFilters as BugFiltersType } from '@/types/bug';
-import { useBugs } from '@/hooks/useBugs';
+import { useBugs, BulkChanges } from '@/hooks/useBugs';
+import { useAuth } from '@/hooks/useAuth';
+import { useDebouncedValue } from '@/hooks/useDebouncedValue';
+import { useProjects } from '@/hooks/useProjects';
 import { ErrorBoundary } from '@/components/ErrorBoundary';
-import { BugForm } from '@/components/BugForm';
+import { BugForm, BugSubmitOptions } from '@/components/BugForm';
 import { BugCard } from '@/components/BugCard';
 import { BugFilters } from '@/components/BugFilters';
 import { BugStats } from '@/components/BugStats';
+import { BugTrends } from '@/components/BugTrends';
+import { BulkActionBar } from '@/components/BulkActionBar';
+import { BugConflictMerge } from '@/components/BugConflictMerge';
+import { BugImportExport } from '@/components/BugImportExport';
+import { WebhookSettings } from '@/components/WebhookSettings';
+import { NotificationBell } from '@/components/NotificationBell';
+import { ReleaseReadiness } from '@/components/ReleaseReadiness';
+import { SavedViews } from '@/components/SavedViews';
+import { SavedView, VIEW_PARAM, fetchSavedView } from '@/hooks/useSavedViews';
+import { ApiError, normalizeBug } from '@/lib/api';
+import { AuthForm } from '@/components/AuthForm';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
 import { Skeleton } from '@/components/ui/skeleton';
-import { Bug as BugIcon, Plus, Search, Filter, BarChart3 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Bug as BugIcon, Plus, Search, Filter, BarChart3, Milestone, ChevronLeft, ChevronRight, LogOut } from 'lucide-react';
 
-const Index = () => {
-  const { bugs, loading, createBug, updateBug, deleteBug, filterBugs } = useBugs();
+const PAGE_SIZE = 20;
+const PROJECT_STORAGE_KEY = 'bug-tracker-project';
+const ALL_PROJECTS = 'all';
+// Radix selects can't hold an empty value, so the default sort gets its own
+const DEFAULT_SORT = 'newest';
+const SORT_OPTIONS = [
+  { value: DEFAULT_SORT, label: 'Newest first' },
+  { value: 'createdAt', label: 'Oldest first' },
+  { value: '-updatedAt', label: 'Recently updated' },
+  { value: '-priority,-createdAt', label: 'Highest priority' },
+  { value: 'title', label: 'Title' }
+];
+
+const BugTracker = () => {
+  const { user, logout } = useAuth();
   const [searchTerm, setSearchTerm] = useState('');
   const [filters, setFilters] = useState<BugFiltersType>({});
+  const { projects } = useProjects();
+  // The switcher scopes the list, stats and bulk actions; it outlives "Clear"
+  const [project, setProject] = useState(() => localStorage.getItem(PROJECT_STORAGE_KEY) ?? '');
+  const scopedFilters = useMemo(() => (project ? { ...filters, project } : filters), [filters, project]);
+  const [sort, setSort] = useState('');
+  const [offset, setOffset] = useState(0);
+  // The saved view on display, until the filters are changed by hand
+  const [activeViewId, setActiveViewId] = useState<string | null>(null);
   const [isFormOpen, setIsFormOpen] = useState(false);
   const [editingBug, setEditingBug] = useState<Bug | null>(null);
+  const [conflict, setConflict] = useState<{ mine: BugFormData; attachments: File[]; current: Bug } | null>(null);
+  const [selectedIds, setSelectedIds] = useState<Set<string>>(new Set());
+  const [allInFilterSelected, setAllInFilterSelected] = useState(false);
+  const debouncedSearch = useDebouncedValue(searchTerm, 300);
+  // Filtering, full-text search and paging all happen on the server
+  const {
+    bugs,
+    pagination,
+    loading,
+    connected,
+    changedIds,
+    createBug,
+    updateBug,
+    replaceBug,
+    bulkUpdateBugs,
+    markDuplicate,
+    addLink,
+    removeLink,
+    deleteAttachment,
+    exportBugs,
+    importBugs,
+    deleteBug,
+    restoreBug,
+    refresh
+  } = useBugs({
+    filters: scopedFilters,
+    search: debouncedSearch,
+    sort: sort || undefined,
+    limit: PAGE_SIZE,
+    offset
+  });
 
-  // Filter bugs based on search term and filters
-  const filteredBugs = React.useMemo(() => {
-    let result = filterBugs(filters);
-
-    if (searchTerm) {
-      result = result.filter(bug =>
-        bug.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        bug.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        bug.assignee.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        bug.reporter.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        bug.tags.some(tag => tag.toLowerCase().includes(searchTerm.toLowerCase()))
-      );
-    }
+  const hasActiveFilters = Object.keys(filters).some(key => filters[key as keyof BugFiltersType]);
+  const isTrackerEmpty = pagination.total === 0 && !hasActiveFilters && !searchTerm;
+  const isPageSelected = bugs.length > 0 && bugs.every(bug => selectedIds.has(bug.id));
+  const selectionCount = allInFilterSelected ? pagination.total : selectedIds.size;
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    setAllInFilterSelected(false);
+  };
+
+  // A selection only makes sense for the result set it was made in
+  useEffect(clearSelection, [scopedFilters, debouncedSearch]);
+
+  const switchProject = (id: string) => {
+    setProject(id);
+    setOffset(0);
+    if (id) localStorage.setItem(PROJECT_STORAGE_KEY, id);
+    else localStorage.removeItem(PROJECT_STORAGE_KEY);
+  };
+
+  // The URL names the applied view, so a reload or a shared link restores it
+  const showView = (id: string | null) => {
+    setActiveViewId(id);
+    window.history.replaceState(null, '', id ? `?${VIEW_PARAM}=${id}` : window.location.pathname);
+  };
+
+  const leaveView = () => {
+    if (activeViewId) showView(null);
+  };
+
+  const applyView = (view: SavedView) => {
+    // A single project goes to the switcher, like one picked by hand
+    const { project: viewProject, ...viewFilters } = view.query.filters;
+    const isSingleProject = typeof viewProject === 'string';
+    setFilters(isSingleProject ? viewFilters : view.query.filters);
+    switchProject(isSingleProject ? viewProject : '');
+    setSearchTerm(view.query.search);
+    setSort(view.query.sort);
+    setOffset(0);
+    showView(view.id);
+  };
 
-    return result;
-  }, [bugs, searchTerm, filters, filterBugs]);
+  useEffect(() => {
+    const id = new URLSearchParams(window.location.search).get(VIEW_PARAM);
+    if (!id) return;
+    fetchSavedView(id)
+      .then(applyView)
+      .catch(err => {
+        showView(null);
+        const hidden = err instanceof ApiError && err.status === 404;
+        toast.error(hidden ? 'That view is not shared with you' : (err as Error).message);
+      });
+  }, []);
 
-  const handleCreateBug = async (data: BugFormData) => {
-    await createBug(data);
+  // Forget a remembered project once it turns out to be gone
+  useEffect(() => {
+    if (project && projects.length && !projects.some(candidate => candidate.id === project)) switchProject('');
+  }, [projects, project]);
+
+  const toggleSelected = (id: string, checked: boolean) => {
+    const next = new Set(selectedIds);
+    if (checked) next.add(id);
+    else next.delete(id);
+    setSelectedIds(next);
+    setAllInFilterSelected(false);
+  };
+
+  const togglePageSelected = (checked: boolean) => {
+    setSelectedIds(checked ? new Set(bugs.map(bug => bug.id)) : new Set());
+    setAllInFilterSelected(false);
+  };
+
+  const handleBulkApply = async (changes: BulkChanges) => {
+    const q = debouncedSearch.trim();
+    const target = allInFilterSelected
+      ? { query: { ...scopedFilters, ...(q && { q }) } }
+      : { ids: [...selectedIds] };
+
+    try {
+      const { results, summary } = await bulkUpdateBugs(target, changes);
+      if (summary.updated) toast.success(`Updated ${summary.updated} of ${summary.total} bugs`);
+      if (summary.failed) {
+        const firstError = results.find(result => !result.ok)?.error?.message;
+        toast.error(`${summary.failed} bugs could not be updated${firstError ? `: ${firstError}` : ''}`);
+      }
+      clearSelection();
+    } catch (err) {
+      toast.error((err as Error).message);
+    }
+  };
+
+  const handleCreateBug = async (data: BugFormData, { duplicateOf, attachments }: BugSubmitOptions = {}) => {
+    const bug = await createBug(data, attachments);
     setIsFormOpen(false);
+    if (duplicateOf) await handleMarkDuplicate(bug.id, duplicateOf);
+  };
+
+  const handleMarkDuplicate = async (id: string, duplicateOf: string) => {
+    try {
+      await markDuplicate(id, duplicateOf);
+      toast.success('Closed as a duplicate');
+    } catch (err) {
+      toast.error((err as Error).message);
+    }
+  };
+
+  const closeEditDialog = () => {
+    setEditingBug(null);
+    setConflict(null);
   };
 
-  const handleUpdateBug = async (data: BugFormData) => {
-    if (editingBug) {
-      await updateBug(editingBug.id, data);
-      setEditingBug(null);
+  // Saves against the version the edit is based on; if someone else saved in
+  // the meantime, switch the dialog to the merge view instead of overwriting.
+  const saveEdit = async (data: BugFormData, version?: number, attachments: File[] = []) => {
+    if (!editingBug) return;
+    try {
+      await replaceBug(editingBug.id, data, version, attachments);
+      closeEditDialog();
+    } catch (err) {
+      if (!(err instanceof ApiError && err.code === 'VERSION_CONFLICT' && err.details?.current)) throw err;
+      setConflict({ mine: data, attachments, current: normalizeBug(err.details.current) });
+      refresh();
     }
   };
 
-  const handleStatusChange = async (id: string, status: Bug['status']) => {
-    await updateBug(id, { status });
+  const handleUpdateBug = (data: BugFormData, { attachments }: BugSubmitOptions = {}) =>
+    saveEdit(data, editingBug?.version, attachments);
+
+  const handleResolveConflict = async (data: BugFormData) => {
+    try {
+      await saveEdit(data, conflict?.current.version, conflict?.attachments);
+    } catch (err) {
+      toast.error((err as Error).message);
+    }
+  };
+
+  const handleStatusChange = async (id: string, status: Bug['status'], fields: Record<string, string> = {}) => {
+    try {
+      await updateBug(id, { status, ...fields });
+    } catch (err) {
+      toast.error((err as Error).message);
+    }
   };
 
   const handleEditBug = (bug: Bug) => {
@@ -58,12 +238,37 @@ const Index = () => {
   };
 
   const handleDeleteBug = async (id: string) => {
-    await deleteBug(id);
+    try {
+      await deleteBug(id);
+      toast('Bug moved to trash', {
+        action: {
+          label: 'Undo',
+          onClick: () => restoreBug(id).catch(err => toast.error((err as Error).message))
+        }
+      });
+    } catch (err) {
+      toast.error((err as Error).message);
+    }
+  };
+
+  const handleFiltersChange = (next: BugFiltersType) => {
+    setFilters(next);
+    setOffset(0);
+    leaveView();
+  };
+
+  const handleSortChange = (value: string) => {
+    setSort(value === DEFAULT_SORT ? '' : value);
+    setOffset(0);
+    leaveView();
   };
 
   const clearFilters = () => {
     setFilters({});
     setSearchTerm('');
+    setSort('');
+    setOffset(0);
+    leaveView();
   };
 
   return (
@@ -83,21 +288,55 @@ const Index = () => {
                     Track and manage bugs with comprehensive testing and debugging
                   </p>
                 </div>
+                <Select
+                  value={project || ALL_PROJECTS}
+                  onValueChange={(value) => {
+                    switchProject(value === ALL_PROJECTS ? '' : value);
+                    leaveView();
+                  }}
+                >
+                  <SelectTrigger className="ml-4 w-48" data-testid="project-switcher">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={ALL_PROJECTS}>All projects</SelectItem>
+                    {projects.map(candidate => (
+                      <SelectItem key={candidate.id} value={candidate.id}>
+                        {candidate.name} <span className="text-muted-foreground">{candidate.key}</span>
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="flex items-center gap-3">
+                <span
+                  className={`h-2 w-2 rounded-full ${connected ? 'bg-primary' : 'bg-muted-foreground'}`}
+                  title={connected ? 'Live updates on' : 'Reconnecting…'}
+                  data-testid="live-status"
+                />
+                <span className="text-sm text-muted-foreground" data-testid="current-user">
+                  {user?.name}
+                </span>
+                {user?.role === 'admin' && <WebhookSettings />}
+                <Button variant="ghost" size="sm" onClick={logout} data-testid="logout-button">
+                  <LogOut className="h-4 w-4" />
+                </Button>
+                <NotificationBell />
+                <Dialog open={isFormOpen} onOpenChange={setIsFormOpen}>
+                  <DialogTrigger asChild>
+                    <Button className="bg-gradient-primary border-0" data-testid="new-bug-button">
+                      <Plus className="mr-2 h-4 w-4" />
+                      Report Bug
+                    </Button>
+                  </DialogTrigger>
+                  <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+                    <DialogHeader>
+                      <DialogTitle>Report New Bug</DialogTitle>
+                    </DialogHeader>
+                    <BugForm onSubmit={handleCreateBug} loading={loading} defaultProject={project || undefined} />
+                  </DialogContent>
+                </Dialog>
               </div>
-              <Dialog open={isFormOpen} onOpenChange={setIsFormOpen}>
-                <DialogTrigger asChild>
-                  <Button className="bg-gradient-primary border-0" data-testid="new-bug-button">
-                    <Plus className="mr-2 h-4 w-4" />
-                    Report Bug
-                  </Button>
-                </DialogTrigger>
-                <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
-                  <DialogHeader>
-                    <DialogTitle>Report New Bug</DialogTitle>
-                  </DialogHeader>
-                  <BugForm onSubmit={handleCreateBug} loading={loading} />
-                </DialogContent>
-              </Dialog>
             </div>
           </div>
         </header>
@@ -105,7 +344,7 @@ const Index = () => {
         {/* Main Content */}
         <main className="container mx-auto px-4 py-8">
           <Tabs defaultValue="bugs" className="space-y-6">
-            <TabsList className="grid w-full grid-cols-3">
+            <TabsList className="grid w-full grid-cols-4">
               <TabsTrigger value="bugs" className="flex items-center gap-2">
                 <BugIcon className="h-4 w-4" />
                 Bug List
@@ -118,6 +357,10 @@ const Index = () => {
                 <BarChart3 className="h-4 w-4" />
                 Statistics
               </TabsTrigger>
+              <TabsTrigger value="releases" className="flex items-center gap-2">
+                <Milestone className="h-4 w-4" />
+                Releases
+              </TabsTrigger>
             </TabsList>
 
             <TabsContent value="bugs" className="space-y-6">
@@ -126,18 +369,48 @@ const Index = () => {
                 <div className="relative flex-1">
                   <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
                   <Input
-                    placeholder="Search bugs by title, description, assignee..."
+                    placeholder='Search bugs, e.g. login "save button" -firefox'
                     value={searchTerm}
-                    onChange={(e) => setSearchTerm(e.target.value)}
+                    onChange={(e) => {
+                      setSearchTerm(e.target.value);
+                      setOffset(0);
+                      leaveView();
+                    }}
                     className="pl-10"
                     data-testid="search-input"
                   />
                 </div>
-                {(searchTerm || Object.keys(filters).some(key => filters[key as keyof BugFiltersType])) && (
+                <Select
+                  value={filters.sla ?? 'any'}
+                  onValueChange={(value) => handleFiltersChange({ ...filters, sla: value === 'any' ? undefined : value })}
+                >
+                  <SelectTrigger className="w-40" data-testid="sla-filter-select">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="any">Any SLA</SelectItem>
+                    <SelectItem value="breached">SLA breached</SelectItem>
+                    <SelectItem value="at-risk">SLA at risk</SelectItem>
+                  </SelectContent>
+                </Select>
+                <Select value={sort || DEFAULT_SORT} onValueChange={handleSortChange}>
+                  <SelectTrigger className="w-44" data-testid="sort-select">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {SORT_OPTIONS.map(option => (
+                      <SelectItem key={option.value} value={option.value}>
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {(searchTerm || sort || hasActiveFilters) && (
                   <Button variant="outline" onClick={clearFilters} data-testid="clear-search-button">
                     Clear
                   </Button>
                 )}
+                <BugImportExport onExport={exportBugs} onImport={importBugs} />
               </div>
 
               {/* Bug List */}
@@ -149,57 +422,154 @@ const Index = () => {
                 </div>
               ) : (
                 <div className="space-y-6">
-                  {filteredBugs.length === 0 ? (
+                  {bugs.length === 0 ? (
                     <div className="text-center py-12">
                       <BugIcon className="mx-auto h-12 w-12 text-muted-foreground mb-4" />
                       <h3 className="text-lg font-medium text-muted-foreground mb-2">
-                        {bugs.length === 0 ? 'No bugs reported yet' : 'No bugs match your search'}
+                        {isTrackerEmpty ? 'No bugs reported yet' : 'No bugs match your search'}
                       </h3>
                       <p className="text-muted-foreground">
-                        {bugs.length === 0
+                        {isTrackerEmpty
                           ? 'Get started by reporting your first bug'
                           : 'Try adjusting your search terms or filters'
                         }
                       </p>
                     </div>
                   ) : (
-                    <div className="grid gap-6">
-                      {filteredBugs.map((bug) => (
-                        <BugCard
-                          key={bug.id}
-                          bug={bug}
-                          onStatusChange={handleStatusChange}
-                          onEdit={handleEditBug}
-                          onDelete={handleDeleteBug}
+                    <div className="space-y-4">
+                      {/* Selection */}
+                      <div className="flex items-center gap-3 text-sm">
+                        <Checkbox
+                          checked={isPageSelected}
+                          onCheckedChange={(checked) => togglePageSelected(checked === true)}
+                          aria-label="Select all bugs on this page"
+                          data-testid="select-page-checkbox"
                         />
-                      ))}
+                        {allInFilterSelected ? (
+                          <span data-testid="all-in-filter-selected">
+                            All {pagination.total} matching bugs are selected.
+                          </span>
+                        ) : (
+                          isPageSelected && pagination.total > bugs.length && (
+                            <Button
+                              variant="link"
+                              size="sm"
+                              className="h-auto p-0"
+                              onClick={() => setAllInFilterSelected(true)}
+                              data-testid="select-all-in-filter-button"
+                            >
+                              Select all {pagination.total} matching bugs
+                            </Button>
+                          )
+                        )}
+                      </div>
+
+                      {selectionCount > 0 && (
+                        <BulkActionBar count={selectionCount} onApply={handleBulkApply} onClear={clearSelection} />
+                      )}
+
+                      <div className="grid gap-6">
+                        {bugs.map((bug) => (
+                          <div key={bug.id} className="flex items-start gap-3">
+                            <Checkbox
+                              className="mt-6"
+                              checked={allInFilterSelected || selectedIds.has(bug.id)}
+                              onCheckedChange={(checked) => toggleSelected(bug.id, checked === true)}
+                              aria-label={`Select ${bug.title}`}
+                              data-testid="bug-select-checkbox"
+                            />
+                            <div className="flex-1 min-w-0">
+                              <BugCard
+                                bug={bug}
+                                onStatusChange={handleStatusChange}
+                                onEdit={handleEditBug}
+                                onDelete={handleDeleteBug}
+                                onMarkDuplicate={handleMarkDuplicate}
+                                onAddLink={addLink}
+                                onRemoveLink={removeLink}
+                                onDeleteAttachment={deleteAttachment}
+                                recentlyChanged={changedIds.has(bug.id)}
+                              />
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Pagination */}
+                  {pagination.total > PAGE_SIZE && (
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm text-muted-foreground" data-testid="pagination-summary">
+                        Showing {pagination.offset + 1}–{pagination.offset + bugs.length} of {pagination.total}
+                      </span>
+                      <div className="flex gap-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          disabled={offset === 0}
+                          onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+                          data-testid="previous-page-button"
+                        >
+                          <ChevronLeft className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          disabled={!pagination.hasMore}
+                          onClick={() => setOffset(offset + PAGE_SIZE)}
+                          data-testid="next-page-button"
+                        >
+                          <ChevronRight className="h-4 w-4" />
+                        </Button>
+                      </div>
                     </div>
                   )}
                 </div>
               )}
             </TabsContent>
 
-            <TabsContent value="filters">
+            <TabsContent value="filters" className="space-y-6">
+              <SavedViews
+                current={{ filters: scopedFilters, search: searchTerm.trim(), sort }}
+                activeViewId={activeViewId}
+                onApply={applyView}
+              />
               <BugFilters
                 filters={filters}
-                onFiltersChange={setFilters}
+                onFiltersChange={handleFiltersChange}
                 onClearFilters={clearFilters}
               />
             </TabsContent>
 
-            <TabsContent value="stats">
-              <BugStats bugs={bugs} />
+            <TabsContent value="stats" className="space-y-6">
+              <BugStats filters={scopedFilters} search={debouncedSearch} />
+              <BugTrends filters={scopedFilters} search={debouncedSearch} />
+            </TabsContent>
+
+            <TabsContent value="releases">
+              <ReleaseReadiness project={project || undefined} canManage={user?.role === 'admin'} />
             </TabsContent>
           </Tabs>
         </main>
 
         {/* Edit Bug Dialog */}
-        <Dialog open={!!editingBug} onOpenChange={() => setEditingBug(null)}>
+        <Dialog open={!!editingBug} onOpenChange={closeEditDialog}>
           <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
             <DialogHeader>
               <DialogTitle>Edit Bug</DialogTitle>
             </DialogHeader>
-            {editingBug && (
+            {editingBug && conflict && (
+              <BugConflictMerge
+                key={conflict.current.version}
+                base={editingBug}
+                mine={conflict.mine}
+                current={conflict.current}
+                onResolve={handleResolveConflict}
+                onDiscard={closeEditDialog}
+              />
+            )}
+            {editingBug && !conflict && (
               <BugForm
                 onSubmit={handleUpdateBug}
                 loading={loading}
@@ -214,5 +584,18 @@ const Index = () => {
   );
 };
 
+const Index = () => {
+  const { user } = useAuth();
+
+  if (!user) {
+    return (
+      <ErrorBoundary>
+        <AuthForm />
+      </ErrorBoundary>
+    );
+  }
+  return <BugTracker />;
+};
+
 export default Index;
 
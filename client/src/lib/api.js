@@ -0,0 +1,93 @@
+import { Bug } from '@/types/bug';
+import { clearSession, getSession } from '@/lib/auth';
+
+export const API_BASE_URL = 'http://localhost:5000/api';
+
+export interface FieldError {
+  code: string;
+  message: string;
+}
+
+export class ApiError extends Error {
+  status: number;
+  code: string;
+  fields: Record<string, FieldError>;
+  details?: Record<string, unknown>;
+  body: any;
+
+  constructor(status: number, body: any) {
+    super(body?.message ?? `Request failed with status ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = body?.code ?? 'UNKNOWN_ERROR';
+    this.fields = body?.fields ?? {};
+    this.details = body?.details;
+    this.body = body;
+  }
+}
+
+export const toQueryString = (params: Record<string, unknown>) => {
+  const search = new URLSearchParams();
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value)) {
+      if (value.length > 0) search.set(key, value.join(','));
+    } else if (value instanceof Date) {
+      search.set(key, value.toISOString());
+    } else {
+      search.set(key, String(value));
+    }
+  });
+
+  const query = search.toString();
+  return query ? `?${query}` : '';
+};
+
+export const normalizeBug = (raw: any): Bug => ({
+  ...raw,
+  id: raw.id ?? raw._id,
+  tags: raw.tags ?? [],
+  createdAt: new Date(raw.createdAt),
+  updatedAt: new Date(raw.updatedAt)
+});
+
+const send = async (path: string, options: RequestInit = {}): Promise<Response> => {
+  const token = getSession()?.token;
+  const res = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      // Let the browser set the multipart boundary for FormData bodies
+      ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...options.headers
+    }
+  });
+
+  if (res.status === 401 && token) {
+    clearSession();
+  }
+  if (!res.ok) {
+    throw new ApiError(res.status, await res.json().catch(() => null));
+  }
+  return res;
+};
+
+export const apiRequest = async <T,>(path: string, options: RequestInit = {}): Promise<T> => {
+  const res = await send(path, options);
+  return (await res.json().catch(() => null)) as T;
+};
+
+// For authenticated downloads, e.g. attachments shown through object URLs
+export const apiBlob = async (path: string): Promise<Blob> => (await send(path)).blob();
+
+// A multipart body carrying JSON fields in a `bug` part plus attachment files
+export const toMultipart = (fields: Record<string, unknown>, files: File[]) => {
+  const body = new FormData();
+  body.append('bug', JSON.stringify(fields));
+  files.forEach(file => body.append('attachments', file));
+  return body;
+};
+
+// For long-lived streaming responses such as the live bug events
+export const apiStream = (path: string, options: RequestInit = {}): Promise<Response> => send(path, options);
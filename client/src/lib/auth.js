@@ -0,0 +1,48 @@
+export interface User {
+  id: string;
+  username: string;
+  name: string;
+  email?: string;
+  role?: 'user' | 'admin';
+}
+
+export interface Session {
+  token: string;
+  user: User;
+}
+
+const STORAGE_KEY = 'bug-tracker-session';
+const listeners = new Set<() => void>();
+
+const readSession = (): Session | null => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) ?? 'null');
+  } catch {
+    return null;
+  }
+};
+
+let session = readSession();
+
+const emit = () => listeners.forEach(listener => listener());
+
+export const getSession = () => session;
+
+export const setSession = (next: Session) => {
+  session = next;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  emit();
+};
+
+export const clearSession = () => {
+  session = null;
+  localStorage.removeItem(STORAGE_KEY);
+  emit();
+};
+
+export const subscribeSession = (listener: () => void) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
@@ -0,0 +1,89 @@
+import { ApiError, apiStream } from '@/lib/api';
+
+export interface BugStreamEvent {
+  id?: string;
+  type: string;
+  data: any;
+}
+
+interface BugEventHandlers {
+  onEvent: (event: BugStreamEvent) => void;
+  onConnectionChange?: (connected: boolean) => void;
+}
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30 * 1000;
+
+// One SSE frame of "field: value" lines; comments and retry hints are skipped
+const parseFrame = (frame: string): BugStreamEvent | null => {
+  const event: BugStreamEvent = { type: 'message', data: null };
+  const data: string[] = [];
+
+  for (const line of frame.split('\n')) {
+    if (!line || line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') event.type = value;
+    else if (field === 'id') event.id = value;
+    else if (field === 'data') data.push(value);
+  }
+
+  if (!data.length) return null;
+  event.data = JSON.parse(data.join('\n'));
+  return event;
+};
+
+// EventSource can't send the Authorization header, so the stream is read with
+// fetch instead. Reconnects with backoff, passing Last-Event-ID so the server
+// can replay what was missed or answer with a `resync` event.
+export const connectBugEvents = ({ onEvent, onConnectionChange }: BugEventHandlers) => {
+  const controller = new AbortController();
+  let lastEventId: string | undefined;
+  let retryMs = MIN_RETRY_MS;
+  let retryTimer: ReturnType<typeof setTimeout> | undefined;
+
+  const connect = async () => {
+    try {
+      const res = await apiStream('/bugs/events', {
+        headers: lastEventId ? { 'Last-Event-ID': lastEventId } : {},
+        signal: controller.signal
+      });
+      onConnectionChange?.(true);
+      retryMs = MIN_RETRY_MS;
+
+      const reader = res.body!.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        const frames = (buffer + value).replace(/\r\n/g, '\n').split('\n\n');
+        buffer = frames.pop() ?? '';
+        for (const frame of frames) {
+          const event = parseFrame(frame);
+          if (!event) continue;
+          if (event.id) lastEventId = event.id;
+          onEvent(event);
+        }
+      }
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      // The session is gone; signing in again mounts a fresh connection
+      if (err instanceof ApiError && err.status === 401) {
+        onConnectionChange?.(false);
+        return;
+      }
+    }
+
+    if (controller.signal.aborted) return;
+    onConnectionChange?.(false);
+    retryTimer = setTimeout(connect, retryMs);
+    retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+  };
+
+  connect();
+  return () => {
+    controller.abort();
+    clearTimeout(retryTimer);
+  };
+};
@@ -0,0 +1,55 @@
+import * as z from 'zod';
+import { Bug, BugPriority } from '@/types/bug';
+import { bugFields, BUG_FORM_FIELDS } from '../../../shared/bugSchema.js';
+
+const toZodField = (rule: any): z.ZodTypeAny => {
+  if (rule.type === 'boolean') return z.boolean();
+  if (rule.type === 'array') return z.array(z.string()).default(rule.default ?? []);
+  if (rule.enum) return z.enum(rule.enum);
+  if (rule.type === 'objectId') {
+    // Select inputs hold '' for "none", which the API expects as null
+    return rule.required ? z.string().min(1, rule.required) : z.string().optional().transform(value => value || null);
+  }
+
+  let field = z.string();
+  if (rule.trim) field = field.trim();
+  if (rule.required) field = field.min(1, rule.required);
+  if (rule.minLength) field = field.min(rule.minLength[0], rule.minLength[1]);
+  if (rule.maxLength) field = field.max(rule.maxLength[0], rule.maxLength[1]);
+  return rule.required ? field : field.optional();
+};
+
+export const bugFormSchema = z.object(
+  Object.fromEntries(BUG_FORM_FIELDS.map(name => [name, toZodField(bugFields[name])]))
+) as z.ZodObject<{
+  title: z.ZodString;
+  description: z.ZodString;
+  project: z.ZodString;
+  component: z.ZodEffects<z.ZodOptional<z.ZodString>, string | null>;
+  affectsVersion: z.ZodEffects<z.ZodOptional<z.ZodString>, string | null>;
+  fixVersion: z.ZodEffects<z.ZodOptional<z.ZodString>, string | null>;
+  priority: z.ZodEnum<['low', 'medium', 'high', 'critical']>;
+  assignee: z.ZodString;
+  environment: z.ZodString;
+  reproducible: z.ZodBoolean;
+  stepsToReproduce: z.ZodOptional<z.ZodString>;
+  tags: z.ZodDefault<z.ZodArray<z.ZodString>>;
+}>;
+
+export type BugFormValues = z.infer<typeof bugFormSchema>;
+
+// The editable form values of an existing bug (or the defaults for a new one)
+export const toBugFormValues = (bug?: Partial<Bug>): BugFormValues => ({
+  title: bug?.title ?? '',
+  description: bug?.description ?? '',
+  project: bug?.project?.id ?? '',
+  component: bug?.component?.id ?? '',
+  affectsVersion: bug?.affectsVersion?.id ?? '',
+  fixVersion: bug?.fixVersion?.id ?? '',
+  priority: (bug?.priority as BugPriority) ?? 'medium',
+  assignee: bug?.assignee?.id ?? '',
+  environment: bug?.environment ?? '',
+  reproducible: bug?.reproducible ?? false,
+  stepsToReproduce: bug?.stepsToReproduce ?? '',
+  tags: bug?.tags ?? []
+});
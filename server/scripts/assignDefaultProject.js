@@ -0,0 +1,23 @@
+// Bugs reported before projects existed have none, and can't be saved until
+// they get one. This files all of them under one project, created if needed:
+//
+//   MONGODB_URI=mongodb://... node server/scripts/assignDefaultProject.js [KEY] [name]
+import mongoose from 'mongoose';
+import Bug from '../src/models/Bug.js';
+import Project from '../src/models/Project.js';
+
+const [key = 'GEN', name = 'General'] = process.argv.slice(2);
+
+await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bugtracker');
+try {
+  const project = (await Project.findOne({ key: key.toUpperCase() })) ?? (await Project.create({ key, name }));
+  // These bugs fail the model's validation until they have a project, so
+  // they can only be given one through the collection
+  const { modifiedCount } = await Bug.collection.updateMany(
+    { project: { $exists: false } },
+    { $set: { project: project._id, component: null } }
+  );
+  console.log(`Filed ${modifiedCount} bugs under ${project.key} (${project.name})`);
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,21 @@
+// Bugs saved before edits were version-checked keep Mongoose's old __v key and
+// have no version, so they get an ETag of "undefined" and every edit to them
+// skips the conflict check. This moves __v over to version, starting at 0 for
+// bugs that never had one:
+//
+//   MONGODB_URI=mongodb://... node server/scripts/backfillBugVersions.js
+import mongoose from 'mongoose';
+import Bug from '../src/models/Bug.js';
+
+await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bugtracker');
+try {
+  // The model would bump the version it is setting, so this writes to the
+  // collection; that also reaches bugs in the trash
+  const { modifiedCount } = await Bug.collection.updateMany(
+    { version: { $exists: false } },
+    [{ $set: { version: { $ifNull: ['$__v', 0] } } }, { $unset: '__v' }]
+  );
+  console.log(`Set version on ${modifiedCount} bugs`);
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,27 @@
+// Bugs resolved or acknowledged before SLA tracking existed have no
+// resolvedAt/acknowledgedAt, so their SLA reads as breached. This takes the
+// bug's last update as the best guess at when that happened:
+//
+//   MONGODB_URI=mongodb://... node server/scripts/backfillSlaDates.js
+import mongoose from 'mongoose';
+import Bug from '../src/models/Bug.js';
+import { bugWorkflow } from '../../shared/bugWorkflow.js';
+
+const lastUpdate = { $ifNull: ['$updatedAt', '$createdAt'] };
+
+await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bugtracker');
+try {
+  // Saving through the model would move updatedAt, which the acknowledgedAt
+  // guess reads after resolvedAt has been set
+  const resolved = await Bug.collection.updateMany(
+    { status: { $nin: bugWorkflow.unresolved }, resolvedAt: null },
+    [{ $set: { resolvedAt: lastUpdate } }]
+  );
+  const acknowledged = await Bug.collection.updateMany(
+    { status: { $ne: bugWorkflow.initial }, acknowledgedAt: null },
+    [{ $set: { acknowledgedAt: lastUpdate } }]
+  );
+  console.log(`Set resolvedAt on ${resolved.modifiedCount} bugs and acknowledgedAt on ${acknowledged.modifiedCount}`);
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,51 @@
+// Bugs filed before user accounts existed name their assignee and reporter in
+// free text. This points each of those at the user whose username or name
+// matches it (ignoring case). Names that match nobody, or more than one
+// user, are listed and left alone unless a fallback user is given:
+//
+//   MONGODB_URI=mongodb://... node server/scripts/linkBugUsers.js [fallback-username]
+import mongoose from 'mongoose';
+import Bug from '../src/models/Bug.js';
+import User from '../src/models/User.js';
+
+const USER_FIELDS = ['assignee', 'reporter'];
+const [fallbackUsername] = process.argv.slice(2);
+
+const key = (value) => value.trim().toLowerCase();
+
+// Usernames are unique; display names aren't, so shared ones match no one
+const buildLookup = (users) => {
+  const byUsername = new Map(users.map(user => [user.username, user]));
+  const byName = new Map();
+  for (const user of users) {
+    const name = key(user.name);
+    byName.set(name, byName.has(name) ? null : user);
+  }
+  return (value) => byUsername.get(key(value)) ?? byName.get(key(value)) ?? null;
+};
+
+await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bugtracker');
+try {
+  const fallback = fallbackUsername && (await User.findOne({ username: key(fallbackUsername) }));
+  if (fallbackUsername && !fallback) throw new Error(`No user named "${fallbackUsername}"`);
+
+  const findUser = buildLookup(await User.find({}, 'username name'));
+  for (const field of USER_FIELDS) {
+    // The model casts these fields to user ids, so it can't find the ones that
+    // still hold names; the collection can
+    const names = await Bug.collection.distinct(field, { [field]: { $type: 'string' } });
+    let linked = 0;
+    for (const name of names) {
+      const user = findUser(name) ?? fallback;
+      if (!user) {
+        console.warn(`No single user matches ${field} "${name}"`);
+        continue;
+      }
+      const { modifiedCount } = await Bug.collection.updateMany({ [field]: name }, { $set: { [field]: user._id } });
+      linked += modifiedCount;
+    }
+    console.log(`Linked the ${field} of ${linked} bugs`);
+  }
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,24 @@
+// Gives the admin role to accounts that already exist. Registering never
+// does, so nobody becomes admin by claiming a username first:
+//
+//   MONGODB_URI=mongodb://... node server/scripts/promoteAdmins.js alice [bob ...]
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+
+const usernames = process.argv.slice(2).map(username => username.trim().toLowerCase());
+if (!usernames.length) {
+  console.error('Usage: node server/scripts/promoteAdmins.js <username> [username ...]');
+  process.exit(1);
+}
+
+await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bugtracker');
+try {
+  const { modifiedCount } = await User.updateMany({ username: { $in: usernames } }, { role: 'admin' });
+  const found = await User.find({ username: { $in: usernames } }).distinct('username');
+  for (const username of usernames.filter(name => !found.includes(name))) {
+    console.warn(`No user named "${username}"; they have to register first`);
+  }
+  console.log(`Promoted ${modifiedCount} users to admin`);
+} finally {
+  await mongoose.disconnect();
+}
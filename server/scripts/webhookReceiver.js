@@ -0,0 +1,67 @@
+// A local endpoint to point webhooks at while developing:
+//
+//   WEBHOOK_SECRET=whsec_... node server/scripts/webhookReceiver.js [port] [--fail <n>]
+//
+// It checks each delivery's signature, logs it and answers 204 (or 401 when
+// the signature is wrong). `--fail <n>` answers 500 to the first n requests,
+// to watch the retries. Tests use createWebhookReceiver() directly.
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { verifyWebhookSignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } from '../src/utils/webhooks.js';
+
+// `respond(delivery)` picks the status code; resolves once listening
+export const createWebhookReceiver = ({ secret, port = 0, respond = () => 204, onDelivery = () => {} } = {}) =>
+  new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const delivery = {
+          id: req.headers['x-webhook-delivery'],
+          event: req.headers['x-webhook-event'],
+          headers: req.headers,
+          body,
+          verified: verifyWebhookSignature(secret, {
+            signature: req.headers[SIGNATURE_HEADER.toLowerCase()],
+            timestamp: req.headers[TIMESTAMP_HEADER.toLowerCase()],
+            body
+          })
+        };
+        try {
+          delivery.payload = JSON.parse(body);
+        } catch {
+          delivery.payload = null;
+        }
+
+        onDelivery(delivery);
+        res.statusCode = delivery.verified ? respond(delivery) : 401;
+        res.end();
+      });
+    });
+
+    server.listen(port, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}`, close: () => server.close() });
+    });
+  });
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { values, positionals } = parseArgs({ options: { fail: { type: 'string' } }, allowPositionals: true });
+  let failuresLeft = Number(values.fail) || 0;
+  const port = Number(positionals[0]) || 4000;
+
+  if (!process.env.WEBHOOK_SECRET) {
+    console.error('Set WEBHOOK_SECRET to the secret shown when the webhook was created');
+    process.exit(1);
+  }
+
+  const { url } = await createWebhookReceiver({
+    secret: process.env.WEBHOOK_SECRET,
+    port,
+    respond: () => (failuresLeft-- > 0 ? 500 : 204),
+    onDelivery: ({ id, event, verified, payload }) =>
+      console.log(`${new Date().toISOString()} ${event} ${id} ${verified ? 'signature ok' : 'BAD SIGNATURE'}`, payload?.data?.id ?? '')
+  });
+  console.log(`Listening for webhooks on ${url}`);
+}
@@ -0,0 +1,63 @@
+// The API app. Importing it (as the tests do) only builds the app; running
+// this file connects to MongoDB and starts listening:
+//
+//   MONGODB_URI=mongodb://... JWT_SECRET=... node server/server.js
+//
+// Without JWT_SECRET it only starts with NODE_ENV=development.
+import { fileURLToPath } from 'url';
+import express from 'express';
+import mongoose from 'mongoose';
+import authRoutes from './src/routes/authRoutes.js';
+import userRoutes from './src/routes/userRoutes.js';
+import bugRoutes from './src/routes/bugRoutes.js';
+import projectRoutes from './src/routes/projectRoutes.js';
+import releaseRoutes from './src/routes/releaseRoutes.js';
+import notificationRoutes from './src/routes/notificationRoutes.js';
+import savedViewRoutes from './src/routes/savedViewRoutes.js';
+import webhookRoutes from './src/routes/webhookRoutes.js';
+import { startJobs } from './src/jobs/index.js';
+import errorHandler from './src/middleware/erroHandler.js';
+import ApiError from './src/utils/ApiError.js';
+import { PORT, MONGODB_URI, CLIENT_ORIGIN } from './src/config/server.js';
+
+const app = express();
+
+app.use((req, res, next) => {
+  res.set({
+    'Access-Control-Allow-Origin': CLIENT_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, Last-Event-ID',
+    'Access-Control-Expose-Headers': 'Content-Disposition',
+    Vary: 'Origin'
+  });
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
+  next();
+});
+app.use(express.json());
+
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/bugs', bugRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/releases', releaseRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/views', savedViewRoutes);
+app.use('/api/webhooks', webhookRoutes);
+
+app.use('/api', (req, res, next) => next(ApiError.notFound('Route')));
+app.use(errorHandler);
+
+export const startServer = async ({ port = PORT, uri = MONGODB_URI } = {}) => {
+  await mongoose.connect(uri);
+  startJobs();
+  return app.listen(port, () => console.log(`API listening on port ${port}`));
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startServer().catch(err => {
+    console.error('Server failed to start:', err);
+    process.exit(1);
+  });
+}
+
+export default app;
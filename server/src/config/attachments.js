@@ -0,0 +1,6 @@
+import path from 'path';
+import { ATTACHMENT_LIMITS } from '../../../shared/attachments.js';
+
+export const ATTACHMENT_STORAGE = process.env.ATTACHMENT_STORAGE || 'local';
+export const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+export const MAX_ATTACHMENT_SIZE = Number(process.env.MAX_ATTACHMENT_SIZE) || ATTACHMENT_LIMITS.maxFileSize;
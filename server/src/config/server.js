@@ -0,0 +1,4 @@
+export const PORT = Number(process.env.PORT) || 5000;
+export const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/bugtracker';
+// The client is served from its own origin in development
+export const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:5173';
@@ -0,0 +1,9 @@
+import { DEFAULT_SLA_POLICIES } from '../../../shared/sla.js';
+
+// SLA_POLICIES overrides the defaults per priority, e.g.
+// SLA_POLICIES='{"critical":{"acknowledgeHours":2,"resolveHours":24}}'
+const overrides = process.env.SLA_POLICIES ? JSON.parse(process.env.SLA_POLICIES) : {};
+
+export const SLA_POLICIES = Object.fromEntries(
+  Object.entries(DEFAULT_SLA_POLICIES).map(([priority, policy]) => [priority, { ...policy, ...overrides[priority] }])
+);
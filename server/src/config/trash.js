@@ -0,0 +1,2 @@
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+export const TRASH_PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
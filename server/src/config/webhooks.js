@@ -0,0 +1,7 @@
+export const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+export const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+// Retries wait this long, doubling after every failed attempt
+export const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+export const WEBHOOK_RETRY_MAX_MS = Number(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000;
+export const WEBHOOK_POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 15 * 1000;
+export const WEBHOOK_DELIVERY_RETENTION_DAYS = Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
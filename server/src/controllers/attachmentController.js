@@ -0,0 +1,58 @@
+import Bug from '../models/Bug.js';
+import Attachment from '../models/Attachment.js';
+import ApiError from '../utils/ApiError.js';
+import { getStorage } from '../storage/index.js';
+import { broadcastBugs } from './bugController.js';
+
+const UPLOADER_FIELDS = { path: 'uploadedBy', select: 'username name' };
+
+const findAttachment = (req) => Attachment.findOne({ _id: req.params.attachmentId, bug: req.params.id });
+
+export const getAttachments = async (req, res) => {
+  if (!(await Bug.exists({ _id: req.params.id }))) throw ApiError.notFound('Bug');
+
+  const attachments = await Attachment.find({ bug: req.params.id })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate(UPLOADER_FIELDS);
+  res.json(attachments);
+};
+
+export const uploadAttachments = async (req, res) => {
+  const bug = await Bug.findById(req.params.id).select('_id');
+  if (!bug) throw ApiError.notFound('Bug');
+  if (!req.files.length) throw ApiError.badRequest('No files were uploaded');
+
+  const attachments = await Attachment.storeFiles(bug._id, req.files, req.user._id);
+  await Attachment.populate(attachments, UPLOADER_FIELDS);
+  await broadcastBugs('bug.updated', [bug._id]);
+  res.status(201).json(attachments);
+};
+
+export const downloadAttachment = async (req, res, next) => {
+  if (!(await Bug.exists({ _id: req.params.id }))) throw ApiError.notFound('Bug');
+  const attachment = await findAttachment(req);
+  if (!attachment) throw ApiError.notFound('Attachment');
+
+  res.set({
+    'Content-Type': attachment.contentType,
+    'Content-Length': attachment.size,
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.attachment(attachment.filename);
+  getStorage().createReadStream(attachment.storageKey).on('error', next).pipe(res);
+};
+
+// The uploader and the bug's reporter may remove an attachment
+export const deleteAttachment = async (req, res) => {
+  const bug = await Bug.findById(req.params.id).select('reporter');
+  if (!bug) throw ApiError.notFound('Bug');
+  const attachment = await findAttachment(req);
+  if (!attachment) throw ApiError.notFound('Attachment');
+  if (!attachment.uploadedBy?.equals(req.user._id) && !bug.reporter.equals(req.user._id)) {
+    throw ApiError.forbidden('Only the uploader or the reporter can delete this attachment');
+  }
+
+  await Attachment.removeWithFiles({ _id: attachment._id });
+  await broadcastBugs('bug.updated', [bug._id]);
+  res.json({ message: 'Attachment deleted' });
+};
@@ -0,0 +1,35 @@
+import User from '../models/User.js';
+import ApiError from '../utils/ApiError.js';
+import { generateToken } from '../utils/auth.js';
+
+const sendSession = (res, user, status = 200) =>
+  res.status(status).json({ token: generateToken(user), user });
+
+// Anyone can sign up, so new accounts are always plain users; admins are
+// promoted afterwards with server/scripts/promoteAdmins.js
+export const register = async (req, res) => {
+  const { username, name, email, password } = req.body;
+  const user = new User({ username, name, email, password, role: 'user' });
+  await user.save();
+  sendSession(res, user, 201);
+};
+
+export const login = async (req, res) => {
+  const { username, password } = req.body;
+  if (!username || !password) {
+    throw ApiError.validation({
+      ...(!username && { username: { code: 'required', message: 'Username is required' } }),
+      ...(!password && { password: { code: 'required', message: 'Password is required' } })
+    });
+  }
+
+  const user = await User.findOne({ username: String(username).toLowerCase() }).select('+password');
+  if (!user || !(await user.comparePassword(password))) {
+    throw ApiError.unauthorized('Invalid username or password');
+  }
+  sendSession(res, user);
+};
+
+export const getCurrentUser = async (req, res) => {
+  res.json(req.user);
+};
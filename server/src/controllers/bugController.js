@@ -1,22 +1,666 @@
+import mongoose from 'mongoose';
 import Bug from '../models/Bug.js';
+import BugHistory from '../models/BugHistory.js';
+import BugLink from '../models/BugLink.js';
+import Attachment from '../models/Attachment.js';
+import User from '../models/User.js';
+import Project from '../models/Project.js';
+import Component from '../models/Component.js';
+import Release from '../models/Release.js';
+import { parseBugQuery, isRankedSort, buildRankedSortStages, QueryError } from '../utils/bugQuery.js';
+import { parseSearchQuery, buildHighlights } from '../utils/textSearch.js';
+import { getActor } from '../utils/actor.js';
+import { paginate } from '../utils/pagination.js';
+import { pick } from '../utils/pick.js';
+import { buildSimilarityQuery, scoreSimilarity, SIMILARITY_WEIGHTS, MIN_SIMILARITY } from '../utils/similarity.js';
+import { parseBulkRequest, applyBulkChanges, MAX_BULK_ITEMS } from '../utils/bulkUpdate.js';
+import {
+  parseImportRequest,
+  toBugFields,
+  getImportUserKeys,
+  getImportProjectKeys,
+  getImportExternalIds,
+  toExportRow,
+  formatExport,
+  EXPORT_FORMATS,
+  MAX_EXPORT_ROWS
+} from '../utils/bugImport.js';
+import { buildStatsPipeline, summarizeStats } from '../utils/bugStats.js';
+import { parseTrendQuery, buildTrends, MAX_TREND_BUGS } from '../utils/bugTrends.js';
+import { getPurgeDate } from '../jobs/purgeTrash.js';
+import { toApiError } from '../middleware/erroHandler.js';
+import { publishBugEvent } from '../events/bugEvents.js';
+import { notifyBugChange } from './notificationController.js';
+import ApiError from '../utils/ApiError.js';
+import { bugFields, BUG_FORM_FIELDS } from '../../../shared/bugSchema.js';
+import {
+  bugWorkflow,
+  canTransition,
+  getAllowedTransitions,
+  getMissingTransitionFields,
+  isUnresolved
+} from '../../../shared/bugWorkflow.js';
+
+const BUG_FIELDS = Object.keys(bugFields);
+const POPULATED_FIELDS = [
+  { path: 'project', select: 'key name' },
+  { path: 'component', select: 'name' },
+  { path: 'affectsVersion', select: 'name releasedAt' },
+  { path: 'fixVersion', select: 'name releasedAt' },
+  { path: 'assignee', select: 'username name' },
+  { path: 'reporter', select: 'username name' },
+  { path: 'duplicateOf', select: 'title status' }
+];
+const MAX_DUPLICATE_CANDIDATES = 50;
+const MAX_SIMILAR_BUGS = 5;
+
+// The reporter is whoever files the bug, never a field the body sets
+const EDITABLE_BUG_FIELDS = BUG_FIELDS.filter(field => field !== 'reporter');
+
+// Adds each bug's links (with the linked bugs' current status) and
+// attachments, using one query per relation for the whole page.
+const withRelations = async (bugs, extra = () => ({})) => {
+  const ids = bugs.map(bug => bug._id);
+  const [links, attachments] = await Promise.all([
+    BugLink.findForBugs(ids),
+    Attachment.find({ bug: { $in: ids } }).sort({ createdAt: 1, _id: 1 })
+  ]);
+
+  return bugs.map(bug => ({
+    ...bug.toJSON(),
+    links: links.get(String(bug._id)) ?? [],
+    attachments: attachments.filter(attachment => attachment.bug.equals(bug._id)),
+    ...extra(bug)
+  }));
+};
+
+// Sends the bugs' current list view to live clients. The change is already
+// saved by then, so a failure here is logged rather than failing the request.
+export const broadcastBugs = async (type, ids, extra) => {
+  try {
+    const bugs = await Bug.find({ _id: { $in: ids } }).populate(POPULATED_FIELDS);
+    for (const data of await withRelations(bugs, extra)) publishBugEvent(type, data);
+  } catch (err) {
+    console.error('Could not broadcast bug changes:', err.message);
+  }
+};
+
+// Announces the saved bugs that moved to another status, with the transition
+const broadcastStatusChanges = async (bugs) => {
+  const changes = new Map(
+    bugs.filter(bug => bug.$locals.statusChange).map(bug => [String(bug._id), bug.$locals.statusChange])
+  );
+  if (!changes.size) return;
+  await broadcastBugs('bug.status_changed', [...changes.keys()], bug => ({ statusChange: changes.get(String(bug._id)) }));
+};
+
+// Bugs matching the filter in `sort` order, populated. Ranked sorts go through
+// an aggregate whose results are turned back into documents.
+const findBugs = async (filter, sort, { projection, offset = 0, limit } = {}) => {
+  if (!isRankedSort(sort)) {
+    const query = Bug.find(filter, projection).sort(sort).skip(offset);
+    return (limit ? query.limit(limit) : query).populate(POPULATED_FIELDS);
+  }
+
+  // aggregate() doesn't cast, so let a query turn ids and dates into their types
+  const docs = await Bug.aggregate([
+    { $match: Bug.find().cast(Bug, filter) },
+    ...(projection ? [{ $addFields: projection }] : []),
+    ...buildRankedSortStages(sort),
+    { $skip: offset },
+    ...(limit ? [{ $limit: limit }] : [])
+  ]);
+  return Bug.populate(docs.map(doc => Bug.hydrate(doc)), POPULATED_FIELDS);
+};
 
 export const getBugs = async (req, res) => {
-  const bugs = await Bug.find();
-  res.json(bugs);
+  const { filter, sort, limit, offset } = parseBugQuery(req.query);
+  const [bugs, total] = await Promise.all([
+    findBugs(filter, sort, { offset, limit }),
+    Bug.countDocuments(filter)
+  ]);
+
+  res.json(paginate(await withRelations(bugs), { total, limit, offset }));
+};
+
+export const searchBugs = async (req, res) => {
+  const search = parseSearchQuery(req.query.q);
+  const query = parseBugQuery(req.query);
+  const { filter, limit, offset } = query;
+  const textFilter = { ...filter, $text: { $search: search.query } };
+  const score = { score: { $meta: 'textScore' } };
+  const sort = req.query.sort ? query.sort : { ...score, _id: 1 };
+
+  const [bugs, total] = await Promise.all([
+    findBugs(textFilter, sort, { projection: score, offset, limit }),
+    Bug.countDocuments(textFilter)
+  ]);
+
+  const data = await withRelations(bugs, bug => ({
+    score: bug.get('score'),
+    highlights: buildHighlights(bug, search)
+  }));
+  res.json(paginate(data, { total, limit, offset }));
+};
+
+// Ranks unresolved bugs by how closely they match a draft report. The text
+// index narrows the candidates; scoreSimilarity orders them.
+export const findSimilarBugs = async (req, res) => {
+  const draft = Object.fromEntries(
+    Object.keys(SIMILARITY_WEIGHTS).map(field => [field, typeof req.body[field] === 'string' ? req.body[field] : ''])
+  );
+  const query = buildSimilarityQuery(draft);
+  if (!query) return res.json({ data: [] });
+
+  const filter = { status: { $in: bugWorkflow.unresolved }, $text: { $search: query } };
+  if (req.body.excludeId) filter._id = { $ne: req.body.excludeId };
+
+  const score = { score: { $meta: 'textScore' } };
+  const candidates = await Bug.find(filter, score)
+    .sort(score)
+    .limit(MAX_DUPLICATE_CANDIDATES)
+    .populate(POPULATED_FIELDS);
+
+  const data = candidates
+    .map(bug => ({ bug, similarity: Math.round(scoreSimilarity(draft, bug) * 100) / 100 }))
+    .filter(({ similarity }) => similarity >= MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, MAX_SIMILAR_BUGS)
+    .map(({ bug, similarity }) => ({ ...bug.toJSON(), similarity }));
+
+  res.json({ data });
+};
+
+const ETAG = /^(?:W\/)?"(\d+)"$/;
+
+const setETag = (res, bug) => res.set('ETag', `"${bug.version}"`);
+
+// The version a client based its edit on: If-Match wins over body.version,
+// and neither (or If-Match: *) means an unconditional write.
+const getExpectedVersion = (req) => {
+  const header = req.get('If-Match')?.trim();
+  if (header === '*') return undefined;
+  if (header !== undefined) {
+    const match = ETAG.exec(header);
+    if (!match) throw ApiError.badRequest('If-Match must be a bug ETag such as "3"');
+    return Number(match[1]);
+  }
+
+  const { version } = req.body;
+  if (version === undefined) return undefined;
+  if (!Number.isInteger(version) || version < 0) {
+    throw ApiError.validation({ version: { code: 'invalid', message: '"version" must be a non-negative integer' } });
+  }
+  return version;
+};
+
+const versionConflict = async (id) => {
+  const current = await Bug.findById(id).populate(POPULATED_FIELDS);
+  if (!current) return ApiError.notFound('Bug');
+  return ApiError.conflict('VERSION_CONFLICT', 'This bug was changed by someone else since you loaded it', {
+    details: { current }
+  });
+};
+
+const assertTransition = (from, to, body) => {
+  if (!canTransition(from, to)) {
+    throw ApiError.conflict('INVALID_TRANSITION', `Cannot move a bug from "${from}" to "${to}"`, {
+      details: { from, to, allowed: getAllowedTransitions(from) }
+    });
+  }
+
+  const missing = getMissingTransitionFields(to, body);
+  if (Object.keys(missing).length) {
+    throw ApiError.validation(
+      Object.fromEntries(Object.entries(missing).map(([field, message]) => [field, { code: 'required', message }]))
+    );
+  }
+};
+
+// Closing as a duplicate skips the resolve step, which only makes sense while
+// the bug still needs work, and only towards an original that does too
+const assertDuplicatable = (bug, original) => {
+  for (const [which, { status }] of [['this bug', bug], ['the original', original]]) {
+    if (!isUnresolved(status)) {
+      throw ApiError.conflict('INVALID_TRANSITION', `Cannot mark a duplicate while ${which} is "${status}"`, {
+        details: { from: bug.status, to: 'closed', allowed: getAllowedTransitions(bug.status) }
+      });
+    }
+  }
+};
+
+// Uploaded files are stored before the bug is saved, so a storage failure
+// leaves nothing saved for a retry to duplicate or conflict with. If the save
+// then fails, the files stored for it are removed again.
+const saveWithFiles = async (req, bug) => {
+  if (!req.files?.length) return bug.save();
+
+  await bug.validate();
+  const attachments = await Attachment.storeFiles(bug._id, req.files, req.user._id);
+  try {
+    return await bug.save();
+  } catch (err) {
+    await Attachment.removeWithFiles({ _id: { $in: attachments.map(attachment => attachment._id) } });
+    throw err;
+  }
 };
 
 export const createBug = async (req, res) => {
-  const bug = new Bug(req.body);
-  await bug.save();
+  const { status } = req.body;
+  if (status !== undefined && status !== bugWorkflow.initial) {
+    throw ApiError.conflict('INVALID_TRANSITION', `New bugs must start as "${bugWorkflow.initial}"`, {
+      details: { from: null, to: status, allowed: [bugWorkflow.initial] }
+    });
+  }
+
+  const bug = new Bug({ ...pick(req.body, EDITABLE_BUG_FIELDS), reporter: req.user._id });
+  await saveWithFiles(req, bug);
+  await BugHistory.record({
+    bug,
+    action: 'create',
+    actor: getActor(req),
+    before: {},
+    after: bug.toObject(),
+    fields: BUG_FIELDS
+  });
+  await notifyBugChange(req, null, bug);
+  await bug.populate(POPULATED_FIELDS);
+  await broadcastBugs('bug.created', [bug._id]);
+  setETag(res, bug);
   res.status(201).json(bug);
 };
 
-export const updateBug = async (req, res) => {
-  const bug = await Bug.findByIdAndUpdate(req.params.id, req.body, { new: true });
+export const getBug = async (req, res) => {
+  const bug = await Bug.findById(req.params.id).populate(POPULATED_FIELDS);
+  if (!bug) throw ApiError.notFound('Bug');
+  setETag(res, bug);
+  const [data] = await withRelations([bug]);
+  res.json(data);
+};
+
+// PUT replaces every form field (omitted ones fall back to their default or
+// fail validation); PATCH only touches the fields present in the body.
+const saveBugChanges = async (req, res, { replace }) => {
+  const expectedVersion = getExpectedVersion(req);
+  const bug = await Bug.findById(req.params.id);
+  if (!bug) throw ApiError.notFound('Bug');
+  if (expectedVersion !== undefined && expectedVersion !== bug.version) {
+    throw await versionConflict(bug._id);
+  }
+
+  const { status } = req.body;
+  if (status !== undefined && status !== bug.status) {
+    assertTransition(bug.status, status, req.body);
+  }
+
+  const changes = pick(req.body, EDITABLE_BUG_FIELDS);
+  if (replace) {
+    for (const field of BUG_FORM_FIELDS) {
+      if (!(field in changes)) changes[field] = bugFields[field].default;
+    }
+  }
+
+  const before = bug.toObject();
+  bug.set(changes);
+  try {
+    await saveWithFiles(req, bug);
+  } catch (err) {
+    // Someone else saved between our read and write
+    if (err instanceof mongoose.Error.VersionError) throw await versionConflict(bug._id);
+    throw err;
+  }
+  await BugHistory.record({
+    bug,
+    action: 'update',
+    actor: getActor(req),
+    before,
+    after: bug.toObject(),
+    fields: BUG_FIELDS
+  });
+  await notifyBugChange(req, before, bug);
+  await bug.populate(POPULATED_FIELDS);
+  await broadcastBugs('bug.updated', [bug._id]);
+  await broadcastStatusChanges([bug]);
+  setETag(res, bug);
+  res.json(bug);
+};
+
+export const updateBug = (req, res) => saveBugChanges(req, res, { replace: true });
+
+export const patchBug = (req, res) => saveBugChanges(req, res, { replace: false });
+
+// Closing as a duplicate skips the usual workflow: any open report can go
+// straight to closed, with the original recorded as the resolution.
+export const markDuplicate = async (req, res) => {
+  const { duplicateOf } = req.body;
+  if (typeof duplicateOf !== 'string' || !duplicateOf) {
+    throw ApiError.validation({ duplicateOf: { code: 'required', message: 'The original bug is required' } });
+  }
+
+  const bug = await Bug.findById(req.params.id);
+  if (!bug) throw ApiError.notFound('Bug');
+  if (!bug.reporter.equals(req.user._id)) {
+    throw ApiError.forbidden('Only the reporter can mark a bug as a duplicate');
+  }
+  if (bug.duplicateOf) {
+    throw ApiError.conflict('ALREADY_DUPLICATE', 'This bug is already marked as a duplicate');
+  }
+  if (bug._id.equals(duplicateOf)) {
+    throw ApiError.validation({ duplicateOf: { code: 'self', message: 'A bug cannot be a duplicate of itself' } });
+  }
+
+  const original = await Bug.findById(duplicateOf);
+  if (!original) throw ApiError.notFound('Original bug');
+  assertDuplicatable(bug, original);
+
+  const before = bug.toObject();
+  bug.set({ duplicateOf: original._id, status: 'closed', resolution: `Duplicate of "${original.title}"` });
+  await bug.save();
+  await BugLink.updateOne(
+    { source: bug._id, target: original._id, type: 'duplicate-of' },
+    { $setOnInsert: { createdBy: req.user._id } },
+    { upsert: true }
+  );
+  await BugHistory.record({
+    bug,
+    action: 'update',
+    actor: getActor(req),
+    before,
+    after: bug.toObject(),
+    fields: [...BUG_FIELDS, 'duplicateOf']
+  });
+  await notifyBugChange(req, before, bug);
+  await bug.populate(POPULATED_FIELDS);
+  await broadcastBugs('bug.updated', [bug._id, original._id]);
+  await broadcastStatusChanges([bug]);
+  setETag(res, bug);
   res.json(bug);
 };
 
+const toItemError = (err) => {
+  const apiError = toApiError(err);
+  if (!apiError) {
+    console.error(err.stack);
+    return { code: 'INTERNAL_ERROR', message: 'Could not save this bug' };
+  }
+  const { code, message, fields, details } = apiError;
+  return { code, message, ...(fields && { fields }), ...(details && { details }) };
+};
+
+// Each bug is updated on its own so one invalid transition or failed
+// validation only fails that item; the response reports every outcome.
+export const bulkUpdateBugs = async (req, res) => {
+  const { ids, filter, changes } = parseBulkRequest(req.body);
+  const targets = ids ?? (await Bug.find(filter, '_id').sort({ _id: 1 }).limit(MAX_BULK_ITEMS + 1)).map(bug => bug._id);
+  if (targets.length > MAX_BULK_ITEMS) {
+    throw ApiError.badRequest(`At most ${MAX_BULK_ITEMS} bugs can be edited at once; narrow the filter`);
+  }
+
+  const results = [];
+  const savedBugs = [];
+  for (const id of targets) {
+    try {
+      const bug = await Bug.findById(id);
+      if (!bug) throw ApiError.notFound('Bug');
+
+      const { status } = changes.set;
+      if (status !== undefined && status !== bug.status) {
+        assertTransition(bug.status, status, changes.set);
+      }
+
+      const before = bug.toObject();
+      applyBulkChanges(bug, changes);
+      await bug.save();
+      await BugHistory.record({
+        bug,
+        action: 'update',
+        actor: getActor(req),
+        before,
+        after: bug.toObject(),
+        fields: BUG_FIELDS
+      });
+      await notifyBugChange(req, before, bug);
+      savedBugs.push(bug);
+      results.push({ id: String(id), ok: true });
+    } catch (err) {
+      results.push({ id: String(id), ok: false, error: toItemError(err) });
+    }
+  }
+
+  const updatedIds = results.filter(result => result.ok).map(result => result.id);
+  if (updatedIds.length) await broadcastBugs('bug.updated', updatedIds);
+  await broadcastStatusChanges(savedBugs);
+
+  const updated = updatedIds.length;
+  res.json({ results, summary: { total: results.length, updated, failed: results.length - updated } });
+};
+
+const getSearchTerm = (query) => String(query.q ?? '').trim();
+
+// Narrows a list filter by `q` the way GET /api/bugs/search does
+const withSearch = (filter, q) => (q ? { ...filter, $text: { $search: parseSearchQuery(q).query } } : filter);
+
+// Counts and resolution times over every bug matching the list filters and search
+export const getBugStats = async (req, res) => {
+  const { filter } = parseBugQuery(req.query);
+  // aggregate() doesn't cast, so let a query turn ids and dates into their types
+  const match = Bug.find().cast(Bug, withSearch(filter, getSearchTerm(req.query)));
+  res.json(summarizeStats(await Bug.aggregate(buildStatsPipeline(match))));
+};
+
+// Time series over the bugs matching the list filters and search, rebuilt
+// from each bug's recorded status changes.
+export const getBugTrends = async (req, res) => {
+  const { interval, from, to, buckets } = parseTrendQuery(req.query);
+  const { filter } = parseBugQuery(req.query);
+  // Bugs reported after the window can't show up in it
+  const createdBy = filter.createdAt?.$lte < to ? filter.createdAt.$lte : to;
+  const trendFilter = { ...withSearch(filter, getSearchTerm(req.query)), createdAt: { ...filter.createdAt, $lte: createdBy } };
+
+  if ((await Bug.countDocuments(trendFilter)) > MAX_TREND_BUGS) {
+    throw ApiError.badRequest(`Trends cover at most ${MAX_TREND_BUGS} bugs; narrow the filter`);
+  }
+  const bugs = await Bug.find(trendFilter, 'status createdAt updatedAt resolvedAt statusChanges').lean();
+  res.json({ interval, from, to, ...buildTrends(bugs, { interval, buckets }) });
+};
+
+// Exports every bug matching the list filters and search, i.e. the Index
+// page's current view without its paging.
+export const exportBugs = async (req, res) => {
+  const format = req.query.format ?? 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new QueryError(`"format" must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const query = parseBugQuery(req.query);
+  const q = getSearchTerm(req.query);
+  const score = q ? { score: { $meta: 'textScore' } } : undefined;
+  const filter = withSearch(query.filter, q);
+  const sort = q && !req.query.sort ? { ...score, _id: 1 } : query.sort;
+
+  if ((await Bug.countDocuments(filter)) > MAX_EXPORT_ROWS) {
+    throw ApiError.badRequest(`At most ${MAX_EXPORT_ROWS} bugs can be exported at once; narrow the filter`);
+  }
+  const bugs = await findBugs(filter, sort, { projection: score });
+  const output = formatExport(bugs.map(toExportRow), format);
+
+  res.attachment(`bugs-${new Date().toISOString().slice(0, 10)}.${format}`);
+  // The byte order mark makes spreadsheet apps read the CSV as UTF-8
+  res.send(format === 'csv' ? `\ufeff${output}` : output);
+};
+
+const findImportUsers = async (rows) => {
+  const keys = getImportUserKeys(rows);
+  const ids = keys.filter(key => /^[0-9a-f]{24}$/.test(key));
+  const users = await User.find({ $or: [{ username: { $in: keys } }, { _id: { $in: ids } }] }, 'username');
+  return new Map(users.flatMap(user => [[user.username, user._id], [user.id, user._id]]));
+};
+
+const findImportProjects = async (rows) => {
+  const keys = getImportProjectKeys(rows);
+  const ids = keys.filter(key => /^[0-9a-f]{24}$/.test(key));
+  const projects = await Project.find(
+    { $or: [{ key: { $in: keys.map(key => key.toUpperCase()) } }, { _id: { $in: ids } }] },
+    'key'
+  );
+  const projectIds = projects.map(project => project._id);
+  const [components, releases] = await Promise.all([
+    Component.find({ project: { $in: projectIds } }, 'project name'),
+    Release.find({ project: { $in: projectIds } }, 'project name')
+  ]);
+  // Names and ids of a project's components or releases, to their ids
+  const byName = (docs, project) => new Map(
+    docs
+      .filter(doc => doc.project.equals(project._id))
+      .flatMap(doc => [[doc.name.toLowerCase(), doc._id], [doc.id, doc._id]])
+  );
+
+  return new Map(projects.flatMap(project => {
+    const entry = { id: project._id, components: byName(components, project), releases: byName(releases, project) };
+    return [[project.key.toLowerCase(), entry], [project.id, entry]];
+  }));
+};
+
+// Imported rows may carry any status, since they describe bugs that went
+// through a workflow elsewhere. Like bulk edits each row succeeds or fails on
+// its own; a dry run validates every row without saving anything. Imported
+// changes don't notify anyone.
+export const importBugs = async (req, res) => {
+  const { rows, mode, dryRun } = parseImportRequest(req);
+  const [users, projects, existing] = await Promise.all([
+    findImportUsers(rows),
+    findImportProjects(rows),
+    Bug.find({ externalId: { $in: getImportExternalIds(rows) } }, null, { withDeleted: true })
+  ]);
+  const byExternalId = new Map(existing.map(bug => [bug.externalId, bug]));
+  const seen = new Set();
+  const saved = { created: [], updated: [] };
+  const savedBugs = [];
+
+  const results = [];
+  for (const [index, row] of rows.entries()) {
+    const result = { row: index + 1 };
+    try {
+      const { externalId, fields } = toBugFields(row, users, projects);
+      result.externalId = externalId;
+      if (mode === 'upsert' && !externalId) {
+        throw ApiError.validation({ externalId: { code: 'required', message: 'Upserts need an external id' } });
+      }
+      if (externalId && seen.has(externalId)) {
+        throw ApiError.validation({ externalId: { code: 'duplicate', message: `"${externalId}" appears more than once` } });
+      }
+      if (externalId) seen.add(externalId);
+
+      let bug = externalId && byExternalId.get(externalId);
+      if (bug && mode === 'create') {
+        throw ApiError.conflict('DUPLICATE_EXTERNAL_ID', `A bug with external id "${externalId}" already exists`);
+      }
+      if (bug?.deletedAt) {
+        throw ApiError.conflict('BUG_IN_TRASH', `The bug with external id "${externalId}" is in the trash`);
+      }
+
+      const before = bug ? bug.toObject() : {};
+      if (bug) bug.set(fields);
+      else bug = new Bug({ ...fields, externalId, reporter: req.user._id });
+      const action = bug.isNew ? 'create' : bug.isModified() ? 'update' : 'unchanged';
+      await bug.validate();
+
+      if (!dryRun && action !== 'unchanged') {
+        await bug.save();
+        await BugHistory.record({
+          bug,
+          action,
+          actor: getActor(req),
+          before,
+          after: bug.toObject(),
+          fields: BUG_FIELDS
+        });
+        saved[action === 'create' ? 'created' : 'updated'].push(bug._id);
+        savedBugs.push(bug);
+      }
+      results.push({ ...result, ok: true, action, ...(!(dryRun && bug.isNew) && { id: bug.id }) });
+    } catch (err) {
+      results.push({ ...result, ok: false, error: toItemError(err) });
+    }
+  }
+
+  if (saved.created.length) await broadcastBugs('bug.created', saved.created);
+  if (saved.updated.length) await broadcastBugs('bug.updated', saved.updated);
+  await broadcastStatusChanges(savedBugs);
+
+  const count = (action) => results.filter(result => result.action === action).length;
+  res.json({
+    dryRun,
+    results,
+    summary: {
+      total: results.length,
+      created: count('create'),
+      updated: count('update'),
+      unchanged: count('unchanged'),
+      failed: results.filter(result => !result.ok).length
+    }
+  });
+};
+
+// Deleting only moves a bug to the trash; its comments stay so a restore brings
+// everything back. purgeTrashedBugs removes it for good after the retention period.
 export const deleteBug = async (req, res) => {
-  await Bug.findByIdAndDelete(req.params.id);
-  res.json({ message: 'Bug deleted' });
+  const bug = await Bug.findById(req.params.id);
+  if (!bug) throw ApiError.notFound('Bug');
+
+  bug.set({ deletedAt: new Date(), deletedBy: req.user._id });
+  await bug.save({ validateBeforeSave: false });
+  await BugHistory.record({
+    bug,
+    action: 'delete',
+    actor: getActor(req),
+    before: bug.toObject(),
+    after: {},
+    fields: BUG_FIELDS
+  });
+  publishBugEvent('bug.deleted', { id: bug.id });
+  res.json({ message: 'Bug moved to trash', purgeAt: getPurgeDate(bug) });
+};
+
+export const getTrash = async (req, res) => {
+  const { filter, limit, offset } = parseBugQuery(req.query);
+  const trashFilter = { ...filter, deletedAt: { $ne: null } };
+  const [bugs, total] = await Promise.all([
+    Bug.find(trashFilter)
+      .sort({ deletedAt: -1, _id: 1 })
+      .skip(offset)
+      .limit(limit)
+      .populate([...POPULATED_FIELDS, { path: 'deletedBy', select: 'username name' }]),
+    Bug.countDocuments(trashFilter)
+  ]);
+
+  res.json(paginate(bugs.map(bug => ({ ...bug.toJSON(), purgeAt: getPurgeDate(bug) })), { total, limit, offset }));
+};
+
+export const restoreBug = async (req, res) => {
+  const bug = await Bug.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+  if (!bug) throw ApiError.notFound('Trashed bug');
+
+  bug.set({ deletedAt: null, deletedBy: undefined });
+  await bug.save({ validateBeforeSave: false });
+  await BugHistory.record({
+    bug,
+    action: 'restore',
+    actor: getActor(req),
+    before: {},
+    after: bug.toObject(),
+    fields: BUG_FIELDS
+  });
+  await bug.populate(POPULATED_FIELDS);
+  await broadcastBugs('bug.created', [bug._id]);
+  res.json(bug);
+};
+
+// History outlives the bug itself, so only 404 when neither exists.
+export const getBugHistory = async (req, res) => {
+  const history = await BugHistory.find({ bug: req.params.id }).sort({ createdAt: 1, _id: 1 });
+  if (history.length === 0 && !(await Bug.exists({ _id: req.params.id }))) {
+    throw ApiError.notFound('Bug');
+  }
+  res.json(history);
 };
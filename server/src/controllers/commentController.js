@@ -0,0 +1,59 @@
+import Bug from '../models/Bug.js';
+import Comment from '../models/Comment.js';
+import ApiError from '../utils/ApiError.js';
+import { broadcastBugs } from './bugController.js';
+import { notifyComment } from './notificationController.js';
+
+const AUTHOR_FIELDS = { path: 'author', select: 'username name' };
+
+const isAuthor = (comment, user) => comment.author.equals(user._id);
+
+const findComment = (req) => Comment.findOne({ _id: req.params.commentId, bug: req.params.id });
+
+export const getComments = async (req, res) => {
+  if (!(await Bug.exists({ _id: req.params.id }))) throw ApiError.notFound('Bug');
+
+  const comments = await Comment.find({ bug: req.params.id })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate(AUTHOR_FIELDS);
+  res.json(comments);
+};
+
+export const createComment = async (req, res) => {
+  const bug = await Bug.findById(req.params.id).select('reporter assignee');
+  if (!bug) throw ApiError.notFound('Bug');
+
+  const comment = new Comment({ bug: bug._id, author: req.user._id, body: req.body.body });
+  await comment.save();
+  await Bug.updateOne({ _id: bug._id }, { $inc: { commentCount: 1 } }, { timestamps: false });
+  await broadcastBugs('bug.updated', [bug._id]);
+  await notifyComment(req, bug, comment);
+  await comment.populate(AUTHOR_FIELDS);
+  res.status(201).json(comment);
+};
+
+export const updateComment = async (req, res) => {
+  const comment = await findComment(req);
+  if (!comment) throw ApiError.notFound('Comment');
+  if (!isAuthor(comment, req.user)) {
+    throw ApiError.forbidden('Only the author can edit this comment');
+  }
+
+  comment.set({ body: req.body.body, edited: true });
+  await comment.save();
+  await comment.populate(AUTHOR_FIELDS);
+  res.json(comment);
+};
+
+export const deleteComment = async (req, res) => {
+  const comment = await findComment(req);
+  if (!comment) throw ApiError.notFound('Comment');
+  if (!isAuthor(comment, req.user)) {
+    throw ApiError.forbidden('Only the author can delete this comment');
+  }
+
+  await comment.deleteOne();
+  await Bug.updateOne({ _id: comment.bug }, { $inc: { commentCount: -1 } }, { timestamps: false });
+  await broadcastBugs('bug.updated', [comment.bug]);
+  res.json({ message: 'Comment deleted' });
+};
@@ -0,0 +1,38 @@
+import { subscribeToBugEvents, getEventsSince, getLastEventId } from '../events/bugEvents.js';
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 3000;
+
+const format = ({ id, type, data }) =>
+  `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Server-Sent Events stream of bug changes. On reconnect the client sends
+// Last-Event-ID and gets the events it missed, or a `resync` event when they
+// are no longer available and it should refetch.
+export const streamBugEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId) {
+    const missed = getEventsSince(lastEventId);
+    if (missed) missed.forEach(event => res.write(format(event)));
+    else res.write(format({ id: getLastEventId(), type: 'resync', data: {} }));
+  } else {
+    res.write(format({ id: getLastEventId(), type: 'ready', data: {} }));
+  }
+
+  const unsubscribe = subscribeToBugEvents(event => res.write(format(event)));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
@@ -0,0 +1,67 @@
+import Bug from '../models/Bug.js';
+import BugLink, { LINKED_BUG_FIELDS } from '../models/BugLink.js';
+import ApiError from '../utils/ApiError.js';
+import { broadcastBugs } from './bugController.js';
+import { LINK_DIRECTIONS, toStoredLink, isSymmetricLink } from '../../../shared/bugLinks.js';
+
+const invalidField = (field, code, message) => ApiError.validation({ [field]: { code, message } });
+
+export const getLinks = async (req, res) => {
+  if (!(await Bug.exists({ _id: req.params.id }))) throw ApiError.notFound('Bug');
+
+  const links = await BugLink.findForBugs([req.params.id]);
+  res.json(links.get(String(req.params.id)) ?? []);
+};
+
+// `type` is read from this bug's side, so "blocked-by" stores "other blocks this".
+export const createLink = async (req, res) => {
+  const { type, bug: otherId } = req.body;
+  const stored = toStoredLink(type);
+  if (!stored) {
+    throw invalidField('type', 'enum', `Link type must be one of: ${LINK_DIRECTIONS.join(', ')}`);
+  }
+  if (typeof otherId !== 'string' || !otherId) {
+    throw invalidField('bug', 'required', 'The bug to link to is required');
+  }
+  if (otherId === req.params.id) {
+    throw invalidField('bug', 'self', 'A bug cannot be linked to itself');
+  }
+
+  const [bug, other] = await Promise.all([
+    Bug.findById(req.params.id).select(LINKED_BUG_FIELDS),
+    Bug.findById(otherId).select(LINKED_BUG_FIELDS)
+  ]);
+  if (!bug) throw ApiError.notFound('Bug');
+  if (!other) throw ApiError.notFound('Linked bug');
+
+  let [source, target] = stored.reversed ? [other, bug] : [bug, other];
+  // Store symmetric links in a fixed order so A-B and B-A are the same link
+  if (isSymmetricLink(stored.type) && String(source._id) > String(target._id)) {
+    [source, target] = [target, source];
+  }
+
+  if (await BugLink.exists({ source: source._id, target: target._id, type: stored.type })) {
+    throw ApiError.conflict('DUPLICATE_LINK', 'These bugs are already linked this way');
+  }
+  if (stored.type === 'blocks' && (await BugLink.createsBlockingCycle(source._id, target._id))) {
+    throw ApiError.conflict('BLOCKING_CYCLE', `"${target.title}" already blocks "${source.title}"`, {
+      details: { source: source.id, target: target.id }
+    });
+  }
+
+  const link = await BugLink.create({ source, target, type: stored.type, createdBy: req.user._id });
+  await broadcastBugs('bug.updated', [source._id, target._id]);
+  res.status(201).json(link.toView(bug._id));
+};
+
+export const deleteLink = async (req, res) => {
+  const link = await BugLink.findOne({
+    _id: req.params.linkId,
+    $or: [{ source: req.params.id }, { target: req.params.id }]
+  });
+  if (!link) throw ApiError.notFound('Link');
+
+  await link.deleteOne();
+  await broadcastBugs('bug.updated', [link.source, link.target]);
+  res.json({ message: 'Link removed' });
+};
@@ -0,0 +1,75 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import ApiError from '../utils/ApiError.js';
+import { buildPagination } from '../utils/bugQuery.js';
+import { paginate } from '../utils/pagination.js';
+import { getNewMentions, planBugNotifications, planCommentNotifications } from '../utils/notifications.js';
+import { extractMentions } from '../../../shared/mentions.js';
+
+const POPULATED_FIELDS = [
+  { path: 'bug', select: 'title status priority' },
+  { path: 'actor', select: 'username name' }
+];
+
+const findMentionedUsers = async (usernames) =>
+  usernames.length ? User.find({ username: { $in: usernames } }, '_id') : [];
+
+const store = async (notifications, { bug, actor }) => {
+  if (notifications.length) {
+    await Notification.insertMany(notifications.map(notification => ({ ...notification, bug: bug._id, actor })));
+  }
+};
+
+// Notifies the people affected by a saved bug change (`before` is the bug's
+// plain object before the change, or null for a new bug). Like broadcasts, a
+// failure is logged rather than failing the request.
+export const notifyBugChange = async (req, before, bug) => {
+  try {
+    const after = bug.toObject({ depopulate: true });
+    const mentioned = await findMentionedUsers(getNewMentions(before?.description, after.description));
+    await store(planBugNotifications({ before, after, actor: req.user._id, mentioned }), { bug, actor: req.user._id });
+  } catch (err) {
+    console.error('Could not create notifications:', err.message);
+  }
+};
+
+export const notifyComment = async (req, bug, comment) => {
+  try {
+    const mentioned = await findMentionedUsers(extractMentions(comment.body));
+    await store(planCommentNotifications({ bug, comment, mentioned }), { bug, actor: req.user._id });
+  } catch (err) {
+    console.error('Could not create notifications:', err.message);
+  }
+};
+
+// The signed-in user's notifications, newest first; `unread=true` leaves out
+// read ones. `unread` in the response always counts every unread one.
+export const getNotifications = async (req, res) => {
+  const { limit, offset } = buildPagination(req.query);
+  const filter = { recipient: req.user._id, ...(req.query.unread === 'true' && { readAt: null }) };
+  const [notifications, total, unread] = await Promise.all([
+    Notification.find(filter).sort({ createdAt: -1, _id: -1 }).skip(offset).limit(limit).populate(POPULATED_FIELDS),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ recipient: req.user._id, readAt: null })
+  ]);
+
+  res.json({ ...paginate(notifications, { total, limit, offset }), unread });
+};
+
+export const markNotificationRead = async (req, res) => {
+  const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+  if (!notification) throw ApiError.notFound('Notification');
+
+  notification.readAt ??= new Date();
+  await notification.save();
+  await notification.populate(POPULATED_FIELDS);
+  res.json(notification);
+};
+
+export const markAllNotificationsRead = async (req, res) => {
+  const { modifiedCount } = await Notification.updateMany(
+    { recipient: req.user._id, readAt: null },
+    { readAt: new Date() }
+  );
+  res.json({ updated: modifiedCount });
+};
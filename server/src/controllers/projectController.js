@@ -0,0 +1,97 @@
+import Bug from '../models/Bug.js';
+import Project from '../models/Project.js';
+import Component from '../models/Component.js';
+import Release from '../models/Release.js';
+import ApiError from '../utils/ApiError.js';
+import { pick } from '../utils/pick.js';
+
+const PROJECT_FIELDS = ['key', 'name', 'description'];
+const COMPONENT_FIELDS = ['name', 'description'];
+
+const findProject = async (id) => {
+  const project = await Project.findById(id);
+  if (!project) throw ApiError.notFound('Project');
+  return project;
+};
+
+const findComponent = async (req) => {
+  const component = await Component.findOne({ _id: req.params.componentId, project: req.params.id });
+  if (!component) throw ApiError.notFound('Component');
+  return component;
+};
+
+// Trashed bugs count too, since they can still be restored
+const hasBugs = (filter) => Bug.exists(filter).setOptions({ withDeleted: true });
+
+// Every project with its components, which is all the client needs for the
+// project switcher and the bug form.
+export const getProjects = async (req, res) => {
+  const [projects, components] = await Promise.all([
+    Project.find().sort({ name: 1, _id: 1 }),
+    Component.find().sort({ name: 1, _id: 1 })
+  ]);
+  res.json(projects.map(project => ({
+    ...project.toJSON(),
+    components: components.filter(component => component.project.equals(project._id))
+  })));
+};
+
+export const getProject = async (req, res) => {
+  const project = await findProject(req.params.id);
+  const components = await Component.find({ project: project._id }).sort({ name: 1, _id: 1 });
+  res.json({ ...project.toJSON(), components });
+};
+
+export const createProject = async (req, res) => {
+  const project = new Project({ ...pick(req.body, PROJECT_FIELDS), createdBy: req.user._id });
+  await project.save();
+  res.status(201).json({ ...project.toJSON(), components: [] });
+};
+
+export const updateProject = async (req, res) => {
+  const project = await findProject(req.params.id);
+  project.set(pick(req.body, PROJECT_FIELDS));
+  await project.save();
+  res.json(project);
+};
+
+export const deleteProject = async (req, res) => {
+  const project = await findProject(req.params.id);
+  if (await hasBugs({ project: project._id })) {
+    throw ApiError.conflict('PROJECT_IN_USE', 'Move or delete this project\'s bugs before deleting it');
+  }
+
+  await Component.deleteMany({ project: project._id });
+  await Release.deleteMany({ project: project._id });
+  await project.deleteOne();
+  res.json({ message: 'Project deleted' });
+};
+
+export const getComponents = async (req, res) => {
+  const project = await findProject(req.params.id);
+  res.json(await Component.find({ project: project._id }).sort({ name: 1, _id: 1 }));
+};
+
+export const createComponent = async (req, res) => {
+  const project = await findProject(req.params.id);
+  const component = new Component({ ...pick(req.body, COMPONENT_FIELDS), project: project._id });
+  await component.save();
+  res.status(201).json(component);
+};
+
+export const updateComponent = async (req, res) => {
+  const component = await findComponent(req);
+  component.set(pick(req.body, COMPONENT_FIELDS));
+  await component.save();
+  res.json(component);
+};
+
+export const deleteComponent = async (req, res) => {
+  const component = await findComponent(req);
+  if (await hasBugs({ component: component._id })) {
+    throw ApiError.conflict('COMPONENT_IN_USE', 'Move this component\'s bugs to another component before deleting it');
+  }
+
+  await component.deleteOne();
+  res.json({ message: 'Component deleted' });
+};
@@ -0,0 +1,163 @@
+import Bug from '../models/Bug.js';
+import BugHistory from '../models/BugHistory.js';
+import Project from '../models/Project.js';
+import Release from '../models/Release.js';
+import ApiError from '../utils/ApiError.js';
+import { getActor } from '../utils/actor.js';
+import { pick } from '../utils/pick.js';
+import { buildReadiness } from '../utils/releases.js';
+import { broadcastBugs } from './bugController.js';
+import { notifyBugChange } from './notificationController.js';
+import { toApiError } from '../middleware/erroHandler.js';
+import { bugFields } from '../../../shared/bugSchema.js';
+import { bugWorkflow } from '../../../shared/bugWorkflow.js';
+
+const RELEASE_FIELDS = ['name', 'description', 'targetDate'];
+const BUG_FIELDS = Object.keys(bugFields);
+const READINESS_FIELDS = [
+  { path: 'assignee', select: 'username name' },
+  { path: 'component', select: 'name' }
+];
+
+const findRelease = async (id) => {
+  const release = await Release.findById(id);
+  if (!release) throw ApiError.notFound('Release');
+  return release;
+};
+
+// Unreleased first, soonest target first; releases without a date go last
+const byTargetDate = (a, b) =>
+  !!a.releasedAt - !!b.releasedAt ||
+  (a.targetDate ?? Infinity) - (b.targetDate ?? Infinity) ||
+  a.name.localeCompare(b.name, undefined, { numeric: true });
+
+// `?project=` narrows the list to one project's releases
+export const getReleases = async (req, res) => {
+  const filter = req.query.project ? { project: String(req.query.project) } : {};
+  const releases = await Release.find(filter);
+  res.json(releases.sort(byTargetDate));
+};
+
+export const getRelease = async (req, res) => {
+  res.json(await findRelease(req.params.id));
+};
+
+export const createRelease = async (req, res) => {
+  const project = req.body.project && (await Project.findById(req.body.project));
+  if (!project) {
+    throw ApiError.validation({ project: { code: 'invalid', message: 'Project must be an existing project' } });
+  }
+
+  const release = new Release({ ...pick(req.body, RELEASE_FIELDS), project: project._id, createdBy: req.user._id });
+  await release.save();
+  res.status(201).json(release);
+};
+
+export const updateRelease = async (req, res) => {
+  const release = await findRelease(req.params.id);
+  release.set(pick(req.body, RELEASE_FIELDS));
+  await release.save();
+  res.json(release);
+};
+
+export const deleteRelease = async (req, res) => {
+  const release = await findRelease(req.params.id);
+  const inUse = await Bug.exists({ $or: [{ affectsVersion: release._id }, { fixVersion: release._id }] })
+    .setOptions({ withDeleted: true });
+  if (inUse) {
+    throw ApiError.conflict('RELEASE_IN_USE', 'Move this release\'s bugs to another release before deleting it');
+  }
+
+  await release.deleteOne();
+  res.json({ message: 'Release deleted' });
+};
+
+// What is still blocking the release: every bug targeted at it, summarized
+export const getReleaseReadiness = async (req, res) => {
+  const release = await findRelease(req.params.id);
+  const bugs = await Bug.find({ fixVersion: release._id })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('title status priority assignee component createdAt')
+    .populate(READINESS_FIELDS);
+
+  res.json({ release, ...buildReadiness(bugs.map(bug => bug.toJSON())) });
+};
+
+const findMoveTarget = async (release, id) => {
+  const invalid = (message) => ApiError.validation({ moveTo: { code: 'invalid', message } });
+  const target = await Release.findOne({ _id: id, project: release.project });
+  if (!target) throw invalid('Bugs can only be moved to another release of the same project');
+  if (target._id.equals(release._id)) throw invalid('Pick another release to move the bugs to');
+  if (target.releasedAt) throw invalid('Bugs can\'t be moved to a release that is already out');
+  return target;
+};
+
+// Checks every move before saving any, so a bug that can't be moved leaves
+// all of them where they were and the release unreleased
+const moveBugs = async (req, bugs, target) => {
+  const moves = bugs.map(bug => ({ bug, before: bug.toObject() }));
+  const failed = [];
+  for (const { bug } of moves) {
+    bug.fixVersion = target._id;
+    try {
+      await bug.validate();
+    } catch (err) {
+      const { code, message, fields } = toApiError(err) ?? { code: 'INTERNAL_ERROR', message: err.message };
+      failed.push({ id: bug.id, title: bug.title, error: { code, message, ...(fields && { fields }) } });
+    }
+  }
+  if (failed.length) {
+    throw ApiError.conflict(
+      'UNMOVABLE_BUGS',
+      `${failed.length} bug${failed.length === 1 ? '' : 's'} can't be moved to ${target.name}; fix ${failed.length === 1 ? 'it' : 'them'} first`,
+      { details: { bugs: failed } }
+    );
+  }
+
+  for (const { bug, before } of moves) {
+    await bug.save();
+    await BugHistory.record({
+      bug,
+      action: 'update',
+      actor: getActor(req),
+      before,
+      after: bug.toObject(),
+      fields: BUG_FIELDS
+    });
+    await notifyBugChange(req, before, bug);
+  }
+  return moves.map(({ bug }) => bug._id);
+};
+
+// Marks a release as out. Unresolved bugs targeted at it block this with 409
+// UNRESOLVED_BUGS, unless `moveTo` names the release to carry them over to or
+// `force` releases with them left in place.
+export const releaseRelease = async (req, res) => {
+  const release = await findRelease(req.params.id);
+  if (release.releasedAt) throw ApiError.conflict('ALREADY_RELEASED', `${release.name} is already released`);
+
+  const { moveTo, force = false } = req.body;
+  const target = moveTo ? await findMoveTarget(release, moveTo) : null;
+  const unresolved = await Bug.find({ fixVersion: release._id, status: { $in: bugWorkflow.unresolved } }).sort({ createdAt: 1, _id: 1 });
+
+  if (unresolved.length && !target && force !== true) {
+    throw ApiError.conflict(
+      'UNRESOLVED_BUGS',
+      `${unresolved.length} unresolved bug${unresolved.length === 1 ? ' is' : 's are'} still targeted at ${release.name}`,
+      { details: { bugs: unresolved.map(({ id, title, status, priority }) => ({ id, title, status, priority })) } }
+    );
+  }
+
+  const moved = target ? await moveBugs(req, unresolved, target) : [];
+  release.releasedAt = new Date();
+  await release.save();
+  if (moved.length) await broadcastBugs('bug.updated', moved);
+
+  res.json({
+    release,
+    moved: moved.length,
+    movedTo: target,
+    // Bugs left targeted at the release, when it went out with `force`
+    unresolved: target ? 0 : unresolved.length
+  });
+};
@@ -0,0 +1,61 @@
+import SavedView from '../models/SavedView.js';
+import ApiError from '../utils/ApiError.js';
+import { parseViewQuery } from '../utils/savedViews.js';
+
+const OWNER_FIELDS = 'username name';
+
+// The user's own views and everyone's shared ones
+const visibleTo = (user) => ({ $or: [{ owner: user._id }, { shared: true }] });
+
+// A personal view of someone else is reported missing rather than forbidden,
+// so a shared link doesn't reveal it exists.
+const findView = async (req) => {
+  const view = await SavedView.findOne({ _id: req.params.id, ...visibleTo(req.user) }).populate('owner', OWNER_FIELDS);
+  if (!view) throw ApiError.notFound('View');
+  return view;
+};
+
+const isOwner = (view, user) => view.owner._id.equals(user._id);
+
+export const getViews = async (req, res) => {
+  const views = await SavedView.find(visibleTo(req.user)).sort({ name: 1, _id: 1 }).populate('owner', OWNER_FIELDS);
+  res.json(views);
+};
+
+export const getView = async (req, res) => {
+  res.json(await findView(req));
+};
+
+export const createView = async (req, res) => {
+  const view = new SavedView({
+    name: req.body.name,
+    shared: req.body.shared === true,
+    query: parseViewQuery(req.body.query),
+    owner: req.user._id
+  });
+  await view.save();
+  res.status(201).json(await view.populate('owner', OWNER_FIELDS));
+};
+
+// Renames, shares or unshares a view, or saves a new query into it
+export const updateView = async (req, res) => {
+  const view = await findView(req);
+  if (!isOwner(view, req.user)) throw ApiError.forbidden('Only the owner can change this view');
+
+  if (req.body.name !== undefined) view.name = req.body.name;
+  if (req.body.shared !== undefined) view.shared = req.body.shared === true;
+  if (req.body.query !== undefined) view.query = parseViewQuery(req.body.query);
+  await view.save();
+  res.json(view);
+};
+
+// Admins can also remove shared views that are no longer useful
+export const deleteView = async (req, res) => {
+  const view = await findView(req);
+  if (!isOwner(view, req.user) && req.user.role !== 'admin') {
+    throw ApiError.forbidden('Only the owner can delete this view');
+  }
+
+  await view.deleteOne();
+  res.json({ message: 'View deleted' });
+};
@@ -0,0 +1,6 @@
+import User from '../models/User.js';
+
+export const getUsers = async (req, res) => {
+  const users = await User.find().select('username name').sort({ name: 1 });
+  res.json(users);
+};
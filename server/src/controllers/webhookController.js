@@ -0,0 +1,87 @@
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import ApiError from '../utils/ApiError.js';
+import { buildPagination } from '../utils/bugQuery.js';
+import { paginate } from '../utils/pagination.js';
+import { pick } from '../utils/pick.js';
+import { PING_EVENT } from '../utils/webhooks.js';
+import { attemptDelivery, buildPayload } from '../jobs/deliverWebhooks.js';
+
+// A new secret can be set later, but never read back
+const WEBHOOK_FIELDS = ['url', 'events', 'description', 'active', 'secret'];
+
+const findWebhook = async (id) => {
+  const webhook = await Webhook.findById(id);
+  if (!webhook) throw ApiError.notFound('Webhook');
+  return webhook;
+};
+
+// Queues a delivery made by hand and attempts it once, right away
+const deliverNow = async (webhook, fields) => {
+  const delivery = await WebhookDelivery.create({ webhook: webhook._id, ...fields });
+  return attemptDelivery(delivery, { manual: true });
+};
+
+export const getWebhooks = async (req, res) => {
+  const webhooks = await Webhook.find().sort({ createdAt: 1, _id: 1 });
+  res.json(webhooks);
+};
+
+export const getWebhook = async (req, res) => {
+  res.json(await findWebhook(req.params.id));
+};
+
+// The signing secret is only returned here, so the receiver can be set up
+export const createWebhook = async (req, res) => {
+  const webhook = new Webhook({ ...pick(req.body, WEBHOOK_FIELDS), createdBy: req.user._id });
+  await webhook.save();
+  res.status(201).json({ ...webhook.toJSON(), secret: webhook.secret });
+};
+
+export const updateWebhook = async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  webhook.set(pick(req.body, WEBHOOK_FIELDS));
+  await webhook.save();
+  res.json(webhook);
+};
+
+export const deleteWebhook = async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+  await webhook.deleteOne();
+  res.json({ message: 'Webhook deleted' });
+};
+
+// Sends a `ping` event, to check the receiver and its signature handling
+export const pingWebhook = async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  const payload = buildPayload(PING_EVENT, { webhook: webhook.id, url: webhook.url });
+  res.status(201).json(await deliverNow(webhook, { event: PING_EVENT, payload }));
+};
+
+export const getWebhookDeliveries = async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  const { limit, offset } = buildPagination(req.query);
+  const filter = { webhook: webhook._id };
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(filter).sort({ createdAt: -1, _id: -1 }).skip(offset).limit(limit),
+    WebhookDelivery.countDocuments(filter)
+  ]);
+
+  res.json(paginate(deliveries, { total, limit, offset }));
+};
+
+// Sends a logged delivery's payload again as a new delivery. The payload id
+// is kept, so receivers can tell it's the same event.
+export const redeliverWebhook = async (req, res) => {
+  const webhook = await findWebhook(req.params.id);
+  const original = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id });
+  if (!original) throw ApiError.notFound('Delivery');
+
+  const delivery = await deliverNow(webhook, {
+    event: original.event,
+    payload: original.payload,
+    redeliveryOf: original._id
+  });
+  res.status(201).json(delivery);
+};
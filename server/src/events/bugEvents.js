@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+// In-process bus for bug changes, streamed to clients over SSE. Recent events
+// are buffered so a client that reconnects with Last-Event-ID can catch up;
+// anything older (or from before a restart) tells it to resync instead.
+// A status change is published as bug.updated and, with the transition, as
+// bug.status_changed.
+export const BUG_EVENTS = ['bug.created', 'bug.updated', 'bug.status_changed', 'bug.deleted'];
+const BUFFER_SIZE = 500;
+
+// Event ids look like "<stream>:<sequence>"; the stream id changes on restart.
+const streamId = crypto.randomBytes(4).toString('hex');
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+const buffer = [];
+let sequence = 0;
+
+export const publishBugEvent = (type, data) => {
+  const event = { id: `${streamId}:${++sequence}`, type, data };
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+  emitter.emit('event', event);
+  return event;
+};
+
+export const subscribeToBugEvents = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+export const getLastEventId = () => `${streamId}:${sequence}`;
+
+// Events published after `lastEventId`, or null if they can't all be replayed.
+export const getEventsSince = (lastEventId) => {
+  const [stream, value] = String(lastEventId).split(':');
+  const since = Number(value);
+  if (stream !== streamId || !Number.isInteger(since) || since > sequence) return null;
+
+  const missed = sequence - since;
+  if (missed > buffer.length) return null;
+  return missed === 0 ? [] : buffer.slice(-missed);
+};
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { subscribeToBugEvents } from '../events/bugEvents.js';
+import { signWebhookPayload, getRetryDelay, SIGNATURE_HEADER, TIMESTAMP_HEADER } from '../utils/webhooks.js';
+import { WEBHOOK_TIMEOUT_MS, WEBHOOK_MAX_ATTEMPTS, WEBHOOK_POLL_INTERVAL_MS } from '../config/webhooks.js';
+
+const MAX_DUE_DELIVERIES = 50;
+// A claimed delivery is left alone this long, so a slow attempt isn't repeated
+const CLAIM_MS = WEBHOOK_TIMEOUT_MS * 2;
+
+export const buildPayload = (event, data, id = crypto.randomUUID()) => ({
+  id,
+  event,
+  createdAt: new Date().toISOString(),
+  data
+});
+
+const send = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const started = Date.now();
+  const attempt = { at: new Date(started), statusCode: null, error: null };
+
+  try {
+    const res = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BugTracker-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        [TIMESTAMP_HEADER]: timestamp,
+        [SIGNATURE_HEADER]: signWebhookPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    await res.body?.cancel();
+    attempt.statusCode = res.status;
+    if (!res.ok) attempt.error = `Receiver responded with ${res.status}`;
+  } catch (err) {
+    attempt.error = err.name === 'TimeoutError' ? `No response within ${WEBHOOK_TIMEOUT_MS}ms` : err.cause?.message ?? err.message;
+  }
+  return { ...attempt, durationMs: Date.now() - started };
+};
+
+// Makes one attempt and records it: a 2xx response completes the delivery,
+// anything else schedules a retry until the attempts run out. Manual sends
+// (pings and redeliveries) get a single attempt, and are the only ones that
+// still go out while the webhook is disabled.
+export const attemptDelivery = async (delivery, { manual = false } = {}) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || (!webhook.active && !manual)) {
+    delivery.set({ status: 'failed', nextAttemptAt: null });
+    delivery.attempts.push({
+      at: new Date(),
+      error: webhook ? 'Webhook is disabled' : 'Webhook was deleted',
+      durationMs: 0
+    });
+    return delivery.save();
+  }
+
+  const attempt = await send(webhook, delivery);
+  delivery.attempts.push(attempt);
+  if (!attempt.error) {
+    delivery.set({ status: 'succeeded', nextAttemptAt: null });
+  } else if (manual || delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.set({ status: 'failed', nextAttemptAt: null });
+  } else {
+    delivery.set({ status: 'pending', nextAttemptAt: new Date(Date.now() + getRetryDelay(delivery.attempts.length)) });
+  }
+  return delivery.save();
+};
+
+// Takes a due delivery for this process, or null if it's not due or already taken
+const claimDelivery = (id, now = new Date()) =>
+  WebhookDelivery.findOneAndUpdate(
+    { _id: id, status: 'pending', nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) },
+    { new: true }
+  );
+
+const deliver = async (id, now) => {
+  const delivery = await claimDelivery(id, now);
+  if (delivery) await attemptDelivery(delivery);
+};
+
+// Queues the event for every active webhook subscribed to it and makes the
+// first attempts straight away.
+export const enqueueWebhookEvent = async ({ id, type, data }) => {
+  const webhooks = await Webhook.find({ active: true, events: type }, '_id');
+  if (!webhooks.length) return [];
+
+  const payload = buildPayload(type, data, id);
+  const now = new Date();
+  const deliveries = await WebhookDelivery.insertMany(
+    webhooks.map(webhook => ({ webhook: webhook._id, event: type, payload, nextAttemptAt: now }))
+  );
+  for (const delivery of deliveries) await deliver(delivery._id, now);
+  return deliveries.map(delivery => delivery._id);
+};
+
+// Retries the deliveries whose backoff has passed; returns how many were due
+export const deliverDueWebhooks = async ({ now = new Date(), limit = MAX_DUE_DELIVERIES } = {}) => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } }, '_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit);
+  for (const { _id } of due) await deliver(_id, now);
+  return due.length;
+};
+
+export const startWebhookDeliveries = ({ intervalMs = WEBHOOK_POLL_INTERVAL_MS } = {}) => {
+  const unsubscribe = subscribeToBugEvents(event =>
+    enqueueWebhookEvent(event).catch(err => console.error('Webhook delivery failed:', err))
+  );
+  const run = () => deliverDueWebhooks().catch(err => console.error('Webhook retries failed:', err));
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => {
+    unsubscribe();
+    clearInterval(timer);
+  };
+};
@@ -0,0 +1,9 @@
+import { startTrashPurgeJob } from './purgeTrash.js';
+import { startWebhookDeliveries } from './deliverWebhooks.js';
+
+// Starts the background jobs the running server needs; returns a function
+// that stops all of them
+export const startJobs = () => {
+  const stops = [startTrashPurgeJob(), startWebhookDeliveries()];
+  return () => stops.forEach(stop => stop());
+};
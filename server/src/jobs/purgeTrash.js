@@ -0,0 +1,35 @@
+import Bug from '../models/Bug.js';
+import BugHistory from '../models/BugHistory.js';
+import BugLink from '../models/BugLink.js';
+import Attachment from '../models/Attachment.js';
+import Comment from '../models/Comment.js';
+import { TRASH_RETENTION_DAYS, TRASH_PURGE_INTERVAL_MS } from '../config/trash.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getPurgeDate = (bug, retentionDays = TRASH_RETENTION_DAYS) =>
+  bug.deletedAt ? new Date(bug.deletedAt.getTime() + retentionDays * DAY_MS) : null;
+
+// Permanently removes bugs that have been in the trash longer than the
+// retention period, along with their comments, links and attachment files.
+// History is kept as an audit trail.
+export const purgeTrashedBugs = async ({ retentionDays = TRASH_RETENTION_DAYS, now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const ids = await Bug.find({ deletedAt: { $ne: null, $lte: cutoff } }).distinct('_id');
+  if (ids.length === 0) return 0;
+
+  await Attachment.removeWithFiles({ bug: { $in: ids } });
+  await Comment.deleteMany({ bug: { $in: ids } });
+  await BugLink.deleteMany({ $or: [{ source: { $in: ids } }, { target: { $in: ids } }] });
+  await Bug.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null } });
+  await BugHistory.insertMany(ids.map(bug => ({ bug, action: 'purge', actor: 'system' })));
+  return ids.length;
+};
+
+export const startTrashPurgeJob = ({ intervalMs = TRASH_PURGE_INTERVAL_MS, ...options } = {}) => {
+  const run = () => purgeTrashedBugs(options).catch(err => console.error('Trash purge failed:', err));
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
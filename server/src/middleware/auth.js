@@ -0,0 +1,30 @@
+import User from '../models/User.js';
+import ApiError from '../utils/ApiError.js';
+import { verifyToken } from '../utils/auth.js';
+
+export default async function requireAuth(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return next(ApiError.unauthorized());
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (err) {
+    return next(ApiError.unauthorized('Invalid or expired token'));
+  }
+
+  try {
+    const user = await User.findById(payload.sub);
+    if (!user) return next(ApiError.unauthorized('User no longer exists'));
+    req.user = user;
+  } catch (err) {
+    return next(err);
+  }
+  next();
+}
+
+// Use after requireAuth
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') return next(ApiError.forbidden('Only admins can do this'));
+  next();
+}
@@ -1,4 +1,52 @@
+import mongoose from 'mongoose';
+import ApiError from '../utils/ApiError.js';
+
+const fromValidationError = (err) =>
+  ApiError.validation(
+    Object.fromEntries(
+      Object.entries(err.errors).map(([path, e]) => [
+        path,
+        { code: e instanceof mongoose.Error.CastError ? 'invalid' : e.kind, message: e.message }
+      ])
+    ),
+    'Validation failed'
+  );
+
+const fromDuplicateKey = (err) => {
+  const fields = Object.fromEntries(
+    Object.keys(err.keyValue ?? {}).map(path => [path, { code: 'duplicate', message: `That ${path} is already taken` }])
+  );
+  return ApiError.conflict('DUPLICATE_KEY', Object.values(fields)[0]?.message ?? 'Duplicate key', { fields });
+};
+
+export const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+  if (err instanceof mongoose.Error.ValidationError) return fromValidationError(err);
+  if (err instanceof mongoose.Error.CastError) {
+    return err.kind === 'ObjectId'
+      ? new ApiError(400, 'INVALID_ID', `"${err.value}" is not a valid id`)
+      : new ApiError(400, 'INVALID_VALUE', `Invalid value for "${err.path}"`);
+  }
+  if (err instanceof mongoose.Error.DocumentNotFoundError) return ApiError.notFound('Document');
+  if (err instanceof mongoose.Error.VersionError) {
+    return ApiError.conflict('VERSION_CONFLICT', 'The document was changed by someone else; reload and try again');
+  }
+  if (err.code === 11000) return fromDuplicateKey(err);
+  if (err.type === 'entity.parse.failed') return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  return null;
+};
+
 export default function errorHandler(err, req, res, next) {
-  console.error(err.stack);
-  res.status(500).json({ message: err.message });
+  if (res.headersSent) return next(err);
+
+  const apiError = toApiError(err);
+  if (!apiError) console.error(err.stack);
+
+  const { status, code, message, fields, details } = apiError ?? {
+    status: 500,
+    code: 'INTERNAL_ERROR',
+    message: process.env.NODE_ENV === 'production' ? 'Something went wrong' : err.message
+  };
+
+  res.status(status).json({ code, message, ...(fields && { fields }), ...(details && { details }) });
 }
@@ -0,0 +1,73 @@
+import multer from 'multer';
+import ApiError from '../utils/ApiError.js';
+import { matchesContentType } from '../utils/fileTypes.js';
+import { MAX_ATTACHMENT_SIZE } from '../config/attachments.js';
+import { ATTACHMENT_LIMITS, formatFileSize } from '../../../shared/attachments.js';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: ATTACHMENT_LIMITS.maxFiles },
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_LIMITS.mimeTypes.includes(file.mimetype)) return cb(null, true);
+    cb(new ApiError(415, 'UNSUPPORTED_MEDIA_TYPE', `"${file.originalname}" has an unsupported file type (${file.mimetype})`));
+  }
+});
+
+// The filter above only sees the type the client declared; once the bytes
+// are in, they have to match it
+const checkContents = (files) => {
+  const file = files.find(candidate => !matchesContentType(candidate.buffer, candidate.mimetype));
+  return file
+    ? new ApiError(415, 'UNSUPPORTED_MEDIA_TYPE', `"${file.originalname}" is not a valid ${file.mimetype} file`)
+    : null;
+};
+
+const fromMulterError = (err) => {
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return new ApiError(413, 'FILE_TOO_LARGE', `Attachments must be at most ${formatFileSize(MAX_ATTACHMENT_SIZE)}`);
+  }
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    return ApiError.badRequest(`At most ${ATTACHMENT_LIMITS.maxFiles} files can be uploaded at once`);
+  }
+  return ApiError.badRequest(err.message);
+};
+
+// Parses `attachments` files from a multipart body into req.files (empty for
+// other content types). With { bugField: true } the bug itself travels as JSON
+// in a `bug` part, so create/edit controllers see the usual req.body.
+export const acceptAttachments = ({ bugField = false } = {}) => (req, res, next) => {
+  req.files = [];
+  if (!req.is('multipart/form-data')) return next();
+
+  upload.array('attachments')(req, res, (err) => {
+    if (err) return next(err instanceof multer.MulterError ? fromMulterError(err) : err);
+    const contentError = checkContents(req.files);
+    if (contentError) return next(contentError);
+    if (!bugField) return next();
+    try {
+      req.body = JSON.parse(req.body.bug ?? '{}');
+      next();
+    } catch {
+      next(new ApiError(400, 'INVALID_JSON', 'The "bug" part is not valid JSON'));
+    }
+  });
+};
+
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024;
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 }
+});
+
+// Parses a single CSV/JSON `file` for bug imports; other fields stay in req.body.
+export const acceptImportFile = (req, res, next) => {
+  if (!req.is('multipart/form-data')) return next();
+
+  importUpload.single('file')(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') {
+      return next(new ApiError(413, 'FILE_TOO_LARGE', `Import files must be at most ${formatFileSize(MAX_IMPORT_FILE_SIZE)}`));
+    }
+    next(err instanceof multer.MulterError ? ApiError.badRequest(err.message) : err);
+  });
+};
@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import path from 'path';
+import mongoose from 'mongoose';
+import { getStorage } from '../storage/index.js';
+
+const attachmentSchema = new mongoose.Schema({
+  bug: { type: mongoose.Schema.Types.ObjectId, ref: 'Bug', required: true, index: true },
+  filename: { type: String, required: true, trim: true, maxlength: 255 },
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true, min: 0 },
+  storageKey: { type: String, required: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    virtuals: true,
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret.storageKey;
+      return ret;
+    }
+  }
+});
+
+const toStorageKey = (bugId, filename) => {
+  const ext = path.extname(filename).toLowerCase();
+  return `${bugId}/${crypto.randomUUID()}${/^\.[a-z0-9]{1,10}$/.test(ext) ? ext : ''}`;
+};
+
+// Writes uploaded files (as parsed by the upload middleware) to storage and
+// records them against the bug. All or nothing: if one can't be stored, the
+// ones already written are removed again.
+attachmentSchema.statics.storeFiles = async function (bugId, files, uploadedBy) {
+  const storage = getStorage();
+  const attachments = [];
+  try {
+    for (const file of files) {
+      const storageKey = toStorageKey(bugId, file.originalname);
+      await storage.save(storageKey, file.buffer, { contentType: file.mimetype });
+      attachments.push({
+        bug: bugId,
+        filename: file.originalname,
+        contentType: file.mimetype,
+        size: file.size,
+        storageKey,
+        uploadedBy
+      });
+    }
+    return await this.insertMany(attachments);
+  } catch (err) {
+    await Promise.all(attachments.map(attachment => storage.remove(attachment.storageKey).catch(() => {})));
+    throw err;
+  }
+};
+
+// Deletes matching attachments together with their stored files.
+attachmentSchema.statics.removeWithFiles = async function (filter) {
+  const attachments = await this.find(filter, 'storageKey');
+  const storage = getStorage();
+  await Promise.all(attachments.map(attachment => storage.remove(attachment.storageKey)));
+  await this.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+  return attachments.length;
+};
+
+export default mongoose.model('Attachment', attachmentSchema);
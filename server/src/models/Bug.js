@@ -1,9 +1,151 @@
 import mongoose from 'mongoose';
+import { bugFields } from '../../../shared/bugSchema.js';
+import { bugWorkflow, isUnresolved } from '../../../shared/bugWorkflow.js';
+import { getBugSla } from '../../../shared/sla.js';
+import { SLA_POLICIES } from '../config/sla.js';
+
+const SCHEMA_TYPES = { string: String, boolean: Boolean, objectId: mongoose.Schema.Types.ObjectId };
+
+const toMongooseField = (rule) => {
+  if (rule.type === 'array') {
+    return { type: [SCHEMA_TYPES[rule.of]], default: rule.default };
+  }
+
+  const field = { type: SCHEMA_TYPES[rule.type] };
+  if (rule.ref) field.ref = rule.ref;
+  if (rule.immutable) field.immutable = true;
+  if (rule.trim) field.trim = true;
+  if (rule.required) field.required = [true, rule.required];
+  if (rule.minLength) field.minlength = rule.minLength;
+  if (rule.maxLength) field.maxlength = rule.maxLength;
+  if (rule.enum) field.enum = { values: rule.enum, message: '{VALUE} is not a valid {PATH}' };
+  if (rule.default !== undefined) field.default = rule.default;
+  return field;
+};
+
+const definition = Object.fromEntries(
+  Object.entries(bugFields).map(([name, rule]) => [name, toMongooseField(rule)])
+);
+
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  at: { type: Date, required: true }
+}, { _id: false });
 
 const bugSchema = new mongoose.Schema({
-  title: { type: String, required: true },
-  description: String,
-  status: { type: String, enum: ['open', 'in-progress', 'resolved'], default: 'open' }
-}, { timestamps: true });
+  ...definition,
+  // Id of the bug in the system it was imported from, for upserts
+  externalId: { type: String, trim: true, maxlength: [100, 'External id must be less than 100 characters'] },
+  commentCount: { type: Number, default: 0, min: 0 },
+  // When the bug first left its initial status, for the acknowledge SLA
+  acknowledgedAt: { type: Date, default: null },
+  // When the bug last left the unresolved statuses; cleared when it is reopened
+  resolvedAt: { type: Date, default: null },
+  // Every status the bug has been in and when, so reports can rebuild past states
+  statusChanges: { type: [statusChangeSchema], default: [] },
+  duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Bug', default: null },
+  deletedAt: { type: Date, default: null, index: true },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  // Every save bumps `version` and fails if the stored copy moved on meanwhile;
+  // clients echo it back (If-Match or body.version) to detect stale edits.
+  // Older bugs get theirs from server/scripts/backfillBugVersions.js.
+  versionKey: 'version',
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true }
+});
+
+bugSchema.path('assignee').validate(
+  async (id) => !!(await mongoose.model('User').exists({ _id: id })),
+  'Assignee must be an existing user'
+);
+
+bugSchema.path('project').validate(
+  async (id) => !!(await mongoose.model('Project').exists({ _id: id })),
+  'Project must be an existing project'
+);
+
+bugSchema.path('component').validate(
+  async function (id) {
+    return !id || !!(await mongoose.model('Component').exists({ _id: id, project: this.project }));
+  },
+  'Component must belong to the bug\'s project'
+);
+
+const RELEASE_FIELDS = ['affectsVersion', 'fixVersion'];
+
+for (const field of RELEASE_FIELDS) {
+  bugSchema.path(field).validate(
+    async function (id) {
+      return !id || !!(await mongoose.model('Release').exists({ _id: id, project: this.project }));
+    },
+    'Release must belong to the bug\'s project'
+  );
+}
+
+// Moving a bug to another project re-checks the component and releases it keeps
+bugSchema.pre('validate', function () {
+  if (!this.isModified('project')) return;
+  for (const field of ['component', ...RELEASE_FIELDS]) {
+    if (this[field]) this.markModified(field);
+  }
+});
+
+bugSchema.post('init', function () {
+  this.$locals.savedStatus = this.status;
+});
+
+// `$locals.statusChange` holds the transition made by the latest save, if any
+bugSchema.pre('save', function () {
+  this.$locals.statusChange = null;
+  if (!this.isNew && !this.isModified('status')) return;
+  const at = new Date();
+  if (this.status !== bugWorkflow.initial) this.acknowledgedAt ??= at;
+  this.resolvedAt = isUnresolved(this.status) ? null : this.resolvedAt ?? at;
+  const change = { from: this.isNew ? null : this.$locals.savedStatus, to: this.status, at };
+  this.statusChanges.push(change);
+  if (!this.isNew) this.$locals.statusChange = change;
+});
+
+bugSchema.post('save', function () {
+  this.$locals.savedStatus = this.status;
+});
+
+// Time left and breach state against the priority's SLA, as of serialization
+bugSchema.virtual('sla').get(function () {
+  return getBugSla(this, SLA_POLICIES);
+});
+
+// Trashed bugs are hidden from every query unless it asks for them, either by
+// filtering on deletedAt or by passing the { withDeleted: true } option.
+const QUERY_HOOKS = ['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateOne', 'updateMany'];
+
+bugSchema.pre(QUERY_HOOKS, function () {
+  if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+});
+
+bugSchema.pre('aggregate', function () {
+  if (this.options.withDeleted) return;
+  const [first] = this.pipeline();
+  // A $text match has to stay the first stage, so extend it rather than prepend
+  if (first?.$match) {
+    if (!('deletedAt' in first.$match)) first.$match.deletedAt = null;
+  } else {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
+bugSchema.index({ status: 1, priority: 1, createdAt: -1 });
+bugSchema.index({ assignee: 1 });
+bugSchema.index({ tags: 1 });
+bugSchema.index({ fixVersion: 1, status: 1 });
+bugSchema.index({ externalId: 1 }, { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } });
+bugSchema.index(
+  { title: 'text', description: 'text', stepsToReproduce: 'text', tags: 'text' },
+  { name: 'bug_text', weights: { title: 10, tags: 5, description: 3, stepsToReproduce: 1 } }
+);
 
 export default mongoose.model('Bug', bugSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const changeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const bugHistorySchema = new mongoose.Schema({
+  bug: { type: mongoose.Schema.Types.ObjectId, ref: 'Bug', required: true, index: true },
+  action: { type: String, enum: ['create', 'update', 'delete', 'restore', 'purge'], required: true },
+  actor: { type: String, default: 'anonymous' },
+  changes: [changeSchema]
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+export const diffFields = (before = {}, after = {}, fields) =>
+  fields
+    .filter(field => !isEqual(before[field], after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+
+bugHistorySchema.statics.record = function ({ bug, action, actor, before, after, fields }) {
+  const changes = diffFields(before, after, fields);
+  if (action === 'update' && changes.length === 0) return null;
+  return this.create({ bug: bug._id ?? bug, action, actor, changes });
+};
+
+export default mongoose.model('BugHistory', bugHistorySchema);
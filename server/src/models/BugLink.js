@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import { LINK_TYPES, getLinkDirection } from '../../../shared/bugLinks.js';
+
+export const LINKED_BUG_FIELDS = 'title status priority';
+
+const bugLinkSchema = new mongoose.Schema({
+  source: { type: mongoose.Schema.Types.ObjectId, ref: 'Bug', required: true, index: true },
+  target: { type: mongoose.Schema.Types.ObjectId, ref: 'Bug', required: true, index: true },
+  type: { type: String, enum: { values: LINK_TYPES, message: '{VALUE} is not a valid link type' }, required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+bugLinkSchema.index({ source: 1, target: 1, type: 1 }, { unique: true });
+
+// The link as seen from one of its bugs: the direction-specific type and the
+// bug at the other end.
+bugLinkSchema.methods.toView = function (bugId) {
+  const isSource = String(this.source._id ?? this.source) === String(bugId);
+  return {
+    id: this.id,
+    type: getLinkDirection(this.type, isSource),
+    bug: isSource ? this.target : this.source,
+    createdAt: this.createdAt
+  };
+};
+
+// Link views for many bugs at once, keyed by bug id. Links to trashed bugs
+// are left out (populate skips them like any other Bug query).
+bugLinkSchema.statics.findForBugs = async function (bugIds) {
+  const ids = bugIds.map(String);
+  const links = await this.find({ $or: [{ source: { $in: bugIds } }, { target: { $in: bugIds } }] })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate([
+      { path: 'source', select: LINKED_BUG_FIELDS },
+      { path: 'target', select: LINKED_BUG_FIELDS }
+    ]);
+
+  const byBug = new Map(ids.map(id => [id, []]));
+  for (const link of links) {
+    if (!link.source || !link.target) continue;
+    for (const end of [link.source, link.target]) {
+      byBug.get(String(end._id))?.push(link.toView(end._id));
+    }
+  }
+  return byBug;
+};
+
+// Whether adding "source blocks target" would close a loop, i.e. target
+// already blocks source directly or through other bugs.
+bugLinkSchema.statics.createsBlockingCycle = async function (source, target) {
+  const visited = new Set([String(target)]);
+  let frontier = [target];
+
+  while (frontier.length) {
+    const edges = await this.find({ type: 'blocks', source: { $in: frontier } }, 'target');
+    frontier = [];
+    for (const { target: next } of edges) {
+      if (String(next) === String(source)) return true;
+      if (!visited.has(String(next))) {
+        visited.add(String(next));
+        frontier.push(next);
+      }
+    }
+  }
+  return false;
+};
+
+export default mongoose.model('BugLink', bugLinkSchema);
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+const commentSchema = new mongoose.Schema({
+  bug: { type: mongoose.Schema.Types.ObjectId, ref: 'Bug', required: true, index: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  body: {
+    type: String,
+    required: [true, 'Comment cannot be empty'],
+    trim: true,
+    maxlength: [2000, 'Comment must be less than 2000 characters']
+  },
+  edited: { type: Boolean, default: false }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+export default mongoose.model('Comment', commentSchema);
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// A part of a project (e.g. "Checkout" or "API") that bugs can be filed under
+const componentSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true, immutable: true },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name must be less than 100 characters']
+  },
+  description: { type: String, trim: true, default: '', maxlength: [500, 'Description must be less than 500 characters'] }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+componentSchema.index({ project: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('Component', componentSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = ['assigned', 'status_changed', 'commented', 'mentioned'];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  bug: { type: mongoose.Schema.Types.ObjectId, ref: 'Bug', required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // For status_changed
+  statusChange: {
+    type: new mongoose.Schema({ from: String, to: String }, { _id: false }),
+    default: undefined
+  },
+  // For commented, and mentions made in a comment
+  comment: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment' },
+  readAt: { type: Date, default: null }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+notificationSchema.virtual('read').get(function () {
+  return this.readAt !== null;
+});
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+const projectSchema = new mongoose.Schema({
+  // Short code shown next to bugs and used to pick the project in imports
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z][A-Z0-9]{1,9}$/, 'Key must be 2-10 letters or digits, starting with a letter']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name must be less than 100 characters']
+  },
+  description: { type: String, trim: true, default: '', maxlength: [500, 'Description must be less than 500 characters'] },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+export default mongoose.model('Project', projectSchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// A planned version of a project (e.g. "2.4") that bugs can be found in and
+// targeted at. Releasing it stamps `releasedAt`.
+const releaseSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true, immutable: true },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name must be less than 50 characters']
+  },
+  description: { type: String, trim: true, default: '', maxlength: [500, 'Description must be less than 500 characters'] },
+  targetDate: { type: Date, default: null },
+  releasedAt: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+releaseSchema.virtual('released').get(function () {
+  return !!this.releasedAt;
+});
+
+releaseSchema.index({ project: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('Release', releaseSchema);
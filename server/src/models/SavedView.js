@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// A named set of list filters, search and sort (see parseViewQuery). Personal
+// views are only visible to their owner; shared ones to everyone.
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name must be less than 100 characters']
+  },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, immutable: true },
+  shared: { type: Boolean, default: false },
+  query: {
+    filters: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+    search: { type: String, default: '' },
+    sort: { type: String, default: '' }
+  }
+}, {
+  timestamps: true,
+  // Keep `filters: {}` so every view has the same shape
+  minimize: false,
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+savedViewSchema.index({ owner: 1, name: 1 }, { unique: true });
+savedViewSchema.index({ shared: 1 });
+
+export default mongoose.model('SavedView', savedViewSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_EVENTS, isWebhookUrl, generateWebhookSecret } from '../utils/webhooks.js';
+
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    maxlength: [2000, 'URL must be less than 2000 characters'],
+    validate: { validator: isWebhookUrl, message: 'URL must be an http or https address' }
+  },
+  events: {
+    type: [{ type: String, enum: { values: WEBHOOK_EVENTS, message: '{VALUE} is not a webhook event' } }],
+    validate: { validator: (events) => events.length > 0, message: 'Pick at least one event' }
+  },
+  description: { type: String, trim: true, default: '', maxlength: [200, 'Description must be less than 200 characters'] },
+  active: { type: Boolean, default: true },
+  // Chosen by the admin or generated; only shown when the webhook is created
+  secret: {
+    type: String,
+    required: true,
+    default: generateWebhookSecret,
+    minlength: [16, 'Secret must be at least 16 characters'],
+    maxlength: [200, 'Secret must be less than 200 characters'],
+    select: false
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+export default mongoose.model('Webhook', webhookSchema);
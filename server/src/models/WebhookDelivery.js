@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_DELIVERY_RETENTION_DAYS } from '../config/webhooks.js';
+
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  // null when the receiver could not be reached
+  statusCode: { type: Number, default: null },
+  error: { type: String, default: null },
+  durationMs: { type: Number, required: true }
+}, { _id: false });
+
+// One event sent to one webhook, with every attempt made so far. Pending
+// deliveries are retried once `nextAttemptAt` passes.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+  attempts: { type: [attemptSchema], default: [] },
+  nextAttemptAt: { type: Date, default: null },
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
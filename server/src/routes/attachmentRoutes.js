@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getAttachments,
+  uploadAttachments,
+  downloadAttachment,
+  deleteAttachment
+} from '../controllers/attachmentController.js';
+import { acceptAttachments } from '../middleware/upload.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+const router = express.Router({ mergeParams: true });
+
+router.get('/', asyncHandler(getAttachments));
+router.post('/', acceptAttachments(), asyncHandler(uploadAttachments));
+router.get('/:attachmentId/download', asyncHandler(downloadAttachment));
+router.delete('/:attachmentId', asyncHandler(deleteAttachment));
+
+export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import { register, login, getCurrentUser } from '../controllers/authController.js';
+import requireAuth from '../middleware/auth.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+const router = express.Router();
+
+router.post('/register', asyncHandler(register));
+router.post('/login', asyncHandler(login));
+router.get('/me', requireAuth, asyncHandler(getCurrentUser));
+
+export default router;
@@ -1,11 +1,55 @@
 import express from 'express';
-import { getBugs, createBug, updateBug, deleteBug } from '../controllers/bugController.js';
+import {
+  getBugs,
+  searchBugs,
+  getBug,
+  createBug,
+  updateBug,
+  patchBug,
+  bulkUpdateBugs,
+  exportBugs,
+  getBugStats,
+  getBugTrends,
+  importBugs,
+  findSimilarBugs,
+  markDuplicate,
+  deleteBug,
+  getTrash,
+  restoreBug,
+  getBugHistory
+} from '../controllers/bugController.js';
+import { streamBugEvents } from '../controllers/eventController.js';
+import commentRoutes from './commentRoutes.js';
+import linkRoutes from './linkRoutes.js';
+import attachmentRoutes from './attachmentRoutes.js';
+import requireAuth from '../middleware/auth.js';
+import { acceptAttachments, acceptImportFile } from '../middleware/upload.js';
+import asyncHandler from '../utils/asyncHandler.js';
 
 const router = express.Router();
 
-router.get('/', getBugs);
-router.post('/', createBug);
-router.put('/:id', updateBug);
-router.delete('/:id', deleteBug);
+router.use(requireAuth);
+
+router.get('/', asyncHandler(getBugs));
+router.get('/search', asyncHandler(searchBugs));
+router.get('/trash', asyncHandler(getTrash));
+router.get('/stats', asyncHandler(getBugStats));
+router.get('/trends', asyncHandler(getBugTrends));
+router.get('/events', streamBugEvents);
+router.get('/export', asyncHandler(exportBugs));
+router.post('/', acceptAttachments({ bugField: true }), asyncHandler(createBug));
+router.post('/bulk', asyncHandler(bulkUpdateBugs));
+router.post('/similar', asyncHandler(findSimilarBugs));
+router.post('/import', acceptImportFile, asyncHandler(importBugs));
+router.get('/:id', asyncHandler(getBug));
+router.put('/:id', acceptAttachments({ bugField: true }), asyncHandler(updateBug));
+router.patch('/:id', acceptAttachments({ bugField: true }), asyncHandler(patchBug));
+router.delete('/:id', asyncHandler(deleteBug));
+router.post('/:id/restore', asyncHandler(restoreBug));
+router.post('/:id/duplicate', asyncHandler(markDuplicate));
+router.get('/:id/history', asyncHandler(getBugHistory));
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/links', linkRoutes);
+router.use('/:id/attachments', attachmentRoutes);
 
 export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import { getComments, createComment, updateComment, deleteComment } from '../controllers/commentController.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+const router = express.Router({ mergeParams: true });
+
+router.get('/', asyncHandler(getComments));
+router.post('/', asyncHandler(createComment));
+router.put('/:commentId', asyncHandler(updateComment));
+router.delete('/:commentId', asyncHandler(deleteComment));
+
+export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { getLinks, createLink, deleteLink } from '../controllers/linkController.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+const router = express.Router({ mergeParams: true });
+
+router.get('/', asyncHandler(getLinks));
+router.post('/', asyncHandler(createLink));
+router.delete('/:linkId', asyncHandler(deleteLink));
+
+export default router;
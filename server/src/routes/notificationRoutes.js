@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} from '../controllers/notificationController.js';
+import requireAuth from '../middleware/auth.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.get('/', asyncHandler(getNotifications));
+router.post('/read-all', asyncHandler(markAllNotificationsRead));
+router.post('/:id/read', asyncHandler(markNotificationRead));
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  getComponents,
+  createComponent,
+  updateComponent,
+  deleteComponent
+} from '../controllers/projectController.js';
+import requireAuth, { requireAdmin } from '../middleware/auth.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+const router = express.Router();
+
+// Everyone can read projects; only admins change them
+router.use(requireAuth);
+router.get('/', asyncHandler(getProjects));
+router.post('/', requireAdmin, asyncHandler(createProject));
+router.get('/:id', asyncHandler(getProject));
+router.patch('/:id', requireAdmin, asyncHandler(updateProject));
+router.delete('/:id', requireAdmin, asyncHandler(deleteProject));
+router.get('/:id/components', asyncHandler(getComponents));
+router.post('/:id/components', requireAdmin, asyncHandler(createComponent));
+router.patch('/:id/components/:componentId', requireAdmin, asyncHandler(updateComponent));
+router.delete('/:id/components/:componentId', requireAdmin, asyncHandler(deleteComponent));
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getReleases,
+  getRelease,
+  createRelease,
+  updateRelease,
+  deleteRelease,
+  getReleaseReadiness,
+  releaseRelease
+} from '../controllers/releaseController.js';
+import requireAuth, { requireAdmin } from '../middleware/auth.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+const router = express.Router();
+
+// Everyone can follow a release; only admins plan and ship them
+router.use(requireAuth);
+router.get('/', asyncHandler(getReleases));
+router.post('/', requireAdmin, asyncHandler(createRelease));
+router.get('/:id', asyncHandler(getRelease));
+router.patch('/:id', requireAdmin, asyncHandler(updateRelease));
+router.delete('/:id', requireAdmin, asyncHandler(deleteRelease));
+router.get('/:id/readiness', asyncHandler(getReleaseReadiness));
+router.post('/:id/release', requireAdmin, asyncHandler(releaseRelease));
+
+export default router;
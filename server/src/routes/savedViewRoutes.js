@@ -0,0 +1,15 @@
+import express from 'express';
+import { getViews, getView, createView, updateView, deleteView } from '../controllers/savedViewController.js';
+import requireAuth from '../middleware/auth.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.get('/', asyncHandler(getViews));
+router.post('/', asyncHandler(createView));
+router.get('/:id', asyncHandler(getView));
+router.patch('/:id', asyncHandler(updateView));
+router.delete('/:id', asyncHandler(deleteView));
+
+export default router;
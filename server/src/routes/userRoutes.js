@@ -0,0 +1,11 @@
+import express from 'express';
+import { getUsers } from '../controllers/userController.js';
+import requireAuth from '../middleware/auth.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.get('/', asyncHandler(getUsers));
+
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  pingWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook
+} from '../controllers/webhookController.js';
+import requireAuth, { requireAdmin } from '../middleware/auth.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+const router = express.Router();
+
+router.use(requireAuth, requireAdmin);
+router.get('/', asyncHandler(getWebhooks));
+router.post('/', asyncHandler(createWebhook));
+router.get('/:id', asyncHandler(getWebhook));
+router.patch('/:id', asyncHandler(updateWebhook));
+router.delete('/:id', asyncHandler(deleteWebhook));
+router.post('/:id/ping', asyncHandler(pingWebhook));
+router.get('/:id/deliveries', asyncHandler(getWebhookDeliveries));
+router.post('/:id/deliveries/:deliveryId/redeliver', asyncHandler(redeliverWebhook));
+
+export default router;
@@ -0,0 +1,28 @@
+import fs from 'fs';
+import path from 'path';
+import { UPLOAD_DIR } from '../config/attachments.js';
+
+// Stores attachments as plain files under `root`, one directory per bug.
+export default function createDiskStorage({ root = UPLOAD_DIR } = {}) {
+  const base = path.resolve(root);
+
+  const resolve = (key) => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return file;
+  };
+
+  return {
+    async save(key, buffer) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    createReadStream: (key) => fs.createReadStream(resolve(key)),
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+}
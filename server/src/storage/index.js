@@ -0,0 +1,24 @@
+import { ATTACHMENT_STORAGE } from '../config/attachments.js';
+import createDiskStorage from './diskStorage.js';
+
+// Attachment storage backends by name, picked with ATTACHMENT_STORAGE. A
+// backend stores opaque keys and implements:
+//   save(key, buffer, { contentType }) -> Promise
+//   createReadStream(key) -> Readable
+//   remove(key) -> Promise (no error if the key is already gone)
+const backends = { local: createDiskStorage };
+let storage;
+
+export const registerStorage = (name, factory) => {
+  backends[name] = factory;
+  if (name === ATTACHMENT_STORAGE) storage = undefined;
+};
+
+export const getStorage = () => {
+  if (!storage) {
+    const factory = backends[ATTACHMENT_STORAGE];
+    if (!factory) throw new Error(`Unknown attachment storage "${ATTACHMENT_STORAGE}"`);
+    storage = factory();
+  }
+  return storage;
+};
@@ -0,0 +1,34 @@
+export default class ApiError extends Error {
+  constructor(status, code, message, { fields, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+    this.details = details;
+  }
+
+  static badRequest(message, options) {
+    return new ApiError(400, 'BAD_REQUEST', message, options);
+  }
+
+  static validation(fields, message = Object.values(fields).map(f => f.message).join(', ')) {
+    return new ApiError(400, 'VALIDATION_ERROR', message, { fields });
+  }
+
+  static unauthorized(message = 'Authentication required') {
+    return new ApiError(401, 'UNAUTHENTICATED', message);
+  }
+
+  static forbidden(message) {
+    return new ApiError(403, 'FORBIDDEN', message);
+  }
+
+  static notFound(resource = 'Resource') {
+    return new ApiError(404, 'NOT_FOUND', `${resource} not found`);
+  }
+
+  static conflict(code, message, options) {
+    return new ApiError(409, code, message, options);
+  }
+}
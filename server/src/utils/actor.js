@@ -0,0 +1 @@
+export const getActor = (req) => req.user?.username ?? 'anonymous';
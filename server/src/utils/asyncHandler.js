@@ -0,0 +1,5 @@
+// Express 4 does not catch rejected promises from async handlers; forward them
+// to the error handler instead of leaving the request hanging.
+const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+export default asyncHandler;
@@ -0,0 +1,18 @@
+import jwt from 'jsonwebtoken';
+
+// Anyone who knows the secret can sign tokens, so the fallback is only for
+// local development and tests
+const DEV_ENVIRONMENTS = ['development', 'test'];
+if (!process.env.JWT_SECRET && !DEV_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+  throw new Error('JWT_SECRET must be set (or NODE_ENV set to development or test)');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+export const generateToken = (user) =>
+  jwt.sign({ sub: user._id.toString(), username: user.username }, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN
+  });
+
+export const verifyToken = (token) => jwt.verify(token, JWT_SECRET);
@@ -0,0 +1,190 @@
+import ApiError from './ApiError.js';
+import { parseCsv, toCsv, unquoteFormula } from './csv.js';
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+export const IMPORT_MODES = ['create', 'upsert'];
+export const MAX_EXPORT_ROWS = 10000;
+export const MAX_IMPORT_ROWS = 1000;
+
+export const EXPORT_COLUMNS = [
+  'id',
+  'externalId',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'project',
+  'component',
+  'affectsVersion',
+  'fixVersion',
+  'assignee',
+  'reporter',
+  'environment',
+  'reproducible',
+  'stepsToReproduce',
+  'resolution',
+  'tags',
+  'createdAt',
+  'updatedAt'
+];
+
+// Columns an import may set; the rest (id, reporter, dates) are ignored so an
+// export can be edited and imported back as it is.
+const STRING_FIELDS = ['title', 'description', 'status', 'priority', 'environment', 'stepsToReproduce', 'resolution'];
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Expects `assignee` and `reporter` populated with usernames, `project` with
+// its key, and `component` and the versions with their names
+export const toExportRow = (bug) => ({
+  id: bug.id,
+  externalId: bug.externalId ?? '',
+  title: bug.title,
+  description: bug.description,
+  status: bug.status,
+  priority: bug.priority,
+  project: bug.project?.key ?? '',
+  component: bug.component?.name ?? '',
+  affectsVersion: bug.affectsVersion?.name ?? '',
+  fixVersion: bug.fixVersion?.name ?? '',
+  assignee: bug.assignee?.username ?? '',
+  reporter: bug.reporter?.username ?? '',
+  environment: bug.environment,
+  reproducible: bug.reproducible,
+  stepsToReproduce: bug.stepsToReproduce ?? '',
+  resolution: bug.resolution ?? '',
+  tags: bug.tags,
+  createdAt: bug.createdAt.toISOString(),
+  updatedAt: bug.updatedAt.toISOString()
+});
+
+export const formatExport = (rows, format) => {
+  if (format === 'json') return JSON.stringify(rows, null, 2);
+  return toCsv([
+    EXPORT_COLUMNS,
+    ...rows.map(row => EXPORT_COLUMNS.map(column => (column === 'tags' ? row.tags.join(';') : row[column])))
+  ]);
+};
+
+const parseCsvRows = (text) => {
+  const [header = [], ...lines] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+  return lines
+    .filter(line => line.some(value => value.trim()))
+    // Exports quote cells that look like formulas; importing one undoes that
+    .map(line => Object.fromEntries(columns.map((column, i) => [column, unquoteFormula(line[i] ?? '')])));
+};
+
+const parseJsonRows = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new ApiError(400, 'INVALID_JSON', 'The import file is not valid JSON');
+  }
+  const rows = Array.isArray(parsed) ? parsed : parsed?.data;
+  if (!Array.isArray(rows)) throw ApiError.badRequest('A JSON import must be a list of bugs');
+  return rows;
+};
+
+const isJsonFile = (file) => file.mimetype === 'application/json' || /\.json$/i.test(file.originalname);
+
+const toFlag = (value) => value === true || TRUE_VALUES.includes(String(value).toLowerCase());
+
+// Rows come from an uploaded CSV/JSON `file`, or a JSON body's `rows` list.
+export const parseImportRequest = ({ body = {}, file }) => {
+  let rows;
+  if (file) {
+    const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+    rows = isJsonFile(file) ? parseJsonRows(text) : parseCsvRows(text);
+  } else if (Array.isArray(body.rows)) {
+    rows = body.rows;
+  } else {
+    throw ApiError.badRequest('Upload a CSV or JSON file, or send a "rows" list');
+  }
+
+  if (rows.length === 0) throw ApiError.badRequest('There are no rows to import');
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw ApiError.badRequest(`At most ${MAX_IMPORT_ROWS} bugs can be imported at once`);
+  }
+
+  const mode = body.mode ?? 'create';
+  if (!IMPORT_MODES.includes(mode)) {
+    throw ApiError.validation({ mode: { code: 'enum', message: `Mode must be one of: ${IMPORT_MODES.join(', ')}` } });
+  }
+
+  return { rows, mode, dryRun: toFlag(body.dryRun) };
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+// Fields that name something inside the row's project, with the map of the
+// project entry they are looked up in
+const PROJECT_PARTS = {
+  component: { map: 'components', label: 'component' },
+  affectsVersion: { map: 'releases', label: 'release' },
+  fixVersion: { map: 'releases', label: 'release' }
+};
+
+// Turns one row into bug fields. Blank cells are left out, so a new bug gets
+// the default and an upserted one keeps its current value. `users` maps
+// usernames and ids to user ids; `projects` maps project keys and ids to
+// { id, components, releases }, where those map names and ids to ids.
+export const toBugFields = (row, users, projects = new Map()) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    throw ApiError.badRequest('Each row must be an object');
+  }
+
+  const fields = {};
+  const errors = {};
+
+  for (const field of STRING_FIELDS) {
+    if (!isBlank(row[field])) fields[field] = String(row[field]);
+  }
+
+  if (!isBlank(row.reproducible)) {
+    const value = String(row.reproducible).trim().toLowerCase();
+    if (TRUE_VALUES.includes(value)) fields.reproducible = true;
+    else if (FALSE_VALUES.includes(value)) fields.reproducible = false;
+    else errors.reproducible = { code: 'invalid', message: 'Reproducible must be yes or no' };
+  }
+
+  if (!isBlank(row.tags)) {
+    const tags = Array.isArray(row.tags) ? row.tags.map(String) : String(row.tags).split(/[;,]/);
+    fields.tags = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+  }
+
+  if (!isBlank(row.assignee)) {
+    const assignee = users.get(String(row.assignee).trim().toLowerCase());
+    if (assignee) fields.assignee = assignee;
+    else errors.assignee = { code: 'invalid', message: `There is no user "${row.assignee}"` };
+  }
+
+  const project = isBlank(row.project) ? null : projects.get(String(row.project).trim().toLowerCase());
+  if (project) fields.project = project.id;
+  else if (!isBlank(row.project)) errors.project = { code: 'invalid', message: `There is no project "${row.project}"` };
+
+  for (const [field, { map, label }] of Object.entries(PROJECT_PARTS)) {
+    if (isBlank(row[field])) continue;
+    const id = project?.[map]?.get(String(row[field]).trim().toLowerCase());
+    if (id) fields[field] = id;
+    else if (project) errors[field] = { code: 'invalid', message: `The project has no ${label} "${row[field]}"` };
+    else if (isBlank(row.project)) errors[field] = { code: 'invalid', message: `A ${label} needs its project` };
+  }
+
+  if (Object.keys(errors).length) throw ApiError.validation(errors);
+  const externalId = isBlank(row.externalId) ? undefined : String(row.externalId).trim();
+  return { externalId, fields };
+};
+
+export const getImportUserKeys = (rows) => [
+  ...new Set(rows.filter(row => !isBlank(row?.assignee)).map(row => String(row.assignee).trim().toLowerCase()))
+];
+
+export const getImportProjectKeys = (rows) => [
+  ...new Set(rows.filter(row => !isBlank(row?.project)).map(row => String(row.project).trim().toLowerCase()))
+];
+
+export const getImportExternalIds = (rows) => [
+  ...new Set(rows.filter(row => !isBlank(row?.externalId)).map(row => String(row.externalId).trim()))
+];
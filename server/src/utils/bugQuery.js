@@ -0,0 +1,131 @@
+import ApiError from './ApiError.js';
+import { buildSlaFilter } from './slaFilter.js';
+import { SLA_POLICIES } from '../config/sla.js';
+import { SLA_FILTERS } from '../../../shared/sla.js';
+import { BUG_STATUSES, BUG_PRIORITIES } from '../../../shared/bugSchema.js';
+
+const LIST_FILTERS = ['status', 'priority', 'project', 'component', 'affectsVersion', 'fixVersion', 'assignee', 'reporter'];
+const ID_FILTERS = ['project', 'component', 'affectsVersion', 'fixVersion', 'assignee', 'reporter'];
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+const DATE_RANGES = {
+  createdFrom: ['createdAt', '$gte'],
+  createdTo: ['createdAt', '$lte'],
+  updatedFrom: ['updatedAt', '$gte'],
+  updatedTo: ['updatedAt', '$lte']
+};
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'status', 'priority'];
+// Stored as names, these sort by their place in the list instead
+const SORT_RANKS = { status: BUG_STATUSES, priority: BUG_PRIORITIES };
+
+// Every param buildBugFilter understands
+export const FILTER_PARAMS = [...LIST_FILTERS, 'tags', 'tagsMatch', ...Object.keys(DATE_RANGES), 'sla'];
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+export class QueryError extends ApiError {
+  constructor(message) {
+    super(400, 'INVALID_QUERY', message);
+    this.name = 'QueryError';
+  }
+}
+
+const toList = (value) =>
+  [].concat(value)
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+
+const toDate = (value, param) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new QueryError(`Invalid date for "${param}": ${value}`);
+  }
+  return date;
+};
+
+const toInteger = (value, param, { min, max, fallback }) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new QueryError(`"${param}" must be an integer >= ${min}`);
+  }
+  return max === undefined ? number : Math.min(number, max);
+};
+
+export const buildBugFilter = (query = {}) => {
+  const filter = {};
+
+  for (const field of LIST_FILTERS) {
+    if (query[field] === undefined) continue;
+    const values = toList(query[field]);
+    if (ID_FILTERS.includes(field)) {
+      const invalid = values.find(value => !OBJECT_ID.test(value));
+      if (invalid) throw new QueryError(`Invalid id for "${field}": ${invalid}`);
+    }
+    if (values.length) filter[field] = { $in: values };
+  }
+
+  if (query.tags !== undefined) {
+    const tags = toList(query.tags);
+    if (tags.length) {
+      filter.tags = query.tagsMatch === 'all' ? { $all: tags } : { $in: tags };
+    }
+  }
+
+  for (const [param, [field, operator]] of Object.entries(DATE_RANGES)) {
+    if (query[param] === undefined || query[param] === '') continue;
+    filter[field] = { ...filter[field], [operator]: toDate(query[param], param) };
+  }
+
+  if (query.sla !== undefined && query.sla !== '') {
+    if (!SLA_FILTERS.includes(query.sla)) {
+      throw new QueryError(`"sla" must be one of: ${SLA_FILTERS.join(', ')}`);
+    }
+    filter.$and = [buildSlaFilter(query.sla, SLA_POLICIES)];
+  }
+
+  return filter;
+};
+
+export const buildBugSort = (sort) => {
+  const fields = sort === undefined ? [] : toList(sort);
+  if (!fields.length) return { createdAt: -1, _id: 1 };
+
+  const result = {};
+  for (const entry of fields) {
+    const descending = entry.startsWith('-');
+    const field = descending ? entry.slice(1) : entry;
+    if (!SORT_FIELDS.includes(field)) {
+      throw new QueryError(`Cannot sort by "${field}"`);
+    }
+    result[field] = descending ? -1 : 1;
+  }
+  result._id = 1;
+  return result;
+};
+
+// find() can only sort by stored values, so sorts on a ranked field need an
+// aggregate
+export const isRankedSort = (sort) => Object.keys(sort).some(field => field in SORT_RANKS);
+
+// Aggregate stages that apply a buildBugSort result, ranking status and priority
+export const buildRankedSortStages = (sort) => {
+  const ranked = Object.keys(sort).filter(field => field in SORT_RANKS);
+  return [
+    { $addFields: Object.fromEntries(ranked.map(field => [`_rank.${field}`, { $indexOfArray: [SORT_RANKS[field], `$${field}`] }])) },
+    { $sort: Object.fromEntries(Object.entries(sort).map(([field, order]) => [field in SORT_RANKS ? `_rank.${field}` : field, order])) },
+    { $unset: '_rank' }
+  ];
+};
+
+export const buildPagination = (query = {}) => ({
+  limit: toInteger(query.limit, 'limit', { min: 1, max: MAX_LIMIT, fallback: DEFAULT_LIMIT }),
+  offset: toInteger(query.offset, 'offset', { min: 0, fallback: 0 })
+});
+
+export const parseBugQuery = (query = {}) => ({
+  filter: buildBugFilter(query),
+  sort: buildBugSort(query.sort),
+  ...buildPagination(query)
+});
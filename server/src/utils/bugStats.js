@@ -0,0 +1,100 @@
+import { BUG_STATUSES, BUG_PRIORITIES } from '../../../shared/bugSchema.js';
+import { bugWorkflow } from '../../../shared/bugWorkflow.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_TAGS = 20;
+
+// Open-bug age buckets, by whole days since the bug was reported
+export const AGE_BUCKETS = [
+  { label: '< 1 day', minDays: 0 },
+  { label: '1–7 days', minDays: 1 },
+  { label: '1–4 weeks', minDays: 7 },
+  { label: '1–3 months', minDays: 28 },
+  { label: '> 3 months', minDays: 90 }
+];
+const AGE_BOUNDARIES = [
+  Number.MIN_SAFE_INTEGER,
+  ...AGE_BUCKETS.slice(1).map(bucket => bucket.minDays * DAY_MS),
+  Number.MAX_SAFE_INTEGER
+];
+
+const countBy = (field) => [{ $group: { _id: field, count: { $sum: 1 } } }];
+
+// One pass over the matching bugs; `match` must already be cast, since
+// aggregate() bypasses Mongoose casting.
+export const buildStatsPipeline = (match, now = new Date()) => [
+  { $match: match },
+  {
+    $facet: {
+      total: [{ $count: 'count' }],
+      byStatus: countBy('$status'),
+      byPriority: countBy('$priority'),
+      byAssignee: [
+        ...countBy('$assignee'),
+        { $sort: { count: -1, _id: 1 } },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+        { $project: { count: 1, user: { $arrayElemAt: ['$user', 0] } } }
+      ],
+      byTag: [
+        { $unwind: '$tags' },
+        ...countBy('$tags'),
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_TAGS }
+      ],
+      // Sorted so the median can be read off the middle
+      resolveTimes: [
+        { $match: { resolvedAt: { $ne: null } } },
+        { $project: { duration: { $subtract: ['$resolvedAt', '$createdAt'] } } },
+        { $sort: { duration: 1 } },
+        { $group: { _id: null, durations: { $push: '$duration' } } }
+      ],
+      openAge: [
+        { $match: { status: { $in: bugWorkflow.unresolved } } },
+        {
+          $bucket: {
+            groupBy: { $subtract: [now, '$createdAt'] },
+            boundaries: AGE_BOUNDARIES,
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ]
+    }
+  }
+];
+
+export const median = (sorted) => {
+  if (!sorted.length) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const toCounts = (keys, groups) => {
+  const counts = Object.fromEntries(keys.map(key => [key, 0]));
+  for (const { _id, count } of groups) counts[_id] = count;
+  return counts;
+};
+
+// Shapes the $facet output; durations are in milliseconds
+export const summarizeStats = ([facets]) => {
+  const durations = facets.resolveTimes[0]?.durations ?? [];
+  const ages = new Map(facets.openAge.map(({ _id, count }) => [_id, count]));
+
+  return {
+    total: facets.total[0]?.count ?? 0,
+    byStatus: toCounts(BUG_STATUSES, facets.byStatus),
+    byPriority: toCounts(BUG_PRIORITIES, facets.byPriority),
+    byAssignee: facets.byAssignee.map(({ _id, count, user }) => ({
+      id: String(_id),
+      username: user?.username ?? null,
+      name: user?.name ?? 'Unknown user',
+      count
+    })),
+    byTag: facets.byTag.map(({ _id, count }) => ({ tag: _id, count })),
+    timeToResolve: {
+      count: durations.length,
+      mean: durations.length ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length : null,
+      median: median(durations)
+    },
+    openAge: AGE_BUCKETS.map((bucket, i) => ({ ...bucket, count: ages.get(AGE_BOUNDARIES[i]) ?? 0 }))
+  };
+};
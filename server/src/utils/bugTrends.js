@@ -0,0 +1,108 @@
+import { QueryError } from './bugQuery.js';
+import { BUG_STATUSES } from '../../../shared/bugSchema.js';
+import { bugWorkflow, isUnresolved } from '../../../shared/bugWorkflow.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVAL_MS = { day: DAY_MS, week: 7 * DAY_MS };
+const DEFAULT_BUCKETS = { day: 30, week: 12 };
+
+export const TREND_INTERVALS = Object.keys(INTERVAL_MS);
+export const MAX_BUCKETS = 366;
+export const MAX_TREND_BUGS = 20000;
+
+const toDate = (value, param) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new QueryError(`Invalid date for "${param}": ${value}`);
+  return date;
+};
+
+// Buckets start at UTC midnight, and weeks on Monday
+const startOfBucket = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+};
+
+// `interval`, `from` and `to` pick the window; without `from` it covers the
+// last 30 days or 12 weeks up to `to` (default: now).
+export const parseTrendQuery = (query = {}, now = new Date()) => {
+  const interval = query.interval ?? 'day';
+  if (!TREND_INTERVALS.includes(interval)) {
+    throw new QueryError(`"interval" must be one of: ${TREND_INTERVALS.join(', ')}`);
+  }
+
+  const to = query.to ? toDate(query.to, 'to') : now;
+  const from = query.from
+    ? toDate(query.from, 'from')
+    : new Date(to.getTime() - (DEFAULT_BUCKETS[interval] - 1) * INTERVAL_MS[interval]);
+  if (from > to) throw new QueryError('"from" must be before "to"');
+
+  const buckets = [];
+  for (let start = startOfBucket(from, interval); start <= to; start = new Date(start.getTime() + INTERVAL_MS[interval])) {
+    buckets.push(start);
+    if (buckets.length > MAX_BUCKETS) {
+      throw new QueryError(`At most ${MAX_BUCKETS} ${interval}s can be reported at once; narrow the window`);
+    }
+  }
+  return { interval, from, to, buckets };
+};
+
+// Bugs saved before status changes were recorded only know when they were
+// created and, if they moved on, roughly when they reached their current status.
+export const getStatusTimeline = (bug) => {
+  if (bug.statusChanges?.length) return bug.statusChanges;
+  const created = { from: null, to: bugWorkflow.initial, at: bug.createdAt };
+  if (bug.status === bugWorkflow.initial) return [created];
+  return [created, { from: bugWorkflow.initial, to: bug.status, at: bug.resolvedAt ?? bug.updatedAt }];
+};
+
+const statusAt = (timeline, time) => {
+  let status = null;
+  for (const change of timeline) {
+    if (change.at.getTime() >= time) break;
+    status = change.to;
+  }
+  return status;
+};
+
+const isResolution = (change) => change.from !== null && isUnresolved(change.from) && !isUnresolved(change.to);
+
+// Per bucket: bugs opened and resolved during it, and how many bugs were in
+// each status at its end. The burndown follows the unresolved count against a
+// straight line from where the window started down to zero.
+export const buildTrends = (bugs, { interval, buckets }) => {
+  const length = INTERVAL_MS[interval];
+  const timelines = bugs.map(getStatusTimeline);
+
+  const rows = buckets.map(start => {
+    const from = start.getTime();
+    const end = from + length;
+    const inBucket = (date) => date.getTime() >= from && date.getTime() < end;
+    const row = {
+      date: start.toISOString(),
+      opened: bugs.filter(bug => inBucket(bug.createdAt)).length,
+      resolved: 0,
+      flow: Object.fromEntries(BUG_STATUSES.map(status => [status, 0]))
+    };
+
+    for (const timeline of timelines) {
+      row.resolved += timeline.filter(change => isResolution(change) && inBucket(change.at)).length;
+      const status = statusAt(timeline, end);
+      if (status) row.flow[status] = (row.flow[status] ?? 0) + 1;
+    }
+    return row;
+  });
+
+  const remaining = rows.map(row => bugWorkflow.unresolved.reduce((sum, status) => sum + row.flow[status], 0));
+  const steps = Math.max(rows.length - 1, 1);
+
+  return {
+    openedVsResolved: rows.map(({ date, opened, resolved }) => ({ date, opened, resolved })),
+    cumulativeFlow: rows.map(({ date, flow }) => ({ date, ...flow })),
+    burndown: rows.map(({ date }, i) => ({
+      date,
+      remaining: remaining[i],
+      ideal: Math.round(remaining[0] * (1 - i / steps) * 10) / 10
+    }))
+  };
+};
@@ -0,0 +1,73 @@
+import ApiError from './ApiError.js';
+import { buildBugFilter } from './bugQuery.js';
+import { parseSearchQuery } from './textSearch.js';
+
+export const MAX_BULK_ITEMS = 500;
+
+const SET_FIELDS = ['status', 'priority', 'assignee', 'fixVersion', 'resolution'];
+const TAG_FIELDS = ['addTags', 'removeTags'];
+
+const toTags = (value, field) => {
+  if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string')) {
+    throw ApiError.validation({ [field]: { code: 'invalid', message: `"${field}" must be a list of tags` } });
+  }
+  return [...new Set(value.map(tag => tag.trim()).filter(Boolean))];
+};
+
+const parseChanges = (changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw ApiError.badRequest('"changes" must be an object');
+  }
+
+  const unknown = Object.keys(changes).filter(field => ![...SET_FIELDS, ...TAG_FIELDS].includes(field));
+  if (unknown.length) {
+    throw ApiError.validation(
+      Object.fromEntries(unknown.map(field => [field, { code: 'unknown', message: `"${field}" cannot be bulk edited` }]))
+    );
+  }
+
+  const set = Object.fromEntries(SET_FIELDS.filter(field => field in changes).map(field => [field, changes[field]]));
+  const addTags = changes.addTags === undefined ? [] : toTags(changes.addTags, 'addTags');
+  const removeTags = changes.removeTags === undefined ? [] : toTags(changes.removeTags, 'removeTags');
+
+  if (!Object.keys(set).length && !addTags.length && !removeTags.length) {
+    throw ApiError.badRequest('No changes given');
+  }
+  return { set, addTags, removeTags };
+};
+
+// Targets are either an explicit list of ids or every bug matching a list
+// query (the same params GET /api/bugs and /api/bugs/search accept).
+const parseTargets = ({ ids, query }) => {
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+      throw ApiError.badRequest('"ids" must be a non-empty list of bug ids');
+    }
+    const unique = [...new Set(ids)];
+    if (unique.length > MAX_BULK_ITEMS) {
+      throw ApiError.badRequest(`At most ${MAX_BULK_ITEMS} bugs can be edited at once`);
+    }
+    return { ids: unique };
+  }
+
+  if (query && typeof query === 'object') {
+    const filter = buildBugFilter(query);
+    if (query.q !== undefined) filter.$text = { $search: parseSearchQuery(query.q).query };
+    return { filter };
+  }
+
+  throw ApiError.badRequest('Either "ids" or "query" is required');
+};
+
+export const parseBulkRequest = (body = {}) => ({
+  ...parseTargets(body),
+  changes: parseChanges(body.changes)
+});
+
+export const applyBulkChanges = (bug, { set, addTags, removeTags }) => {
+  bug.set(set);
+  if (addTags.length || removeTags.length) {
+    const tags = [...new Set([...bug.tags, ...addTags])].filter(tag => !removeTags.includes(tag));
+    bug.set('tags', tags);
+  }
+};
@@ -0,0 +1,59 @@
+// Minimal RFC 4180 CSV: comma separated, double-quoted fields may contain
+// commas, quotes ("") and line breaks. Fields written out that could run as
+// spreadsheet formulas are prefixed with '.
+
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Spreadsheets run cells starting with these as formulas; a leading ' makes
+// them plain text. Cells that already start with quotes before one get another,
+// so taking one off on import gives back exactly what was exported.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+const quoteFormula = (text) => (FORMULA_START.test(text) ? `'${text}` : text);
+
+export const unquoteFormula = (text) => (text[0] === '\'' && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+const escapeField = (value) => {
+  const text = quoteFormula(value === undefined || value === null ? '' : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
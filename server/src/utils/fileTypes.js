@@ -0,0 +1,38 @@
+// Uploads declare their own content type, so the file's first bytes are
+// checked against the type it claims before it is stored.
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+const SIGNATURES = {
+  'image/png': (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'image/jpeg': (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  'image/gif': (buffer) => startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a')),
+  'image/webp': (buffer) => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8),
+  'application/pdf': (buffer) => startsWith(buffer, ascii('%PDF-')),
+  // Local file header, or the end record of an empty archive
+  'application/zip': (buffer) => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4b, 0x05, 0x06]),
+  'application/gzip': (buffer) => startsWith(buffer, [0x1f, 0x8b])
+};
+
+// Text formats have no signature: they just have to be UTF-8 without NULs
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+const isText = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    utf8.decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const TEXT_TYPES = ['text/plain', 'text/csv', 'application/json'];
+
+// Whether the content looks like the type it claims; unknown types never do
+export const matchesContentType = (buffer, contentType) => {
+  if (TEXT_TYPES.includes(contentType)) return isText(buffer);
+  return SIGNATURES[contentType]?.(buffer) ?? false;
+};
@@ -0,0 +1,49 @@
+import { extractMentions } from '../../../shared/mentions.js';
+
+const toId = (value) => (value ? String(value._id ?? value) : null);
+
+// Usernames mentioned in `after` that weren't already mentioned in `before`
+export const getNewMentions = (before, after) => {
+  const previous = new Set(extractMentions(before));
+  return extractMentions(after).filter(username => !previous.has(username));
+};
+
+const createPlan = (actor, isDuplicate) => {
+  const notifications = [];
+  const add = (recipient, type, fields = {}) => {
+    const id = toId(recipient);
+    if (!id || id === toId(actor) || notifications.some(existing => isDuplicate(existing, id, type))) return;
+    notifications.push({ recipient: id, type, ...fields });
+  };
+  return { notifications, add };
+};
+
+// Who hears about a saved bug change (`before` is null for a new bug), as
+// [{ recipient, type, ...fields }]. Whoever made the change isn't notified,
+// and nobody gets two notifications of the same type.
+export const planBugNotifications = ({ before, after, actor, mentioned = [] }) => {
+  const { notifications, add } = createPlan(
+    actor,
+    (existing, id, type) => existing.recipient === id && existing.type === type
+  );
+
+  if (toId(after.assignee) !== toId(before?.assignee)) add(after.assignee, 'assigned');
+  if (before && before.status !== after.status) {
+    const statusChange = { from: before.status, to: after.status };
+    add(after.reporter, 'status_changed', { statusChange });
+    add(after.assignee, 'status_changed', { statusChange });
+  }
+  for (const user of mentioned) add(user, 'mentioned');
+  return notifications;
+};
+
+// A new comment notifies the people it mentions, then the bug's reporter and
+// assignee; each of them once.
+export const planCommentNotifications = ({ bug, comment, mentioned = [] }) => {
+  const { notifications, add } = createPlan(comment.author, (existing, id) => existing.recipient === id);
+
+  for (const user of mentioned) add(user, 'mentioned', { comment: toId(comment) });
+  add(bug.reporter, 'commented', { comment: toId(comment) });
+  add(bug.assignee, 'commented', { comment: toId(comment) });
+  return notifications;
+};
@@ -0,0 +1,6 @@
+// The envelope every paged list is sent in; `data` is the page itself and
+// `total` counts every match, not just this page
+export const paginate = (data, { total, limit, offset }) => ({
+  data,
+  pagination: { total, limit, offset, hasMore: offset + data.length < total }
+});
@@ -0,0 +1,3 @@
+// The fields of a request body a client is allowed to set; anything else is
+// dropped rather than rejected
+export const pick = (body, fields) => Object.fromEntries(Object.entries(body).filter(([field]) => fields.includes(field)));
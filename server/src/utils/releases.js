@@ -0,0 +1,21 @@
+import { BUG_PRIORITIES } from '../../../shared/bugSchema.js';
+import { isUnresolved } from '../../../shared/bugWorkflow.js';
+
+// How far along a release is, from the bugs targeted at it: the share already
+// resolved, and the unresolved ones grouped by priority, most urgent first.
+export const buildReadiness = (bugs) => {
+  const open = bugs.filter(bug => isUnresolved(bug.status));
+  const resolved = bugs.length - open.length;
+
+  return {
+    total: bugs.length,
+    resolved,
+    unresolved: open.length,
+    // An empty release has nothing left to do
+    progress: bugs.length ? Math.floor((resolved / bugs.length) * 100) : 100,
+    byPriority: [...BUG_PRIORITIES].reverse().map(priority => {
+      const matching = open.filter(bug => bug.priority === priority);
+      return { priority, count: matching.length, bugs: matching };
+    })
+  };
+};
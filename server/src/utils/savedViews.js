@@ -0,0 +1,32 @@
+import ApiError from './ApiError.js';
+import { buildBugFilter, buildBugSort, FILTER_PARAMS, QueryError } from './bugQuery.js';
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isFilterValue = (value) =>
+  typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+const isEmpty = (value) => (Array.isArray(value) ? value.length === 0 : value.trim() === '');
+
+// A view stores the list params the Index sends: `filters` (the GET /api/bugs
+// filter params, as strings or lists of strings), the `search` text and the
+// `sort`. They are checked the way a list request would be, so a saved view
+// always loads; empty values are dropped.
+export const parseViewQuery = (query = {}) => {
+  if (!isPlainObject(query)) {
+    throw ApiError.validation({ query: { code: 'invalid', message: '"query" must be an object' } });
+  }
+
+  const { filters = {}, search = '', sort = '' } = query;
+  if (!isPlainObject(filters)) throw new QueryError('"filters" must be an object');
+  if (typeof search !== 'string') throw new QueryError('"search" must be a string');
+  if (typeof sort !== 'string') throw new QueryError('"sort" must be a string');
+
+  for (const [param, value] of Object.entries(filters)) {
+    if (!FILTER_PARAMS.includes(param)) throw new QueryError(`Cannot filter by "${param}"`);
+    if (!isFilterValue(value)) throw new QueryError(`"${param}" must be a string or a list of strings`);
+  }
+  const kept = Object.fromEntries(Object.entries(filters).filter(([, value]) => !isEmpty(value)));
+  buildBugFilter(kept);
+  buildBugSort(sort.trim() || undefined);
+
+  return { filters: kept, search: search.trim(), sort: sort.trim() };
+};
@@ -0,0 +1,48 @@
+import { stem } from './textSearch.js';
+
+// How much each field counts towards the overall similarity of two reports.
+export const SIMILARITY_WEIGHTS = { title: 0.5, description: 0.35, environment: 0.15 };
+export const MIN_SIMILARITY = 0.2;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'for', 'from', 'has', 'have', 'i', 'if',
+  'in', 'is', 'it', 'its', 'no', 'not', 'of', 'on', 'or', 'so', 'that', 'the', 'then', 'there', 'this',
+  'to', 'was', 'were', 'when', 'which', 'while', 'with', 'does', 'doesn', 'don', 'after', 'before'
+]);
+
+export const tokenize = (text) =>
+  new Set(
+    (typeof text === 'string' ? text.toLowerCase().match(/[a-z0-9]+/g) ?? [] : [])
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+      .map(stem)
+  );
+
+export const jaccard = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const token of a) if (b.has(token)) shared += 1;
+  return shared / (a.size + b.size - shared);
+};
+
+// Weighted per-field Jaccard similarity in [0, 1]. Fields the draft leaves
+// empty are ignored, so a title alone can still find a match.
+export const scoreSimilarity = (draft, bug) => {
+  let score = 0;
+  let weight = 0;
+  for (const [field, fieldWeight] of Object.entries(SIMILARITY_WEIGHTS)) {
+    const tokens = tokenize(draft[field]);
+    if (!tokens.size) continue;
+    score += fieldWeight * jaccard(tokens, tokenize(bug[field]));
+    weight += fieldWeight;
+  }
+  return weight ? score / weight : 0;
+};
+
+// A $text search that matches any meaningful word of the draft; it only picks
+// candidates, scoreSimilarity does the actual ranking.
+export const buildSimilarityQuery = (draft) =>
+  [...new Set(
+    ['title', 'description']
+      .flatMap(field => (typeof draft[field] === 'string' ? draft[field].toLowerCase().match(/[a-z0-9]+/g) ?? [] : []))
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+  )].join(' ');
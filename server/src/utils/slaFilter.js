@@ -0,0 +1,29 @@
+import { SLA_TARGETS, AT_RISK_FRACTION } from '../../../shared/sla.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Mirrors getSlaTarget as a query: a target is breached when it was met late
+// or is still unmet past its due time, and at risk in the last stretch before.
+const targetConditions = (policy, now) =>
+  Object.values(SLA_TARGETS).map(({ field, hours }) => {
+    const windowMs = policy[hours] * HOUR_MS;
+    return {
+      breached: [
+        { [field]: null, createdAt: { $lte: new Date(now - windowMs) } },
+        { $expr: { $gt: [`$${field}`, { $add: ['$createdAt', windowMs] }] } }
+      ],
+      atRisk: {
+        [field]: null,
+        createdAt: { $gt: new Date(now - windowMs), $lte: new Date(now - windowMs * (1 - AT_RISK_FRACTION)) }
+      }
+    };
+  });
+
+export const buildSlaFilter = (state, policies, now = Date.now()) => ({
+  $or: Object.entries(policies).map(([priority, policy]) => {
+    const conditions = targetConditions(policy, now);
+    const breached = conditions.flatMap(condition => condition.breached);
+    if (state === 'breached') return { priority, $or: breached };
+    return { priority, $or: conditions.map(condition => condition.atRisk), $nor: breached };
+  })
+});
@@ -0,0 +1,90 @@
+import { QueryError } from './bugQuery.js';
+
+export const SEARCH_FIELDS = ['title', 'description', 'stepsToReproduce', 'tags'];
+const SNIPPET_RADIUS = 60;
+const MAX_QUERY_LENGTH = 200;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Strip common English suffixes so "crashes" also highlights "crash" and
+// "crashing"; MongoDB stems terms the same way when matching.
+export const stem = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/i, '') : word);
+
+export const parseSearchQuery = (q) => {
+  const query = typeof q === 'string' ? q.trim() : '';
+  if (!query) throw new QueryError('Search query "q" is required');
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new QueryError(`Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const phrases = [];
+  const terms = [];
+  const excluded = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query))) {
+    if (match[2] !== undefined) {
+      (match[1] ? excluded : phrases).push(match[2].trim());
+    } else {
+      (match[3] ? excluded : terms).push(match[4]);
+    }
+  }
+
+  if (!phrases.length && !terms.length) {
+    throw new QueryError('Search query must contain at least one term that is not negated');
+  }
+
+  return { query, phrases, terms, excluded };
+};
+
+const buildMatcher = ({ phrases, terms }) => {
+  const parts = [
+    ...phrases.map(phrase => escapeRegExp(phrase).replace(/\s+/g, '\\s+')),
+    ...terms.map(term => `${escapeRegExp(stem(term))}\\w*`)
+  ];
+  return new RegExp(`\\b(?:${parts.join('|')})`, 'gi');
+};
+
+const findRanges = (text, matcher) => {
+  const ranges = [];
+  matcher.lastIndex = 0;
+  let match;
+  while ((match = matcher.exec(text))) {
+    if (!match[0].length) {
+      matcher.lastIndex += 1;
+      continue;
+    }
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+};
+
+const toSnippet = (text, ranges) => {
+  const start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    ranges: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + offset, to + offset])
+  };
+};
+
+export const buildHighlights = (bug, parsed, fields = SEARCH_FIELDS) => {
+  const matcher = buildMatcher(parsed);
+  const highlights = [];
+
+  for (const field of fields) {
+    const value = Array.isArray(bug[field]) ? bug[field].join(', ') : bug[field];
+    if (typeof value !== 'string' || !value) continue;
+
+    const ranges = findRanges(value, matcher);
+    if (ranges.length) highlights.push({ field, ...toSnippet(value, ranges) });
+  }
+  return highlights;
+};
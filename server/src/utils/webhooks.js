@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import { BUG_EVENTS } from '../events/bugEvents.js';
+import { WEBHOOK_RETRY_BASE_MS, WEBHOOK_RETRY_MAX_MS } from '../config/webhooks.js';
+
+// Events a webhook can subscribe to; `ping` is only sent on request
+export const WEBHOOK_EVENTS = BUG_EVENTS;
+export const PING_EVENT = 'ping';
+
+// Receivers recompute the HMAC over "<timestamp>.<raw body>" with their
+// secret and compare it with the X-Webhook-Signature header.
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+export const signWebhookPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Rejects signatures that don't match or are older than `toleranceSeconds`
+export const verifyWebhookSignature = (secret, { signature, timestamp, body }, { toleranceSeconds = 300, now = Date.now() } = {}) => {
+  if (!signature || !timestamp) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Wait before the attempt after `attempts` failed ones: 30s, 1m, 2m, ... capped
+export const getRetryDelay = (attempts, { baseMs = WEBHOOK_RETRY_BASE_MS, maxMs = WEBHOOK_RETRY_MAX_MS } = {}) =>
+  Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), maxMs);
+
+export const isWebhookUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
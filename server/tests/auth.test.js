@@ -0,0 +1,63 @@
+import request from 'supertest';
+import app from '../server.js';
+import mongoose from 'mongoose';
+
+beforeAll(async () => {
+  await mongoose.connect('mongodb://localhost:27017/bugtracker_auth_test');
+});
+
+afterAll(async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.connection.close();
+});
+
+const newUser = {
+  username: 'dana',
+  name: 'Dana',
+  email: 'dana@example.com',
+  password: 'correct-horse'
+};
+
+describe('Auth API', () => {
+  it('should register a user and return a session', async () => {
+    const res = await request(app).post('/api/auth/register').send(newUser);
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.user.username).toBe('dana');
+    expect(res.body.user).not.toHaveProperty('password');
+  });
+
+  it('should only ever register plain users', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'admin', name: 'Admin', email: 'admin@example.com', password: 'correct-horse', role: 'admin' });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.user.role).toBe('user');
+  });
+
+  it('should reject a duplicate username', async () => {
+    const res = await request(app).post('/api/auth/register').send({ ...newUser, email: 'other@example.com' });
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.code).toBe('DUPLICATE_KEY');
+    expect(res.body.fields).toHaveProperty('username');
+  });
+
+  it('should log in with the right password', async () => {
+    const res = await request(app).post('/api/auth/login').send({ username: 'Dana', password: 'correct-horse' });
+    expect(res.statusCode).toEqual(200);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${res.body.token}`);
+    expect(me.body.username).toBe('dana');
+  });
+
+  it('should reject the wrong password', async () => {
+    const res = await request(app).post('/api/auth/login').send({ username: 'dana', password: 'wrong-horse' });
+    expect(res.statusCode).toEqual(401);
+  });
+
+  it('should reject a tampered token', async () => {
+    const res = await request(app).get('/api/auth/me').set('Authorization', 'Bearer not-a-token');
+    expect(res.statusCode).toEqual(401);
+    expect(res.body.code).toBe('UNAUTHENTICATED');
+  });
+});
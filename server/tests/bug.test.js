@@ -1,21 +1,1316 @@
+import { jest } from '@jest/globals';
 import request from 'supertest';
 import app from '../server.js';
 import mongoose from 'mongoose';
-import Bug from '../models/Bug.js';
+import Bug from '../src/models/Bug.js';
+import Comment from '../src/models/Comment.js';
+import Project from '../src/models/Project.js';
+import Component from '../src/models/Component.js';
+import Release from '../src/models/Release.js';
+import { purgeTrashedBugs } from '../src/jobs/purgeTrash.js';
+import { registerStorage } from '../src/storage/index.js';
+import createDiskStorage from '../src/storage/diskStorage.js';
+import Attachment from '../src/models/Attachment.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { auth, createUser, users } from './helpers.js';
+
+const projects = {};
+const components = {};
+let validBug;
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bug-uploads-'));
+registerStorage('local', () => createDiskStorage({ root: uploadDir }));
 
 beforeAll(async () => {
   await mongoose.connect('mongodb://localhost:27017/bugtracker_test');
+
+  for (const name of ['alice', 'bob', 'carol', 'mallory']) {
+    await createUser(name, { name: name[0].toUpperCase() + name.slice(1) });
+  }
+
+  projects.web = await Project.create({ key: 'WEB', name: 'Web' });
+  projects.api = await Project.create({ key: 'API', name: 'API' });
+  components.checkout = await Component.create({ project: projects.web._id, name: 'Checkout' });
+
+  validBug = {
+    title: 'Test Bug',
+    description: 'Clicking save does nothing',
+    priority: 'high',
+    project: projects.web.id,
+    assignee: users.alice.id,
+    environment: 'Chrome 120',
+    reproducible: true,
+    stepsToReproduce: '1. Open form\n2. Click save',
+    tags: ['ui', 'forms']
+  };
 });
 
 afterAll(async () => {
   await mongoose.connection.dropDatabase();
   await mongoose.connection.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
 });
 
 describe('Bug API', () => {
   it('should create a bug', async () => {
-    const res = await request(app).post('/api/bugs').send({ title: 'Test Bug' });
+    const res = await request(app).post('/api/bugs').set(auth()).send(validBug);
     expect(res.statusCode).toEqual(201);
     expect(res.body.title).toBe('Test Bug');
   });
+
+  it('should round-trip every field the form submits', async () => {
+    const res = await request(app).post('/api/bugs').set(auth()).send(validBug);
+    const { assignee, project, ...fields } = validBug;
+    expect(res.body).toMatchObject({ ...fields, status: 'open' });
+    expect(res.body.assignee).toMatchObject({ id: assignee, username: 'alice' });
+    expect(res.body.project).toMatchObject({ id: project, key: 'WEB' });
+    expect(res.body.reporter).toMatchObject({ username: 'bob' });
+    expect(res.body.id).toBeDefined();
+  });
+
+  it('should reach the closed status through the workflow', async () => {
+    const { body: bug } = await request(app).post('/api/bugs').set(auth()).send(validBug);
+    await request(app).patch(`/api/bugs/${bug.id}`).set(auth()).send({ status: 'in-progress' });
+    await request(app)
+      .patch(`/api/bugs/${bug.id}`)
+      .set(auth())
+      .send({ status: 'resolved', resolution: 'Fixed the handler' });
+    const res = await request(app).patch(`/api/bugs/${bug.id}`).set(auth()).send({ status: 'closed' });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.status).toBe('closed');
+  });
+
+  it('should reject what the form rejects', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set(auth())
+      .send({ ...validBug, description: 'too short', priority: 'urgent' });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.fields.description).toEqual({
+      code: 'minlength',
+      message: 'Description must be at least 10 characters'
+    });
+    expect(res.body.fields.priority.code).toBe('enum');
+  });
+});
+
+describe('Bug status workflow', () => {
+  let bugId;
+
+  beforeEach(async () => {
+    const res = await request(app).post('/api/bugs').set(auth()).send(validBug);
+    bugId = res.body.id;
+  });
+
+  it('should reject creating a bug outside the initial status', async () => {
+    const res = await request(app).post('/api/bugs').set(auth()).send({ ...validBug, status: 'closed' });
+    expect(res.statusCode).toEqual(409);
+  });
+
+  it('should reject an illegal transition with the allowed next states', async () => {
+    const res = await request(app).patch(`/api/bugs/${bugId}`).set(auth()).send({ status: 'closed' });
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.code).toBe('INVALID_TRANSITION');
+    expect(res.body.details.allowed).toEqual(['in-progress']);
+  });
+
+  it('should require a resolution note when resolving', async () => {
+    await request(app).patch(`/api/bugs/${bugId}`).set(auth()).send({ status: 'in-progress' });
+    const res = await request(app).patch(`/api/bugs/${bugId}`).set(auth()).send({ status: 'resolved' });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.fields.resolution.code).toBe('required');
+  });
+});
+
+describe('Bug history', () => {
+  it('should record field-level diffs with the actor', async () => {
+    const { body: bug } = await request(app).post('/api/bugs').set(auth('bob')).send(validBug);
+    await request(app).patch(`/api/bugs/${bug.id}`).set(auth('carol')).send({ priority: 'critical' });
+
+    const res = await request(app).get(`/api/bugs/${bug.id}/history`).set(auth());
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.map(entry => entry.action)).toEqual(['create', 'update']);
+    expect(res.body[1]).toMatchObject({
+      actor: 'carol',
+      changes: [{ field: 'priority', from: 'high', to: 'critical' }]
+    });
+  });
+
+  it('should keep the history of deleted bugs', async () => {
+    const { body: bug } = await request(app).post('/api/bugs').set(auth()).send(validBug);
+    await request(app).delete(`/api/bugs/${bug.id}`).set(auth());
+
+    const res = await request(app).get(`/api/bugs/${bug.id}/history`).set(auth());
+    expect(res.body.map(entry => entry.action)).toEqual(['create', 'delete']);
+  });
+});
+
+describe('Bug comments', () => {
+  let bugId;
+
+  beforeEach(async () => {
+    const res = await request(app).post('/api/bugs').set(auth()).send(validBug);
+    bugId = res.body.id;
+  });
+
+  it('should create, list and count comments', async () => {
+    const created = await request(app)
+      .post(`/api/bugs/${bugId}/comments`)
+      .set(auth('alice'))
+      .send({ body: 'I can reproduce this on Firefox too' });
+    expect(created.statusCode).toEqual(201);
+    expect(created.body.author.username).toBe('alice');
+
+    const list = await request(app).get(`/api/bugs/${bugId}/comments`).set(auth());
+    expect(list.body).toHaveLength(1);
+
+    const { body: bugs } = await request(app).get('/api/bugs').set(auth());
+    expect(bugs.data.find(bug => bug.id === bugId).commentCount).toBe(1);
+  });
+
+  it('should only let the author edit a comment', async () => {
+    const { body: comment } = await request(app)
+      .post(`/api/bugs/${bugId}/comments`)
+      .set(auth('alice'))
+      .send({ body: 'First!' });
+
+    const res = await request(app)
+      .put(`/api/bugs/${bugId}/comments/${comment.id}`)
+      .set(auth('mallory'))
+      .send({ body: 'Edited' });
+    expect(res.statusCode).toEqual(403);
+  });
+
+  it('should hide comments of trashed bugs and purge them with the bug', async () => {
+    await request(app).post(`/api/bugs/${bugId}/comments`).set(auth()).send({ body: 'Soon gone' });
+    await request(app).delete(`/api/bugs/${bugId}`).set(auth());
+
+    const list = await request(app).get(`/api/bugs/${bugId}/comments`).set(auth());
+    expect(list.statusCode).toEqual(404);
+    expect(await Comment.countDocuments({ bug: bugId })).toBe(1);
+
+    await purgeTrashedBugs({ retentionDays: 0 });
+    expect(await Comment.countDocuments({ bug: bugId })).toBe(0);
+  });
+});
+
+describe('Bug API authentication', () => {
+  it('should reject requests without a token', async () => {
+    const res = await request(app).get('/api/bugs');
+    expect(res.statusCode).toEqual(401);
+  });
+
+  it('should ignore a reporter sent in the body', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set(auth('carol'))
+      .send({ ...validBug, reporter: users.alice.id });
+    expect(res.body.reporter.username).toBe('carol');
+  });
+
+  it('should reject an assignee that is not a user', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set(auth())
+      .send({ ...validBug, assignee: new mongoose.Types.ObjectId().toString() });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.fields.assignee.message).toBe('Assignee must be an existing user');
+  });
+});
+
+describe('Bug search', () => {
+  beforeAll(async () => {
+    await Promise.all([
+      request(app).post('/api/bugs').set(auth()).send({
+        ...validBug,
+        title: 'Login page crashes in Firefox',
+        description: 'The login form crashes after pressing the save button'
+      }),
+      request(app).post('/api/bugs').set(auth()).send({
+        ...validBug,
+        title: 'Login button misaligned',
+        description: 'The login button overlaps the footer on mobile'
+      })
+    ]);
+  });
+
+  it('should rank results and return highlights', async () => {
+    const res = await request(app).get('/api/bugs/search?q=crash').set(auth());
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data[0].title).toBe('Login page crashes in Firefox');
+    expect(res.body.data[0].highlights[0]).toMatchObject({ field: 'title' });
+  });
+
+  it('should support phrases and negation', async () => {
+    const phrase = await request(app).get('/api/bugs/search').query({ q: '"save button"' }).set(auth());
+    expect(phrase.body.data.map(bug => bug.title)).toEqual(['Login page crashes in Firefox']);
+
+    const negated = await request(app).get('/api/bugs/search').query({ q: 'login -firefox' }).set(auth());
+    expect(negated.body.data.map(bug => bug.title)).not.toContain('Login page crashes in Firefox');
+  });
+
+  it('should require a query', async () => {
+    const res = await request(app).get('/api/bugs/search').set(auth());
+    expect(res.statusCode).toEqual(400);
+  });
+});
+
+describe('Bug sorting', () => {
+  beforeAll(async () => {
+    for (const priority of ['low', 'critical', 'medium', 'high']) {
+      await request(app).post('/api/bugs').set(auth()).send({ ...validBug, title: `Sorted ${priority}`, priority, tags: ['sorted'] });
+    }
+  });
+
+  it('should sort priority by rank rather than by name', async () => {
+    const res = await request(app).get('/api/bugs').query({ tags: 'sorted', sort: '-priority' }).set(auth());
+    expect(res.body.data.map(bug => bug.priority)).toEqual(['critical', 'high', 'medium', 'low']);
+    expect(res.body.data[0].assignee).toMatchObject({ username: 'alice' });
+
+    const page = await request(app).get('/api/bugs').query({ tags: 'sorted', sort: 'priority', limit: 2, offset: 1 }).set(auth());
+    expect(page.body.data.map(bug => bug.priority)).toEqual(['medium', 'high']);
+    expect(page.body.pagination).toMatchObject({ total: 4, hasMore: true });
+  });
+
+  it('should keep search scores on ranked sorts', async () => {
+    const res = await request(app).get('/api/bugs/search').query({ q: 'sorted', sort: '-priority' }).set(auth());
+    expect(res.body.data.map(bug => bug.priority)).toEqual(['critical', 'high', 'medium', 'low']);
+    expect(res.body.data[0].score).toBeGreaterThan(0);
+  });
+});
+
+describe('Bug API errors', () => {
+  it('should return 400 INVALID_ID for a malformed id', async () => {
+    const res = await request(app).patch('/api/bugs/not-an-id').set(auth()).send({ priority: 'low' });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body).toEqual({ code: 'INVALID_ID', message: '"not-an-id" is not a valid id' });
+  });
+
+  it('should return 400 INVALID_QUERY for bad list parameters', async () => {
+    const res = await request(app).get('/api/bugs?sort=password').set(auth());
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.code).toBe('INVALID_QUERY');
+  });
+
+  it('should return 404 NOT_FOUND when commenting on a missing bug', async () => {
+    const res = await request(app)
+      .post(`/api/bugs/${new mongoose.Types.ObjectId()}/comments`)
+      .set(auth())
+      .send({ body: 'Hello?' });
+    expect(res.statusCode).toEqual(404);
+    expect(res.body.code).toBe('NOT_FOUND');
+  });
+});
+
+describe('Single bug endpoints', () => {
+  let bugId;
+  const missingId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(async () => {
+    const res = await request(app).post('/api/bugs').set(auth()).send(validBug);
+    bugId = res.body.id;
+  });
+
+  it('should fetch one bug by id', async () => {
+    const res = await request(app).get(`/api/bugs/${bugId}`).set(auth());
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.id).toBe(bugId);
+    expect(res.body.assignee.username).toBe('alice');
+  });
+
+  it('should return 404 for unknown ids on read, update and delete', async () => {
+    const responses = await Promise.all([
+      request(app).get(`/api/bugs/${missingId}`).set(auth()),
+      request(app).put(`/api/bugs/${missingId}`).set(auth()).send(validBug),
+      request(app).patch(`/api/bugs/${missingId}`).set(auth()).send({ priority: 'low' }),
+      request(app).delete(`/api/bugs/${missingId}`).set(auth()),
+      request(app).get(`/api/bugs/${missingId}/history`).set(auth())
+    ]);
+    responses.forEach(res => {
+      expect(res.statusCode).toEqual(404);
+      expect(res.body.code).toBe('NOT_FOUND');
+    });
+  });
+
+  it('should only change the given fields on PATCH', async () => {
+    const res = await request(app).patch(`/api/bugs/${bugId}`).set(auth()).send({ priority: 'low' });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({ priority: 'low', title: validBug.title, tags: validBug.tags });
+  });
+
+  it('should replace the whole bug on PUT', async () => {
+    const { stepsToReproduce, tags, ...rest } = validBug;
+    const res = await request(app).put(`/api/bugs/${bugId}`).set(auth()).send(rest);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.stepsToReproduce).toBeUndefined();
+    expect(res.body.tags).toEqual([]);
+  });
+
+  it('should reject a PUT that omits required fields', async () => {
+    const res = await request(app).put(`/api/bugs/${bugId}`).set(auth()).send({ title: 'Only a title' });
+    expect(res.statusCode).toEqual(400);
+    expect(Object.keys(res.body.fields)).toEqual(
+      expect.arrayContaining(['description', 'assignee', 'environment'])
+    );
+  });
+});
+
+describe('Bug trash', () => {
+  let bugId;
+
+  beforeEach(async () => {
+    const res = await request(app).post('/api/bugs').set(auth()).send(validBug);
+    bugId = res.body.id;
+    await request(app).delete(`/api/bugs/${bugId}`).set(auth());
+  });
+
+  it('should hide trashed bugs from the list and single reads', async () => {
+    const { body: list } = await request(app).get('/api/bugs').set(auth());
+    expect(list.data.map(bug => bug.id)).not.toContain(bugId);
+
+    const res = await request(app).get(`/api/bugs/${bugId}`).set(auth());
+    expect(res.statusCode).toEqual(404);
+  });
+
+  it('should list trashed bugs with their purge date', async () => {
+    const res = await request(app).get('/api/bugs/trash').set(auth());
+    expect(res.statusCode).toEqual(200);
+    const trashed = res.body.data.find(bug => bug.id === bugId);
+    expect(trashed.deletedBy.username).toBe('bob');
+    expect(new Date(trashed.purgeAt).getTime()).toBeGreaterThan(new Date(trashed.deletedAt).getTime());
+  });
+
+  it('should restore a trashed bug', async () => {
+    const res = await request(app).post(`/api/bugs/${bugId}/restore`).set(auth('carol'));
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.deletedAt).toBeNull();
+
+    const { body: history } = await request(app).get(`/api/bugs/${bugId}/history`).set(auth());
+    expect(history.map(entry => entry.action)).toEqual(['create', 'delete', 'restore']);
+
+    const again = await request(app).post(`/api/bugs/${bugId}/restore`).set(auth());
+    expect(again.statusCode).toEqual(404);
+  });
+
+  it('should only purge bugs older than the retention period', async () => {
+    expect(await purgeTrashedBugs({ retentionDays: 30 })).toBe(0);
+
+    const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+    expect(await purgeTrashedBugs({ retentionDays: 30, now: later })).toBeGreaterThan(0);
+
+    const res = await request(app).post(`/api/bugs/${bugId}/restore`).set(auth());
+    expect(res.statusCode).toEqual(404);
+  });
+});
+
+describe('Bulk edit', () => {
+  let ids;
+
+  beforeEach(async () => {
+    await Bug.deleteMany({});
+    const created = await Promise.all(
+      ['Bulk one', 'Bulk two', 'Bulk three'].map(title =>
+        request(app).post('/api/bugs').set(auth()).send({ ...validBug, title, tags: ['triage'] })
+      )
+    );
+    ids = created.map(res => res.body.id);
+  });
+
+  it('should apply field and tag changes to every id', async () => {
+    const res = await request(app)
+      .post('/api/bugs/bulk')
+      .set(auth('carol'))
+      .send({ ids, changes: { priority: 'low', assignee: users.carol.id, addTags: ['backend'], removeTags: ['triage'] } });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.summary).toEqual({ total: 3, updated: 3, failed: 0 });
+
+    const { body: bug } = await request(app).get(`/api/bugs/${ids[0]}`).set(auth());
+    expect(bug).toMatchObject({ priority: 'low', tags: ['backend'] });
+    expect(bug.assignee.username).toBe('carol');
+
+    const { body: history } = await request(app).get(`/api/bugs/${ids[0]}/history`).set(auth());
+    expect(history[history.length - 1].actor).toBe('carol');
+  });
+
+  it('should report per-item failures without stopping the batch', async () => {
+    await request(app).patch(`/api/bugs/${ids[0]}`).set(auth()).send({ status: 'in-progress' });
+    const missingId = new mongoose.Types.ObjectId().toString();
+
+    const res = await request(app)
+      .post('/api/bugs/bulk')
+      .set(auth())
+      .send({ ids: [...ids, missingId, 'not-an-id'], changes: { status: 'resolved', resolution: 'Fixed in bulk' } });
+    expect(res.statusCode).toEqual(200);
+
+    const byId = Object.fromEntries(res.body.results.map(result => [result.id, result]));
+    expect(byId[ids[0]].ok).toBe(true);
+    expect(byId[ids[1]].error.code).toBe('INVALID_TRANSITION');
+    expect(byId[missingId].error.code).toBe('NOT_FOUND');
+    expect(byId['not-an-id'].error.code).toBe('INVALID_ID');
+    expect(res.body.summary).toEqual({ total: 5, updated: 1, failed: 4 });
+  });
+
+  it('should target every bug matching a list query', async () => {
+    await request(app).patch(`/api/bugs/${ids[0]}`).set(auth()).send({ priority: 'critical' });
+
+    const res = await request(app)
+      .post('/api/bugs/bulk')
+      .set(auth())
+      .send({ query: { priority: 'high' }, changes: { priority: 'medium' } });
+    expect(res.body.summary.updated).toBe(2);
+
+    const { body: list } = await request(app).get('/api/bugs?priority=medium').set(auth());
+    expect(list.pagination.total).toBe(2);
+  });
+
+  it('should reject fields that cannot be bulk edited', async () => {
+    const res = await request(app).post('/api/bugs/bulk').set(auth()).send({ ids, changes: { title: 'Same' } });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.fields.title.code).toBe('unknown');
+  });
+});
+
+describe('Concurrent edits', () => {
+  let bug;
+
+  beforeEach(async () => {
+    const res = await request(app).post('/api/bugs').set(auth()).send(validBug);
+    bug = res.body;
+  });
+
+  it('should expose the version in the body and as an ETag', async () => {
+    const res = await request(app).get(`/api/bugs/${bug.id}`).set(auth());
+    expect(res.body.version).toBe(bug.version);
+    expect(res.headers.etag).toBe(`"${bug.version}"`);
+  });
+
+  it('should accept an update based on the current version', async () => {
+    const res = await request(app)
+      .patch(`/api/bugs/${bug.id}`)
+      .set(auth())
+      .set('If-Match', `"${bug.version}"`)
+      .send({ priority: 'low' });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.version).toBeGreaterThan(bug.version);
+  });
+
+  it('should reject a stale update with the current server copy', async () => {
+    await request(app).patch(`/api/bugs/${bug.id}`).set(auth('carol')).send({ title: 'Renamed by Carol' });
+
+    const res = await request(app)
+      .put(`/api/bugs/${bug.id}`)
+      .set(auth())
+      .send({ ...validBug, priority: 'low', version: bug.version });
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.code).toBe('VERSION_CONFLICT');
+    expect(res.body.details.current).toMatchObject({ id: bug.id, title: 'Renamed by Carol' });
+
+    const stale = await request(app)
+      .patch(`/api/bugs/${bug.id}`)
+      .set(auth())
+      .set('If-Match', `"${bug.version}"`)
+      .send({ priority: 'low' });
+    expect(stale.statusCode).toEqual(409);
+  });
+
+  it('should reject a malformed If-Match header', async () => {
+    const res = await request(app).patch(`/api/bugs/${bug.id}`).set(auth()).set('If-Match', 'yesterday').send({});
+    expect(res.statusCode).toEqual(400);
+  });
+});
+
+describe('Duplicate detection', () => {
+  let original;
+
+  beforeEach(async () => {
+    await Bug.deleteMany({});
+    const res = await request(app).post('/api/bugs').set(auth('alice')).send({
+      ...validBug,
+      title: 'Checkout page crashes on submit',
+      description: 'Submitting the checkout form crashes the page with a blank screen'
+    });
+    original = res.body;
+    await request(app).post('/api/bugs').set(auth('alice')).send({
+      ...validBug,
+      title: 'Avatar upload is slow',
+      description: 'Uploading a profile picture takes almost a minute'
+    });
+  });
+
+  it('should rank similar unresolved bugs for a draft', async () => {
+    const res = await request(app).post('/api/bugs/similar').set(auth()).send({
+      title: 'Checkout crashes when submitting',
+      description: 'The page crashes after I submit the checkout form',
+      environment: 'Chrome 120'
+    });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.map(bug => bug.id)).toEqual([original.id]);
+    expect(res.body.data[0].similarity).toBeGreaterThan(0);
+  });
+
+  it('should ignore resolved bugs and empty drafts', async () => {
+    await request(app).patch(`/api/bugs/${original.id}`).set(auth()).send({ status: 'in-progress' });
+    await request(app).patch(`/api/bugs/${original.id}`).set(auth()).send({ status: 'resolved', resolution: 'Fixed' });
+
+    const res = await request(app).post('/api/bugs/similar').set(auth()).send({ title: 'Checkout page crashes on submit' });
+    expect(res.body.data).toEqual([]);
+
+    const empty = await request(app).post('/api/bugs/similar').set(auth()).send({ title: 'the' });
+    expect(empty.body.data).toEqual([]);
+  });
+
+  it('should let the reporter close a report as a duplicate', async () => {
+    const { body: report } = await request(app).post('/api/bugs').set(auth('bob')).send(validBug);
+
+    const forbidden = await request(app)
+      .post(`/api/bugs/${report.id}/duplicate`)
+      .set(auth('mallory'))
+      .send({ duplicateOf: original.id });
+    expect(forbidden.statusCode).toEqual(403);
+
+    const res = await request(app)
+      .post(`/api/bugs/${report.id}/duplicate`)
+      .set(auth('bob'))
+      .send({ duplicateOf: original.id });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({ status: 'closed', duplicateOf: { id: original.id, title: original.title } });
+
+    const again = await request(app)
+      .post(`/api/bugs/${report.id}/duplicate`)
+      .set(auth('bob'))
+      .send({ duplicateOf: original.id });
+    expect(again.statusCode).toEqual(409);
+  });
+
+  it('should only mark unresolved bugs as duplicates of unresolved bugs', async () => {
+    const resolve = async (id) => {
+      await request(app).patch(`/api/bugs/${id}`).set(auth()).send({ status: 'in-progress' });
+      await request(app).patch(`/api/bugs/${id}`).set(auth()).send({ status: 'resolved', resolution: 'Fixed' });
+    };
+    const { body: report } = await request(app).post('/api/bugs').set(auth('bob')).send(validBug);
+    const { body: resolved } = await request(app).post('/api/bugs').set(auth('bob')).send(validBug);
+    await resolve(resolved.id);
+
+    const res = await request(app)
+      .post(`/api/bugs/${resolved.id}/duplicate`)
+      .set(auth('bob'))
+      .send({ duplicateOf: original.id });
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.code).toBe('INVALID_TRANSITION');
+    expect(res.body.details).toMatchObject({ from: 'resolved', to: 'closed' });
+
+    await resolve(original.id);
+    const toResolved = await request(app)
+      .post(`/api/bugs/${report.id}/duplicate`)
+      .set(auth('bob'))
+      .send({ duplicateOf: original.id });
+    expect(toResolved.statusCode).toEqual(409);
+    expect(toResolved.body.code).toBe('INVALID_TRANSITION');
+    expect((await Bug.findById(report.id)).status).toBe('open');
+  });
+
+  it('should not mark a bug as a duplicate of itself', async () => {
+    const res = await request(app)
+      .post(`/api/bugs/${original.id}/duplicate`)
+      .set(auth('alice'))
+      .send({ duplicateOf: original.id });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.fields.duplicateOf.code).toBe('self');
+  });
+});
+
+describe('Bug links', () => {
+  let a;
+  let b;
+  let c;
+
+  const createBug = async (title) => (await request(app).post('/api/bugs').set(auth()).send({ ...validBug, title })).body;
+  const link = (from, type, to) => request(app).post(`/api/bugs/${from.id}/links`).set(auth()).send({ type, bug: to.id });
+
+  beforeEach(async () => {
+    a = await createBug('Link A');
+    b = await createBug('Link B');
+    c = await createBug('Link C');
+  });
+
+  it('should show a link from both ends with the linked bug status', async () => {
+    const res = await link(a, 'blocks', b);
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({ type: 'blocks', bug: { id: b.id, status: 'open' } });
+
+    const { body: links } = await request(app).get(`/api/bugs/${b.id}/links`).set(auth());
+    expect(links).toMatchObject([{ type: 'blocked-by', bug: { id: a.id, title: 'Link A' } }]);
+
+    const { body: bug } = await request(app).get(`/api/bugs/${a.id}`).set(auth());
+    expect(bug.links).toMatchObject([{ type: 'blocks', bug: { id: b.id } }]);
+  });
+
+  it('should treat relates-to as one link regardless of direction', async () => {
+    expect((await link(a, 'relates-to', b)).statusCode).toEqual(201);
+    const again = await link(b, 'relates-to', a);
+    expect(again.statusCode).toEqual(409);
+    expect(again.body.code).toBe('DUPLICATE_LINK');
+  });
+
+  it('should reject self-links and unknown types', async () => {
+    const self = await link(a, 'blocks', a);
+    expect(self.statusCode).toEqual(400);
+    expect(self.body.fields.bug.code).toBe('self');
+
+    const unknown = await link(a, 'depends-on', b);
+    expect(unknown.body.fields.type.code).toBe('enum');
+  });
+
+  it('should reject blocking cycles', async () => {
+    await link(a, 'blocks', b);
+    await link(b, 'blocks', c);
+
+    const res = await link(c, 'blocks', a);
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.code).toBe('BLOCKING_CYCLE');
+
+    const inverse = await link(a, 'blocked-by', c);
+    expect(inverse.body.code).toBe('BLOCKING_CYCLE');
+  });
+
+  it('should remove a link from either end', async () => {
+    const { body: created } = await link(a, 'blocks', b);
+
+    const res = await request(app).delete(`/api/bugs/${b.id}/links/${created.id}`).set(auth());
+    expect(res.statusCode).toEqual(200);
+
+    const { body: links } = await request(app).get(`/api/bugs/${a.id}/links`).set(auth());
+    expect(links).toEqual([]);
+
+    const missing = await request(app).delete(`/api/bugs/${c.id}/links/${created.id}`).set(auth());
+    expect(missing.statusCode).toEqual(404);
+  });
+
+  it('should hide links to trashed bugs', async () => {
+    await link(a, 'relates-to', b);
+    await request(app).delete(`/api/bugs/${b.id}`).set(auth());
+
+    const { body: links } = await request(app).get(`/api/bugs/${a.id}/links`).set(auth());
+    expect(links).toEqual([]);
+  });
+});
+
+describe('Bug attachments', () => {
+  const screenshot = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+  const createWithFiles = () =>
+    request(app)
+      .post('/api/bugs')
+      .set(auth())
+      .field('bug', JSON.stringify(validBug))
+      .attach('attachments', screenshot, { filename: 'screen.png', contentType: 'image/png' })
+      .attach('attachments', Buffer.from('TypeError: x is undefined'), { filename: 'console.log', contentType: 'text/plain' });
+
+  it('should accept attachments when creating a bug', async () => {
+    const res = await createWithFiles();
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.title).toBe(validBug.title);
+
+    const { body: attachments } = await request(app).get(`/api/bugs/${res.body.id}/attachments`).set(auth());
+    expect(attachments.map(a => a.filename)).toEqual(['screen.png', 'console.log']);
+    expect(attachments[0]).toMatchObject({ contentType: 'image/png', size: screenshot.length });
+    expect(attachments[0]).not.toHaveProperty('storageKey');
+
+    const { body: bug } = await request(app).get(`/api/bugs/${res.body.id}`).set(auth());
+    expect(bug.attachments).toHaveLength(2);
+  });
+
+  it('should add attachments when editing and download them', async () => {
+    const { body: bug } = await request(app).post('/api/bugs').set(auth()).send(validBug);
+
+    const res = await request(app)
+      .patch(`/api/bugs/${bug.id}`)
+      .set(auth())
+      .field('bug', JSON.stringify({ priority: 'low' }))
+      .attach('attachments', Buffer.from('{"ok":false}'), { filename: 'response.json', contentType: 'application/json' });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.priority).toBe('low');
+
+    const { body: [attachment] } = await request(app).get(`/api/bugs/${bug.id}/attachments`).set(auth());
+    const download = await request(app)
+      .get(`/api/bugs/${bug.id}/attachments/${attachment.id}/download`)
+      .set(auth())
+      .buffer(true)
+      .parse((stream, done) => {
+        let text = '';
+        stream.on('data', chunk => { text += chunk; });
+        stream.on('end', () => done(null, text));
+      });
+    expect(download.statusCode).toEqual(200);
+    expect(download.headers['content-disposition']).toContain('response.json');
+    expect(download.body).toBe('{"ok":false}');
+  });
+
+  it('should reject unsupported file types', async () => {
+    const { body: bug } = await request(app).post('/api/bugs').set(auth()).send(validBug);
+    const res = await request(app)
+      .post(`/api/bugs/${bug.id}/attachments`)
+      .set(auth())
+      .attach('attachments', Buffer.from('<svg/>'), { filename: 'x.svg', contentType: 'image/svg+xml' });
+    expect(res.statusCode).toEqual(415);
+    expect(res.body.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+  });
+
+  it('should reject files whose contents don\'t match their type', async () => {
+    const before = await Bug.countDocuments();
+    const res = await request(app)
+      .post('/api/bugs')
+      .set(auth())
+      .field('bug', JSON.stringify(validBug))
+      .attach('attachments', Buffer.from('<script>alert(1)</script>'), { filename: 'x.png', contentType: 'image/png' });
+    expect(res.statusCode).toEqual(415);
+    expect(res.body.message).toBe('"x.png" is not a valid image/png file');
+    expect(await Bug.countDocuments()).toBe(before);
+  });
+
+  // Storage that takes the first file and fails on the next one
+  const withFailingStorage = async (run) => {
+    const disk = createDiskStorage({ root: uploadDir });
+    let saved = 0;
+    registerStorage('local', () => ({
+      ...disk,
+      save: (...args) => (saved++ ? Promise.reject(new Error('Disk full')) : disk.save(...args))
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      await run();
+    } finally {
+      console.error.mockRestore();
+      registerStorage('local', () => createDiskStorage({ root: uploadDir }));
+    }
+  };
+  const countFiles = () => fs.readdirSync(uploadDir, { recursive: true }).filter(name => path.extname(name)).length;
+
+  it('should not create the bug when its files can\'t be stored', async () => {
+    await withFailingStorage(async () => {
+      const [bugs, files] = [await Bug.countDocuments(), countFiles()];
+      const res = await createWithFiles();
+      expect(res.statusCode).toEqual(500);
+      expect(await Bug.countDocuments()).toBe(bugs);
+      expect(countFiles()).toBe(files);
+    });
+  });
+
+  it('should not save an edit when its files can\'t be stored', async () => {
+    const { body: bug } = await request(app).post('/api/bugs').set(auth()).send(validBug);
+
+    await withFailingStorage(async () => {
+      const files = countFiles();
+      const res = await request(app)
+        .patch(`/api/bugs/${bug.id}`)
+        .set(auth())
+        .set('If-Match', `"${bug.version}"`)
+        .field('bug', JSON.stringify({ priority: 'low' }))
+        .attach('attachments', screenshot, { filename: 'screen.png', contentType: 'image/png' })
+        .attach('attachments', Buffer.from('retry me'), { filename: 'notes.txt', contentType: 'text/plain' });
+      expect(res.statusCode).toEqual(500);
+      expect(countFiles()).toBe(files);
+    });
+
+    const saved = await Bug.findById(bug.id);
+    expect(saved).toMatchObject({ priority: 'high', version: bug.version });
+    const retry = await request(app)
+      .patch(`/api/bugs/${bug.id}`)
+      .set(auth())
+      .set('If-Match', `"${bug.version}"`)
+      .field('bug', JSON.stringify({ priority: 'low' }))
+      .attach('attachments', screenshot, { filename: 'screen.png', contentType: 'image/png' });
+    expect(retry.statusCode).toEqual(200);
+  });
+
+  it('should only let the uploader or reporter delete an attachment', async () => {
+    const { body: bug } = await createWithFiles();
+    const { body: [attachment] } = await request(app).get(`/api/bugs/${bug.id}/attachments`).set(auth());
+
+    const forbidden = await request(app).delete(`/api/bugs/${bug.id}/attachments/${attachment.id}`).set(auth('mallory'));
+    expect(forbidden.statusCode).toEqual(403);
+
+    const res = await request(app).delete(`/api/bugs/${bug.id}/attachments/${attachment.id}`).set(auth());
+    expect(res.statusCode).toEqual(200);
+    expect(await Attachment.countDocuments({ bug: bug.id })).toBe(1);
+  });
+
+  it('should remove stored files when a trashed bug is purged', async () => {
+    const { body: bug } = await createWithFiles();
+    const countFiles = () =>
+      fs.existsSync(path.join(uploadDir, bug.id)) ? fs.readdirSync(path.join(uploadDir, bug.id)).length : 0;
+    expect(countFiles()).toBe(2);
+
+    await request(app).delete(`/api/bugs/${bug.id}`).set(auth());
+    expect(countFiles()).toBe(2);
+
+    await purgeTrashedBugs({ retentionDays: 0 });
+    expect(countFiles()).toBe(0);
+    expect(await Attachment.countDocuments({ bug: bug.id })).toBe(0);
+  });
+});
+
+describe('Bug import and export', () => {
+  const csv = [
+    'externalId,title,description,status,priority,project,assignee,environment,reproducible,resolution,tags',
+    'JIRA-1,Login fails,"Login button does nothing, twice",open,high,WEB,alice,Chrome 120,yes,,auth;ui',
+    'JIRA-2,Crash on save,The editor crashes when saving,resolved,critical,web,carol,Firefox,no,Fixed in 2.1,',
+    'JIRA-3,Bad row,short,open,urgent,WEB,nobody,Safari,maybe,,'
+  ].join('\n');
+
+  const importCsv = (text, fields = {}) => {
+    const req = request(app).post('/api/bugs/import').set(auth());
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('file', Buffer.from(text), { filename: 'bugs.csv', contentType: 'text/csv' });
+  };
+
+  beforeEach(async () => {
+    await Bug.deleteMany({});
+  });
+
+  it('should validate every row in a dry run without saving', async () => {
+    const res = await importCsv(csv, { dryRun: 'true' });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.dryRun).toBe(true);
+    expect(res.body.summary).toEqual({ total: 3, created: 2, updated: 0, unchanged: 0, failed: 1 });
+
+    const failed = res.body.results[2];
+    expect(failed).toMatchObject({ row: 3, ok: false, externalId: 'JIRA-3' });
+    expect(Object.keys(failed.error.fields)).toEqual(expect.arrayContaining(['reproducible', 'assignee']));
+    expect(await Bug.countDocuments()).toBe(0);
+  });
+
+  it('should create the valid rows with any status', async () => {
+    const res = await importCsv(csv);
+    expect(res.body.summary).toMatchObject({ created: 2, failed: 1 });
+
+    const { body: bug } = await request(app).get(`/api/bugs/${res.body.results[1].id}`).set(auth());
+    expect(bug).toMatchObject({ externalId: 'JIRA-2', status: 'resolved', resolution: 'Fixed in 2.1', reproducible: false });
+    expect(bug.assignee.username).toBe('carol');
+    expect(bug.reporter.username).toBe('bob');
+  });
+
+  it('should upsert by external id', async () => {
+    await importCsv(csv);
+    const res = await request(app)
+      .post('/api/bugs/import')
+      .set(auth())
+      .send({
+        mode: 'upsert',
+        rows: [
+          { externalId: 'JIRA-1', priority: 'low' },
+          { externalId: 'JIRA-2', status: 'resolved' },
+          { externalId: 'JIRA-4', ...validBug }
+        ]
+      });
+    expect(res.body.summary).toEqual({ total: 3, created: 1, updated: 1, unchanged: 1, failed: 0 });
+
+    const { body: list } = await request(app).get('/api/bugs?priority=low').set(auth());
+    expect(list.data.map(bug => bug.externalId)).toEqual(['JIRA-1']);
+    expect(list.data[0].title).toBe('Login fails');
+  });
+
+  it('should not create a second bug for a known external id', async () => {
+    await importCsv(csv);
+    const res = await request(app)
+      .post('/api/bugs/import')
+      .set(auth())
+      .send({ rows: [{ ...validBug, externalId: 'JIRA-1' }, { ...validBug, externalId: 'NEW' }, { ...validBug, externalId: 'NEW' }] });
+    expect(res.body.results.map(result => result.error?.code)).toEqual(['DUPLICATE_EXTERNAL_ID', undefined, 'VALIDATION_ERROR']);
+  });
+
+  it('should export the filtered view as CSV or JSON', async () => {
+    await importCsv(csv);
+    await request(app).post('/api/bugs').set(auth()).send({ ...validBug, priority: 'low' });
+
+    const json = await request(app).get('/api/bugs/export?format=json&priority=high,critical&sort=title').set(auth());
+    expect(json.statusCode).toEqual(200);
+    expect(json.headers['content-disposition']).toMatch(/attachment; filename="bugs-.*\.json"/);
+    expect(json.body.map(row => row.externalId)).toEqual(['JIRA-2', 'JIRA-1']);
+    expect(json.body[1]).toMatchObject({ assignee: 'alice', reporter: 'bob', tags: ['auth', 'ui'] });
+
+    const res = await request(app).get('/api/bugs/export?q=login').set(auth());
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    const lines = res.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain('"Login button does nothing, twice"');
+  });
+
+  it('should import its own export back unchanged', async () => {
+    await importCsv(csv);
+    const { text } = await request(app).get('/api/bugs/export').set(auth());
+
+    const res = await importCsv(text, { mode: 'upsert' });
+    expect(res.body.summary).toMatchObject({ total: 2, unchanged: 2, failed: 0 });
+  });
+
+  it('should reject unknown formats and modes', async () => {
+    const format = await request(app).get('/api/bugs/export?format=xml').set(auth());
+    expect(format.body.code).toBe('INVALID_QUERY');
+
+    const mode = await request(app).post('/api/bugs/import').set(auth()).send({ mode: 'merge', rows: [validBug] });
+    expect(mode.body.fields.mode.code).toBe('enum');
+  });
+});
+
+describe('Bug statistics', () => {
+  const resolve = async (id) => {
+    await request(app).patch(`/api/bugs/${id}`).set(auth()).send({ status: 'in-progress' });
+    return request(app).patch(`/api/bugs/${id}`).set(auth()).send({ status: 'resolved', resolution: 'Fixed' });
+  };
+
+  beforeEach(async () => {
+    await Bug.deleteMany({});
+    const created = await Promise.all([
+      request(app).post('/api/bugs').set(auth()).send({ ...validBug, title: 'Login crash', priority: 'critical' }),
+      request(app).post('/api/bugs').set(auth()).send({ ...validBug, title: 'Slow search', tags: ['ui'] }),
+      request(app).post('/api/bugs').set(auth()).send({ ...validBug, title: 'Typo', priority: 'low', assignee: users.carol.id, tags: [] })
+    ]);
+    await resolve(created[0].body.id);
+  });
+
+  it('should count bugs by status, priority, assignee and tag', async () => {
+    const res = await request(app).get('/api/bugs/stats').set(auth());
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.total).toBe(3);
+    expect(res.body.byStatus).toEqual({ open: 2, 'in-progress': 0, resolved: 1, closed: 0 });
+    expect(res.body.byPriority).toEqual({ low: 1, medium: 0, high: 1, critical: 1 });
+    expect(res.body.byAssignee).toEqual([
+      { id: users.alice.id, username: 'alice', name: 'Alice', count: 2 },
+      { id: users.carol.id, username: 'carol', name: 'Carol', count: 1 }
+    ]);
+    expect(res.body.byTag).toEqual([{ tag: 'ui', count: 2 }, { tag: 'forms', count: 1 }]);
+  });
+
+  it('should report resolve times and open-bug ages', async () => {
+    const { body } = await request(app).get('/api/bugs/stats').set(auth());
+    expect(body.timeToResolve.count).toBe(1);
+    expect(body.timeToResolve.median).toBeGreaterThanOrEqual(0);
+    expect(body.timeToResolve.mean).toBe(body.timeToResolve.median);
+    expect(body.openAge.map(bucket => bucket.count)).toEqual([2, 0, 0, 0, 0]);
+  });
+
+  it('should clear the resolve time when a bug is reopened', async () => {
+    const bug = await Bug.findOne({ status: 'resolved' });
+    expect(bug.resolvedAt).toBeInstanceOf(Date);
+
+    await request(app).patch(`/api/bugs/${bug.id}`).set(auth()).send({ status: 'open' });
+    const { body } = await request(app).get('/api/bugs/stats').set(auth());
+    expect(body.timeToResolve).toEqual({ count: 0, mean: null, median: null });
+  });
+
+  it('should apply the list filters and search', async () => {
+    const byAssignee = await request(app).get(`/api/bugs/stats?assignee=${users.carol.id}`).set(auth());
+    expect(byAssignee.body.total).toBe(1);
+
+    const bySearch = await request(app).get('/api/bugs/stats?q=login&status=resolved').set(auth());
+    expect(bySearch.body.total).toBe(1);
+    expect(bySearch.body.byPriority.critical).toBe(1);
+
+    await request(app).delete(`/api/bugs/${(await Bug.findOne({ title: 'Typo' })).id}`).set(auth());
+    const afterTrash = await request(app).get('/api/bugs/stats').set(auth());
+    expect(afterTrash.body.total).toBe(2);
+  });
+});
+
+describe('Bug trends', () => {
+  let bug;
+
+  beforeEach(async () => {
+    await Bug.deleteMany({});
+    ({ body: bug } = await request(app).post('/api/bugs').set(auth()).send(validBug));
+  });
+
+  it('should record every status change', async () => {
+    await request(app).patch(`/api/bugs/${bug.id}`).set(auth()).send({ status: 'in-progress' });
+    await request(app).patch(`/api/bugs/${bug.id}`).set(auth()).send({ priority: 'low' });
+    const res = await request(app).patch(`/api/bugs/${bug.id}`).set(auth()).send({ status: 'resolved', resolution: 'Fixed' });
+
+    expect(res.body.statusChanges.map(({ from, to }) => [from, to])).toEqual([
+      [null, 'open'],
+      ['open', 'in-progress'],
+      ['in-progress', 'resolved']
+    ]);
+  });
+
+  it('should report opened, resolved, flow and burndown series', async () => {
+    await request(app).patch(`/api/bugs/${bug.id}`).set(auth()).send({ status: 'in-progress' });
+    await request(app).patch(`/api/bugs/${bug.id}`).set(auth()).send({ status: 'resolved', resolution: 'Fixed' });
+    await request(app).post('/api/bugs').set(auth()).send({ ...validBug, tags: ['backend'] });
+
+    const res = await request(app).get('/api/bugs/trends?interval=day').set(auth());
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.openedVsResolved).toHaveLength(30);
+
+    const today = res.body.openedVsResolved[29];
+    expect(today).toMatchObject({ opened: 2, resolved: 1 });
+    expect(res.body.cumulativeFlow[29]).toMatchObject({ open: 1, resolved: 1 });
+    expect(res.body.burndown[29].remaining).toBe(1);
+
+    const tagged = await request(app).get('/api/bugs/trends?tags=backend').set(auth());
+    expect(tagged.body.openedVsResolved[29]).toMatchObject({ opened: 1, resolved: 0 });
+  });
+
+  it('should reject an invalid window', async () => {
+    const res = await request(app).get('/api/bugs/trends?interval=year').set(auth());
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.code).toBe('INVALID_QUERY');
+  });
+});
+
+describe('Bug SLAs', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  // createdAt is immutable through Mongoose, so age bugs in the collection directly
+  const reportedHoursAgo = (id, hours) =>
+    Bug.collection.updateOne(
+      { _id: new mongoose.Types.ObjectId(id) },
+      { $set: { createdAt: new Date(Date.now() - hours * HOUR_MS) } }
+    );
+
+  const createBug = async (fields) => (await request(app).post('/api/bugs').set(auth()).send({ ...validBug, ...fields })).body;
+
+  beforeEach(async () => {
+    await Bug.deleteMany({});
+  });
+
+  it('should include time left and breach state with every bug', async () => {
+    const bug = await createBug({ priority: 'critical' });
+    expect(bug.sla).toMatchObject({ policy: { acknowledgeHours: 4, resolveHours: 48 }, state: 'on-track' });
+    expect(bug.sla.acknowledge.remainingMs).toBeGreaterThan(3.9 * HOUR_MS);
+
+    const { body: acknowledged } = await request(app).patch(`/api/bugs/${bug.id}`).set(auth()).send({ status: 'in-progress' });
+    expect(acknowledged.acknowledgedAt).toBeTruthy();
+    expect(acknowledged.sla.acknowledge.state).toBe('met');
+  });
+
+  it('should filter the list by breached and at-risk bugs', async () => {
+    const breached = await createBug({ title: 'Breached', priority: 'critical' });
+    const atRisk = await createBug({ title: 'At risk', priority: 'critical' });
+    const acknowledged = await createBug({ title: 'Acknowledged', priority: 'critical' });
+    await createBug({ title: 'Fresh', priority: 'critical' });
+    await reportedHoursAgo(breached.id, 5);
+    await reportedHoursAgo(atRisk.id, 3.5);
+    await request(app).patch(`/api/bugs/${acknowledged.id}`).set(auth()).send({ status: 'in-progress' });
+    await reportedHoursAgo(acknowledged.id, 5);
+
+    const res = await request(app).get('/api/bugs?sla=breached').set(auth());
+    expect(res.body.data.map(bug => bug.title)).toEqual(['Breached']);
+    expect(res.body.data[0].sla.state).toBe('breached');
+
+    const risky = await request(app).get('/api/bugs?sla=at-risk').set(auth());
+    expect(risky.body.data.map(bug => bug.title)).toEqual(['At risk']);
+
+    const invalid = await request(app).get('/api/bugs?sla=late').set(auth());
+    expect(invalid.body.code).toBe('INVALID_QUERY');
+  });
+});
+
+describe('Bug projects', () => {
+  beforeEach(async () => {
+    await Bug.deleteMany({});
+  });
+
+  it('should require an existing project', async () => {
+    const { project, ...withoutProject } = validBug;
+    const missing = await request(app).post('/api/bugs').set(auth()).send(withoutProject);
+    expect(missing.statusCode).toEqual(400);
+    expect(missing.body.fields.project.message).toBe('Project is required');
+
+    const unknown = await request(app)
+      .post('/api/bugs')
+      .set(auth())
+      .send({ ...validBug, project: new mongoose.Types.ObjectId().toString() });
+    expect(unknown.body.fields.project.message).toBe('Project must be an existing project');
+  });
+
+  it('should only accept components of the bug\'s project', async () => {
+    const res = await request(app).post('/api/bugs').set(auth()).send({ ...validBug, component: components.checkout.id });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.project).toMatchObject({ key: 'WEB', name: 'Web' });
+    expect(res.body.component).toMatchObject({ name: 'Checkout' });
+
+    const moved = await request(app).patch(`/api/bugs/${res.body.id}`).set(auth()).send({ project: projects.api.id });
+    expect(moved.statusCode).toEqual(400);
+    expect(moved.body.fields.component.message).toBe('Component must belong to the bug\'s project');
+
+    const cleared = await request(app)
+      .patch(`/api/bugs/${res.body.id}`)
+      .set(auth())
+      .send({ project: projects.api.id, component: null });
+    expect(cleared.body.project.key).toBe('API');
+  });
+
+  it('should scope the list and stats to a project', async () => {
+    await request(app).post('/api/bugs').set(auth()).send(validBug);
+    await request(app).post('/api/bugs').set(auth()).send({ ...validBug, title: 'API bug', project: projects.api.id });
+
+    const list = await request(app).get(`/api/bugs?project=${projects.api.id}`).set(auth());
+    expect(list.body.data.map(bug => bug.title)).toEqual(['API bug']);
+
+    const stats = await request(app).get(`/api/bugs/stats?project=${projects.web.id}`).set(auth());
+    expect(stats.body.total).toBe(1);
+  });
+});
+
+describe('Project API', () => {
+  let admin;
+
+  beforeAll(async () => {
+    await createUser('root', { name: 'Root', role: 'admin' });
+    admin = auth('root');
+  });
+
+  beforeEach(async () => {
+    await Bug.deleteMany({});
+  });
+
+  it('should list projects with their components for everyone', async () => {
+    const res = await request(app).get('/api/projects').set(auth());
+    const web = res.body.find(project => project.key === 'WEB');
+    expect(web.components.map(component => component.name)).toEqual(['Checkout']);
+  });
+
+  it('should let only admins create projects and components', async () => {
+    const forbidden = await request(app).post('/api/projects').set(auth()).send({ key: 'APP', name: 'App' });
+    expect(forbidden.statusCode).toEqual(403);
+
+    const { body: project } = await request(app).post('/api/projects').set(admin).send({ key: 'app', name: 'App' });
+    expect(project.key).toBe('APP');
+
+    const component = await request(app)
+      .post(`/api/projects/${project.id}/components`)
+      .set(admin)
+      .send({ name: 'Settings' });
+    expect(component.statusCode).toEqual(201);
+
+    const duplicate = await request(app)
+      .post(`/api/projects/${project.id}/components`)
+      .set(admin)
+      .send({ name: 'Settings' });
+    expect(duplicate.statusCode).toEqual(409);
+
+    const removed = await request(app).delete(`/api/projects/${project.id}`).set(admin);
+    expect(removed.statusCode).toEqual(200);
+    expect(await Component.countDocuments({ project: project.id })).toBe(0);
+  });
+
+  it('should not delete projects or components that still have bugs', async () => {
+    await request(app).post('/api/bugs').set(auth()).send({ ...validBug, component: components.checkout.id });
+
+    const project = await request(app).delete(`/api/projects/${projects.web.id}`).set(admin);
+    expect(project.body.code).toBe('PROJECT_IN_USE');
+
+    const component = await request(app)
+      .delete(`/api/projects/${projects.web.id}/components/${components.checkout.id}`)
+      .set(admin);
+    expect(component.body.code).toBe('COMPONENT_IN_USE');
+  });
+});
+
+describe('Releases', () => {
+  let admin;
+  let release;
+  let next;
+
+  const createBug = (fields) =>
+    request(app).post('/api/bugs').set(auth()).send({ ...validBug, fixVersion: release.id, ...fields });
+
+  beforeAll(async () => {
+    await createUser('shipper', { name: 'Shipper', role: 'admin' });
+    admin = auth('shipper');
+  });
+
+  beforeEach(async () => {
+    await Bug.deleteMany({});
+    await Release.deleteMany({});
+    release = await Release.create({ project: projects.web._id, name: '2.4', targetDate: new Date('2030-01-01') });
+    next = await Release.create({ project: projects.web._id, name: '2.5' });
+  });
+
+  it('should let admins plan releases and list them by target date', async () => {
+    const forbidden = await request(app).post('/api/releases').set(auth()).send({ project: projects.web.id, name: '3.0' });
+    expect(forbidden.statusCode).toEqual(403);
+
+    const created = await request(app)
+      .post('/api/releases')
+      .set(admin)
+      .send({ project: projects.web.id, name: '2.3', targetDate: '2029-06-01' });
+    expect(created.statusCode).toEqual(201);
+
+    const res = await request(app).get('/api/releases').query({ project: projects.web.id }).set(auth());
+    expect(res.body.map(candidate => candidate.name)).toEqual(['2.3', '2.4', '2.5']);
+  });
+
+  it('should only accept releases of the bug\'s project', async () => {
+    const other = await Release.create({ project: projects.api._id, name: '1.0' });
+    const res = await createBug({ affectsVersion: other.id });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.fields.affectsVersion.message).toBe('Release must belong to the bug\'s project');
+  });
+
+  it('should filter the list by fix version', async () => {
+    const { body: targeted } = await createBug();
+    await createBug({ fixVersion: null });
+
+    const res = await request(app).get('/api/bugs').query({ fixVersion: release.id }).set(auth());
+    expect(res.body.data.map(bug => bug.id)).toEqual([targeted.id]);
+    expect(res.body.data[0].fixVersion).toMatchObject({ name: '2.4' });
+  });
+
+  it('should report readiness grouped by priority', async () => {
+    await createBug({ priority: 'critical' });
+    const { body: done } = await createBug({ priority: 'low' });
+    await Bug.updateOne({ _id: done.id }, { status: 'closed' });
+
+    const res = await request(app).get(`/api/releases/${release.id}/readiness`).set(auth());
+    expect(res.body).toMatchObject({ total: 2, resolved: 1, unresolved: 1, progress: 50 });
+    expect(res.body.byPriority[0]).toMatchObject({ priority: 'critical', count: 1 });
+  });
+
+  it('should warn about unresolved bugs before releasing', async () => {
+    const { body: blocker } = await createBug();
+
+    const res = await request(app).post(`/api/releases/${release.id}/release`).set(admin).send({});
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.code).toBe('UNRESOLVED_BUGS');
+    expect(res.body.details.bugs.map(bug => bug.id)).toEqual([blocker.id]);
+    expect((await Release.findById(release.id)).releasedAt).toBeNull();
+
+    const forced = await request(app).post(`/api/releases/${release.id}/release`).set(admin).send({ force: true });
+    expect(forced.body).toMatchObject({ moved: 0, unresolved: 1, release: { released: true } });
+  });
+
+  it('should move unresolved bugs to another release when releasing', async () => {
+    const { body: blocker } = await createBug();
+
+    const res = await request(app).post(`/api/releases/${release.id}/release`).set(admin).send({ moveTo: next.id });
+    expect(res.body).toMatchObject({ moved: 1, release: { released: true } });
+    expect(String((await Bug.findById(blocker.id)).fixVersion)).toBe(next.id);
+
+    const again = await request(app).post(`/api/releases/${next.id}/release`).set(admin).send({ moveTo: release.id });
+    expect(again.body.fields.moveTo.message).toBe('Bugs can\'t be moved to a release that is already out');
+  });
+
+  it('should move none of the bugs when one of them can\'t be moved', async () => {
+    const { body: movable } = await createBug();
+    const { body: broken } = await createBug();
+    await Bug.collection.updateOne({ _id: new mongoose.Types.ObjectId(broken.id) }, { $unset: { assignee: '' } });
+
+    const res = await request(app).post(`/api/releases/${release.id}/release`).set(admin).send({ moveTo: next.id });
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.code).toBe('UNMOVABLE_BUGS');
+    expect(res.body.details.bugs.map(bug => bug.id)).toEqual([broken.id]);
+    expect(String((await Bug.findById(movable.id)).fixVersion)).toBe(release.id);
+    expect((await Release.findById(release.id)).releasedAt).toBeNull();
+  });
+
+  it('should not delete releases that bugs refer to', async () => {
+    await createBug({ fixVersion: null, affectsVersion: release.id });
+    const res = await request(app).delete(`/api/releases/${release.id}`).set(admin);
+    expect(res.body.code).toBe('RELEASE_IN_USE');
+  });
 });
@@ -0,0 +1,44 @@
+import request from 'supertest';
+import app from '../server.js';
+import User from '../src/models/User.js';
+import Project from '../src/models/Project.js';
+import { generateToken } from '../src/utils/auth.js';
+
+// Fixtures the API suites share. Jest loads this module afresh for every test
+// file, so each suite gets its own users, tokens and project.
+export const users = {};
+export const tokens = {};
+export let project;
+
+export const auth = (username = 'bob') => ({ Authorization: `Bearer ${tokens[username]}` });
+
+export const createUser = async (username, { name = username, role = 'user' } = {}) => {
+  users[username] = await User.create({ username, name, email: `${username}@example.com`, password: 'password123', role });
+  tokens[username] = generateToken(users[username]);
+  return users[username];
+};
+
+export const createUsers = async (usernames) => {
+  for (const username of usernames) await createUser(username);
+};
+
+// The project createBug files bugs under
+export const createProject = async (fields) => {
+  project = await Project.create(fields);
+  return project;
+};
+
+// Reports a bug through the API as `as` (bob unless given), assigned to bob
+export const createBug = async (fields = {}, { as = 'bob' } = {}) =>
+  (await request(app)
+    .post('/api/bugs')
+    .set(auth(as))
+    .send({
+      title: 'Test Bug',
+      description: 'Clicking save does nothing',
+      priority: 'high',
+      project: project.id,
+      assignee: users.bob.id,
+      environment: 'Chrome 120',
+      ...fields
+    })).body;
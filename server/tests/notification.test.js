@@ -0,0 +1,95 @@
+import request from 'supertest';
+import app from '../server.js';
+import mongoose from 'mongoose';
+import Bug from '../src/models/Bug.js';
+import Notification from '../src/models/Notification.js';
+import { auth, createBug, createProject, createUsers, users } from './helpers.js';
+
+const notificationsOf = async (name, query = '') =>
+  (await request(app).get(`/api/notifications${query}`).set(auth(name))).body;
+
+beforeAll(async () => {
+  await mongoose.connect('mongodb://localhost:27017/bugtracker_notification_test');
+
+  await createProject({ key: 'HOME', name: 'Home' });
+  await createUsers(['alice', 'bob', 'carol']);
+});
+
+afterAll(async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Bug.deleteMany({});
+  await Notification.deleteMany({});
+});
+
+describe('Notifications', () => {
+  it('should notify the assignee and anyone mentioned in the description', async () => {
+    const bug = await createBug({ assignee: users.alice.id, description: 'Ask @carol, she saw it too' });
+
+    const alice = await notificationsOf('alice');
+    expect(alice.unread).toBe(1);
+    expect(alice.data[0]).toMatchObject({
+      type: 'assigned',
+      read: false,
+      bug: { id: bug.id, title: 'Test Bug' },
+      actor: { username: 'bob' }
+    });
+
+    const carol = await notificationsOf('carol');
+    expect(carol.data.map(notification => notification.type)).toEqual(['mentioned']);
+    expect((await notificationsOf('bob')).unread).toBe(0);
+  });
+
+  it('should only notify about mentions added by an edit', async () => {
+    const bug = await createBug({ description: 'Ask @carol' });
+    await request(app).patch(`/api/bugs/${bug.id}`).set(auth()).send({ description: 'Ask @carol and @alice' });
+
+    expect((await notificationsOf('carol')).unread).toBe(1);
+    expect((await notificationsOf('alice')).data.map(notification => notification.type)).toEqual(['mentioned']);
+  });
+
+  it('should tell the reporter and assignee about status changes', async () => {
+    const bug = await createBug({ assignee: users.alice.id });
+    await request(app).patch(`/api/bugs/${bug.id}`).set(auth('carol')).send({ status: 'in-progress' });
+
+    const [bob] = (await notificationsOf('bob')).data;
+    expect(bob).toMatchObject({ type: 'status_changed', statusChange: { from: 'open', to: 'in-progress' } });
+    expect((await notificationsOf('alice')).data.map(notification => notification.type)).toEqual([
+      'status_changed',
+      'assigned'
+    ]);
+  });
+
+  it('should notify about new comments and mentions in them', async () => {
+    const bug = await createBug({ assignee: users.alice.id });
+    await Notification.deleteMany({});
+    await request(app).post(`/api/bugs/${bug.id}/comments`).set(auth('alice')).send({ body: 'Fixed? @carol' });
+
+    expect((await notificationsOf('bob')).data.map(notification => notification.type)).toEqual(['commented']);
+    const [carol] = (await notificationsOf('carol')).data;
+    expect(carol.type).toBe('mentioned');
+    expect(carol.comment).toBeDefined();
+    expect((await notificationsOf('alice')).unread).toBe(0);
+  });
+
+  it('should mark notifications read one at a time or all at once', async () => {
+    await createBug({ assignee: users.alice.id });
+    await createBug({ assignee: users.alice.id });
+    const { data } = await notificationsOf('alice');
+
+    const res = await request(app).post(`/api/notifications/${data[0].id}/read`).set(auth('alice'));
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.read).toBe(true);
+    expect((await notificationsOf('alice', '?unread=true')).data).toHaveLength(1);
+
+    const other = await request(app).post(`/api/notifications/${data[1].id}/read`).set(auth('carol'));
+    expect(other.statusCode).toEqual(404);
+
+    const all = await request(app).post('/api/notifications/read-all').set(auth('alice'));
+    expect(all.body.updated).toBe(1);
+    expect((await notificationsOf('alice')).unread).toBe(0);
+  });
+});
@@ -0,0 +1,90 @@
+import request from 'supertest';
+import app from '../server.js';
+import mongoose from 'mongoose';
+import SavedView from '../src/models/SavedView.js';
+import { auth, createUser, createUsers, users } from './helpers.js';
+
+const myCriticalBugs = () => ({
+  name: 'My critical bugs',
+  query: {
+    filters: { status: ['open', 'in-progress'], priority: ['critical'], assignee: [users.bob.id] },
+    search: 'checkout',
+    sort: '-updatedAt'
+  }
+});
+
+const createView = async (name = 'bob', fields = {}) =>
+  request(app).post('/api/views').set(auth(name)).send({ ...myCriticalBugs(), ...fields });
+
+beforeAll(async () => {
+  await mongoose.connect('mongodb://localhost:27017/bugtracker_view_test');
+
+  await createUsers(['alice', 'bob']);
+  await createUser('root', { name: 'Root', role: 'admin' });
+});
+
+afterAll(async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await SavedView.deleteMany({});
+});
+
+describe('Saved views', () => {
+  it('should save filters, search and sort under a name', async () => {
+    const res = await createView();
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({ ...myCriticalBugs(), shared: false, owner: { username: 'bob' } });
+
+    const again = await createView();
+    expect(again.statusCode).toEqual(409);
+  });
+
+  it('should reject views a list request would reject', async () => {
+    const res = await createView('bob', { query: { filters: { priority: 'critical' }, sort: 'severity' } });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.code).toBe('INVALID_QUERY');
+  });
+
+  it('should keep personal views to their owner', async () => {
+    const { body: view } = await createView();
+
+    const list = await request(app).get('/api/views').set(auth('alice'));
+    expect(list.body).toEqual([]);
+
+    const link = await request(app).get(`/api/views/${view.id}`).set(auth('alice'));
+    expect(link.statusCode).toEqual(404);
+  });
+
+  it('should show shared views to everyone but let only the owner change them', async () => {
+    const { body: view } = await createView('bob', { shared: true });
+
+    const link = await request(app).get(`/api/views/${view.id}`).set(auth('alice'));
+    expect(link.body.query).toEqual(myCriticalBugs().query);
+
+    const rename = await request(app).patch(`/api/views/${view.id}`).set(auth('alice')).send({ name: 'Mine now' });
+    expect(rename.statusCode).toEqual(403);
+
+    const remove = await request(app).delete(`/api/views/${view.id}`).set(auth('alice'));
+    expect(remove.statusCode).toEqual(403);
+  });
+
+  it('should let the owner save a new query into a view', async () => {
+    const { body: view } = await createView();
+
+    const res = await request(app)
+      .patch(`/api/views/${view.id}`)
+      .set(auth())
+      .send({ query: { filters: { priority: ['high', 'critical'] } } });
+    expect(res.body.query).toEqual({ filters: { priority: ['high', 'critical'] }, search: '', sort: '' });
+  });
+
+  it('should let admins delete shared views', async () => {
+    const { body: view } = await createView('bob', { shared: true });
+    const res = await request(app).delete(`/api/views/${view.id}`).set(auth('root'));
+    expect(res.statusCode).toEqual(200);
+    expect(await SavedView.countDocuments()).toBe(0);
+  });
+});
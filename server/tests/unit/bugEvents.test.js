@@ -0,0 +1,37 @@
+import {
+  publishBugEvent,
+  subscribeToBugEvents,
+  getEventsSince,
+  getLastEventId
+} from '../../src/events/bugEvents.js';
+
+describe('bug event bus', () => {
+  it('delivers published events to subscribers until they unsubscribe', () => {
+    const received = [];
+    const unsubscribe = subscribeToBugEvents(event => received.push(event.type));
+
+    publishBugEvent('bug.created', { id: '1' });
+    unsubscribe();
+    publishBugEvent('bug.deleted', { id: '1' });
+
+    expect(received).toEqual(['bug.created']);
+  });
+
+  it('replays the events after a given id', () => {
+    const lastEventId = getLastEventId();
+    const updated = publishBugEvent('bug.updated', { id: '2' });
+    const deleted = publishBugEvent('bug.deleted', { id: '2' });
+
+    expect(getEventsSince(lastEventId)).toEqual([updated, deleted]);
+    expect(getEventsSince(deleted.id)).toEqual([]);
+  });
+
+  it('asks for a resync when the events can no longer be replayed', () => {
+    const lastEventId = getLastEventId();
+    for (let i = 0; i < 501; i++) publishBugEvent('bug.updated', { id: String(i) });
+
+    expect(getEventsSince(lastEventId)).toBeNull();
+    expect(getEventsSince('restarted:1')).toBeNull();
+    expect(getEventsSince('garbage')).toBeNull();
+  });
+});
@@ -0,0 +1,122 @@
+import { parseCsv, toCsv } from '../../src/utils/csv.js';
+import { parseImportRequest, toBugFields, formatExport, MAX_IMPORT_ROWS } from '../../src/utils/bugImport.js';
+
+const csvFile = (text, originalname = 'bugs.csv') => ({ buffer: Buffer.from(text), originalname, mimetype: 'text/csv' });
+
+describe('csv', () => {
+  it('round-trips quotes, commas and line breaks', () => {
+    const rows = [['title', 'notes'], ['Say "hi", then leave', 'line one\nline two'], ['', 'plain']];
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+
+  it('accepts CRLF and a missing final line break', () => {
+    expect(parseCsv('a,b\r\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('writes cells that look like formulas as text', () => {
+    const cells = ['=HYPERLINK("http://x")', '+1', '-1', '@SUM(A1)', '\tcmd', '\rcmd', 'a=b'];
+    expect(parseCsv(toCsv([cells]))[0]).toEqual(["'=HYPERLINK(\"http://x\")", "'+1", "'-1", "'@SUM(A1)", "'\tcmd", "'\rcmd", 'a=b']);
+  });
+});
+
+describe('parseImportRequest', () => {
+  it('reads CSV rows by header and skips blank lines', () => {
+    const { rows, mode, dryRun } = parseImportRequest({
+      body: { dryRun: 'true' },
+      file: csvFile('\uFEFFtitle, priority\nCrash,high\n,\n')
+    });
+    expect(rows).toEqual([{ title: 'Crash', priority: 'high' }]);
+    expect(mode).toBe('create');
+    expect(dryRun).toBe(true);
+  });
+
+  it('reads back cells an export quoted as text', () => {
+    const file = csvFile(toCsv([['title', 'description'], ['=1+1', '\'kept']]));
+    expect(parseImportRequest({ file }).rows).toEqual([{ title: '=1+1', description: '\'kept' }]);
+  });
+
+  it('round-trips cells that already start with a quote', () => {
+    const cells = ['\'quoted', '\'=1+1', '\'\'-1', '\'', 'it\'s'];
+    const file = csvFile(toCsv([cells.map((_, i) => `c${i}`), cells]));
+    expect(Object.values(parseImportRequest({ file }).rows[0])).toEqual(cells);
+  });
+
+  it('reads JSON files and body rows', () => {
+    const file = { buffer: Buffer.from('{"data":[{"title":"Crash"}]}'), originalname: 'bugs.json', mimetype: 'application/json' };
+    expect(parseImportRequest({ file }).rows).toEqual([{ title: 'Crash' }]);
+    expect(parseImportRequest({ body: { rows: [{ title: 'Crash' }], mode: 'upsert' } }).mode).toBe('upsert');
+  });
+
+  it('rejects empty, oversized and malformed imports', () => {
+    expect(() => parseImportRequest({ body: {} })).toThrow('Upload a CSV or JSON file');
+    expect(() => parseImportRequest({ body: { rows: [] } })).toThrow('no rows');
+    expect(() => parseImportRequest({ body: { rows: Array(MAX_IMPORT_ROWS + 1).fill({}) } })).toThrow('At most');
+    expect(() => parseImportRequest({ file: { ...csvFile('{'), originalname: 'bugs.json' } })).toThrow('not valid JSON');
+  });
+});
+
+describe('toBugFields', () => {
+  const users = new Map([['alice', 'alice-id']]);
+
+  it('converts cells and leaves blank ones out', () => {
+    const row = { externalId: ' J-1 ', title: 'Crash', description: '', reproducible: 'Yes', tags: 'ui; forms,ui', assignee: 'Alice' };
+    expect(toBugFields(row, users)).toEqual({
+      externalId: 'J-1',
+      fields: { title: 'Crash', reproducible: true, tags: ['ui', 'forms'], assignee: 'alice-id' }
+    });
+  });
+
+  it('reports every invalid cell', () => {
+    try {
+      toBugFields({ reproducible: 'sometimes', assignee: 'zed' }, users);
+      throw new Error('expected a validation error');
+    } catch (err) {
+      expect(Object.keys(err.fields)).toEqual(['reproducible', 'assignee']);
+    }
+  });
+});
+
+describe('toBugFields with projects', () => {
+  const projects = new Map([
+    [
+      'web',
+      {
+        id: 'web-id',
+        components: new Map([['checkout', 'checkout-id']]),
+        releases: new Map([['2.3', 'release-2.3-id'], ['2.4', 'release-2.4-id']])
+      }
+    ]
+  ]);
+
+  it('looks up the project by key and its component and releases by name', () => {
+    const row = { project: 'WEB', component: 'Checkout', affectsVersion: '2.3', fixVersion: '2.4' };
+    expect(toBugFields(row, new Map(), projects).fields).toEqual({
+      project: 'web-id',
+      component: 'checkout-id',
+      affectsVersion: 'release-2.3-id',
+      fixVersion: 'release-2.4-id'
+    });
+  });
+
+  it('rejects unknown projects, components and releases', () => {
+    const fieldsOf = (row) => {
+      try {
+        toBugFields(row, new Map(), projects);
+      } catch (err) {
+        return err.fields;
+      }
+    };
+    expect(fieldsOf({ project: 'APP' })).toHaveProperty('project');
+    expect(fieldsOf({ project: 'WEB', component: 'Search' })).toHaveProperty('component');
+    expect(fieldsOf({ component: 'Checkout' }).component.message).toBe('A component needs its project');
+    expect(fieldsOf({ project: 'WEB', fixVersion: '3.0' }).fixVersion.message).toBe('The project has no release "3.0"');
+  });
+});
+
+describe('formatExport', () => {
+  it('joins tags in CSV and keeps them as a list in JSON', () => {
+    const row = { id: '1', title: 'Crash', tags: ['ui', 'forms'], reproducible: true };
+    expect(formatExport([row], 'csv').split('\r\n')[1]).toBe('1,,Crash,,,,,,,,,,,true,,,ui;forms,,');
+    expect(JSON.parse(formatExport([row], 'json'))).toEqual([row]);
+  });
+});
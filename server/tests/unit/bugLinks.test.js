@@ -0,0 +1,35 @@
+import {
+  LINK_DIRECTIONS,
+  toStoredLink,
+  getLinkDirection,
+  getLinkLabel,
+  getUnresolvedBlockers
+} from '../../../shared/bugLinks.js';
+
+describe('bug link types', () => {
+  it('lists every direction once', () => {
+    expect(LINK_DIRECTIONS).toEqual(['blocks', 'blocked-by', 'relates-to', 'duplicate-of', 'duplicated-by']);
+  });
+
+  it('maps inverse names back to the stored type', () => {
+    expect(toStoredLink('blocks')).toEqual({ type: 'blocks', reversed: false });
+    expect(toStoredLink('blocked-by')).toEqual({ type: 'blocks', reversed: true });
+    expect(toStoredLink('relates-to')).toEqual({ type: 'relates-to', reversed: false });
+    expect(toStoredLink('depends-on')).toBeNull();
+  });
+
+  it('names a stored link from either end', () => {
+    expect(getLinkDirection('duplicate-of', true)).toBe('duplicate-of');
+    expect(getLinkDirection('duplicate-of', false)).toBe('duplicated-by');
+    expect(getLinkLabel('blocked-by')).toBe('Blocked by');
+  });
+
+  it('finds blockers that still need work', () => {
+    const links = [
+      { type: 'blocked-by', bug: { status: 'open' } },
+      { type: 'blocked-by', bug: { status: 'resolved' } },
+      { type: 'blocks', bug: { status: 'open' } }
+    ];
+    expect(getUnresolvedBlockers(links)).toEqual([links[0]]);
+  });
+});
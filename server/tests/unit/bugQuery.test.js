@@ -0,0 +1,106 @@
+import { parseBugQuery, buildBugSort, isRankedSort, buildRankedSortStages, MAX_LIMIT, QueryError } from '../../src/utils/bugQuery.js';
+
+describe('parseBugQuery', () => {
+  it('returns defaults for an empty query', () => {
+    const { filter, sort, limit, offset } = parseBugQuery({});
+    expect(filter).toEqual({});
+    expect(sort).toEqual({ createdAt: -1, _id: 1 });
+    expect(limit).toBe(20);
+    expect(offset).toBe(0);
+  });
+
+  it('turns comma-separated lists into $in filters', () => {
+    const { filter } = parseBugQuery({ status: 'open,in-progress', priority: ['high', 'critical'] });
+    expect(filter.status).toEqual({ $in: ['open', 'in-progress'] });
+    expect(filter.priority).toEqual({ $in: ['high', 'critical'] });
+  });
+
+  it('matches all tags when tagsMatch=all', () => {
+    expect(parseBugQuery({ tags: 'ui,login' }).filter.tags).toEqual({ $in: ['ui', 'login'] });
+    expect(parseBugQuery({ tags: 'ui,login', tagsMatch: 'all' }).filter.tags).toEqual({ $all: ['ui', 'login'] });
+  });
+
+  it('builds date ranges', () => {
+    const { filter } = parseBugQuery({ createdFrom: '2024-01-01', createdTo: '2024-02-01' });
+    expect(filter.createdAt.$gte).toEqual(new Date('2024-01-01'));
+    expect(filter.createdAt.$lte).toEqual(new Date('2024-02-01'));
+  });
+
+  it('rejects invalid dates', () => {
+    expect(() => parseBugQuery({ updatedFrom: 'yesterday' })).toThrow(QueryError);
+  });
+
+  it('caps the limit and validates offset', () => {
+    expect(parseBugQuery({ limit: '1000' }).limit).toBe(MAX_LIMIT);
+    expect(() => parseBugQuery({ offset: '-1' })).toThrow(QueryError);
+    expect(() => parseBugQuery({ limit: 'abc' })).toThrow(QueryError);
+  });
+});
+
+describe('buildBugSort', () => {
+  it('parses multi-field sort with descending prefix', () => {
+    expect(buildBugSort('-priority,createdAt')).toEqual({ priority: -1, createdAt: 1, _id: 1 });
+  });
+
+  it('rejects unknown sort fields', () => {
+    expect(() => buildBugSort('password')).toThrow('Cannot sort by "password"');
+  });
+
+  it('rejects assignee and reporter, which would sort by id', () => {
+    expect(() => buildBugSort('assignee')).toThrow('Cannot sort by "assignee"');
+    expect(() => buildBugSort('-reporter')).toThrow('Cannot sort by "reporter"');
+  });
+});
+
+describe('buildRankedSortStages', () => {
+  it('leaves sorts on stored values to find()', () => {
+    expect(isRankedSort(buildBugSort('-updatedAt,title'))).toBe(false);
+  });
+
+  it('sorts status and priority by their rank, not their name', () => {
+    const sort = buildBugSort('-priority,status,createdAt');
+    expect(isRankedSort(sort)).toBe(true);
+    expect(buildRankedSortStages(sort)).toEqual([
+      {
+        $addFields: {
+          '_rank.priority': { $indexOfArray: [['low', 'medium', 'high', 'critical'], '$priority'] },
+          '_rank.status': { $indexOfArray: [['open', 'in-progress', 'resolved', 'closed'], '$status'] }
+        }
+      },
+      { $sort: { '_rank.priority': -1, '_rank.status': 1, createdAt: 1, _id: 1 } },
+      { $unset: '_rank' }
+    ]);
+  });
+});
+
+describe('user filters', () => {
+  it('accepts user ids for assignee and reporter', () => {
+    const id = '507f1f77bcf86cd799439011';
+    expect(parseBugQuery({ assignee: id }).filter.assignee).toEqual({ $in: [id] });
+  });
+
+  it('rejects values that are not user ids', () => {
+    expect(() => parseBugQuery({ reporter: 'bob' })).toThrow(QueryError);
+  });
+});
+
+describe('project filters', () => {
+  it('scopes the list to projects and components by id', () => {
+    const project = '507f1f77bcf86cd799439011';
+    const component = '507f1f77bcf86cd799439012';
+    expect(parseBugQuery({ project, component }).filter).toMatchObject({
+      project: { $in: [project] },
+      component: { $in: [component] }
+    });
+  });
+
+  it('narrows to the bugs found in or targeted at a release', () => {
+    const release = '507f1f77bcf86cd799439013';
+    expect(parseBugQuery({ fixVersion: release }).filter).toEqual({ fixVersion: { $in: [release] } });
+    expect(parseBugQuery({ affectsVersion: release }).filter).toEqual({ affectsVersion: { $in: [release] } });
+  });
+
+  it('rejects project keys in place of ids', () => {
+    expect(() => parseBugQuery({ project: 'WEB' })).toThrow('Invalid id for "project": WEB');
+  });
+});
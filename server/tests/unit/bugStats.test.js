@@ -0,0 +1,44 @@
+import { median, summarizeStats, buildStatsPipeline, AGE_BUCKETS } from '../../src/utils/bugStats.js';
+
+const emptyFacets = {
+  total: [],
+  byStatus: [],
+  byPriority: [],
+  byAssignee: [],
+  byTag: [],
+  resolveTimes: [],
+  openAge: []
+};
+
+describe('median', () => {
+  it('takes the middle value, or the mean of the two middle values', () => {
+    expect(median([1, 2, 9])).toBe(2);
+    expect(median([1, 2, 4, 9])).toBe(3);
+    expect(median([])).toBeNull();
+  });
+});
+
+describe('summarizeStats', () => {
+  it('fills in zero counts and empty resolve times', () => {
+    const stats = summarizeStats([emptyFacets]);
+    expect(stats.total).toBe(0);
+    expect(stats.byStatus).toEqual({ open: 0, 'in-progress': 0, resolved: 0, closed: 0 });
+    expect(stats.timeToResolve).toEqual({ count: 0, mean: null, median: null });
+    expect(stats.openAge).toHaveLength(AGE_BUCKETS.length);
+    expect(stats.openAge.every(bucket => bucket.count === 0)).toBe(true);
+  });
+
+  it('computes resolve times and maps age buckets back to their labels', () => {
+    const [, { $facet }] = buildStatsPipeline({});
+    const boundaries = $facet.openAge[1].$bucket.boundaries;
+    const stats = summarizeStats([{
+      ...emptyFacets,
+      total: [{ count: 4 }],
+      resolveTimes: [{ durations: [1000, 2000, 6000] }],
+      openAge: [{ _id: boundaries[0], count: 1 }, { _id: boundaries[2], count: 3 }]
+    }]);
+
+    expect(stats.timeToResolve).toEqual({ count: 3, mean: 3000, median: 2000 });
+    expect(stats.openAge.map(bucket => bucket.count)).toEqual([1, 0, 3, 0, 0]);
+  });
+});
@@ -0,0 +1,73 @@
+import { parseTrendQuery, buildTrends, getStatusTimeline, MAX_BUCKETS } from '../../src/utils/bugTrends.js';
+import { QueryError } from '../../src/utils/bugQuery.js';
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+const at = (date) => new Date(`${date}T12:00:00Z`);
+
+describe('parseTrendQuery', () => {
+  const now = at('2024-03-10');
+
+  it('defaults to the last 30 days', () => {
+    const { interval, buckets } = parseTrendQuery({}, now);
+    expect(interval).toBe('day');
+    expect(buckets).toHaveLength(30);
+    expect(buckets[0]).toEqual(day('2024-02-10'));
+    expect(buckets[29]).toEqual(day('2024-03-10'));
+  });
+
+  it('starts weekly buckets on Monday', () => {
+    const { buckets } = parseTrendQuery({ interval: 'week', from: '2024-02-21', to: '2024-03-10' }, now);
+    expect(buckets).toEqual([day('2024-02-19'), day('2024-02-26'), day('2024-03-04')]);
+  });
+
+  it('rejects bad intervals, reversed and oversized windows', () => {
+    expect(() => parseTrendQuery({ interval: 'month' }, now)).toThrow(QueryError);
+    expect(() => parseTrendQuery({ from: '2024-03-01', to: '2024-02-01' }, now)).toThrow('before');
+    expect(() => parseTrendQuery({ from: '2020-01-01' }, now)).toThrow(`At most ${MAX_BUCKETS}`);
+  });
+});
+
+describe('getStatusTimeline', () => {
+  it('approximates the history of bugs saved before it was recorded', () => {
+    expect(getStatusTimeline({ status: 'open', createdAt: day('2024-01-01') })).toEqual([
+      { from: null, to: 'open', at: day('2024-01-01') }
+    ]);
+    expect(
+      getStatusTimeline({ status: 'closed', createdAt: day('2024-01-01'), updatedAt: day('2024-01-05'), resolvedAt: null })[1]
+    ).toEqual({ from: 'open', to: 'closed', at: day('2024-01-05') });
+  });
+});
+
+describe('buildTrends', () => {
+  const bugs = [
+    {
+      status: 'resolved',
+      createdAt: at('2024-03-01'),
+      statusChanges: [
+        { from: null, to: 'open', at: at('2024-03-01') },
+        { from: 'open', to: 'in-progress', at: at('2024-03-02') },
+        { from: 'in-progress', to: 'resolved', at: at('2024-03-03') }
+      ]
+    },
+    { status: 'open', createdAt: at('2024-03-02'), statusChanges: [{ from: null, to: 'open', at: at('2024-03-02') }] }
+  ];
+  const trends = buildTrends(bugs, parseTrendQuery({ from: '2024-03-01', to: '2024-03-03' }));
+
+  it('counts bugs opened and resolved in each bucket', () => {
+    expect(trends.openedVsResolved.map(({ opened, resolved }) => [opened, resolved])).toEqual([[1, 0], [1, 0], [0, 1]]);
+  });
+
+  it('rebuilds the status of every bug at the end of each bucket', () => {
+    expect(trends.cumulativeFlow[1]).toEqual({
+      date: day('2024-03-02').toISOString(),
+      open: 1,
+      'in-progress': 1,
+      resolved: 0,
+      closed: 0
+    });
+  });
+
+  it('burns down the unresolved bugs against an ideal line', () => {
+    expect(trends.burndown.map(({ remaining, ideal }) => [remaining, ideal])).toEqual([[1, 1], [2, 0.5], [1, 0]]);
+  });
+});
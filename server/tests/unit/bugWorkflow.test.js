@@ -0,0 +1,39 @@
+import {
+  canTransition,
+  getAllowedTransitions,
+  getMissingTransitionFields
+} from '../../../shared/bugWorkflow.js';
+
+const customWorkflow = {
+  initial: 'new',
+  transitions: { new: ['done'], done: [] },
+  requiredFields: {}
+};
+
+describe('bug workflow', () => {
+  it('lists the legal next states', () => {
+    expect(getAllowedTransitions('open')).toEqual(['in-progress']);
+    expect(getAllowedTransitions('closed')).toEqual(['open']);
+    expect(getAllowedTransitions('unknown')).toEqual([]);
+  });
+
+  it('allows staying in the same status', () => {
+    expect(canTransition('resolved', 'resolved')).toBe(true);
+  });
+
+  it('rejects skipping steps', () => {
+    expect(canTransition('open', 'closed')).toBe(false);
+    expect(canTransition('resolved', 'open')).toBe(true);
+  });
+
+  it('reports missing required fields', () => {
+    expect(getMissingTransitionFields('resolved', {})).toHaveProperty('resolution');
+    expect(getMissingTransitionFields('resolved', { resolution: '   ' })).toHaveProperty('resolution');
+    expect(getMissingTransitionFields('resolved', { resolution: 'Fixed' })).toEqual({});
+  });
+
+  it('accepts a custom workflow definition', () => {
+    expect(canTransition('new', 'done', customWorkflow)).toBe(true);
+    expect(canTransition('done', 'new', customWorkflow)).toBe(false);
+  });
+});
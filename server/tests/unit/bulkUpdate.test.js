@@ -0,0 +1,58 @@
+import { parseBulkRequest, applyBulkChanges, MAX_BULK_ITEMS } from '../../src/utils/bulkUpdate.js';
+import ApiError from '../../src/utils/ApiError.js';
+
+describe('parseBulkRequest', () => {
+  it('dedupes ids and splits field and tag changes', () => {
+    const { ids, changes } = parseBulkRequest({
+      ids: ['a', 'b', 'a'],
+      changes: { priority: 'low', addTags: [' ui ', 'ui'], removeTags: ['old'] }
+    });
+    expect(ids).toEqual(['a', 'b']);
+    expect(changes).toEqual({ set: { priority: 'low' }, addTags: ['ui'], removeTags: ['old'] });
+  });
+
+  it('builds a filter from a list query', () => {
+    const { ids, filter } = parseBulkRequest({ query: { status: 'open', q: 'crash' }, changes: { priority: 'high' } });
+    expect(ids).toBeUndefined();
+    expect(filter).toEqual({ status: { $in: ['open'] }, $text: { $search: 'crash' } });
+  });
+
+  it('requires targets and at least one change', () => {
+    expect(() => parseBulkRequest({ changes: { priority: 'low' } })).toThrow(ApiError);
+    expect(() => parseBulkRequest({ ids: [], changes: { priority: 'low' } })).toThrow(ApiError);
+    expect(() => parseBulkRequest({ ids: ['a'], changes: {} })).toThrow('No changes given');
+  });
+
+  it('rejects fields that cannot be bulk edited', () => {
+    try {
+      parseBulkRequest({ ids: ['a'], changes: { title: 'Same for all' } });
+    } catch (err) {
+      expect(err.code).toBe('VALIDATION_ERROR');
+      expect(err.fields.title.code).toBe('unknown');
+      return;
+    }
+    throw new Error('expected a validation error');
+  });
+
+  it('caps the number of ids', () => {
+    const ids = Array.from({ length: MAX_BULK_ITEMS + 1 }, (_, i) => String(i));
+    expect(() => parseBulkRequest({ ids, changes: { priority: 'low' } })).toThrow(ApiError);
+  });
+});
+
+describe('applyBulkChanges', () => {
+  const fakeBug = (values) => ({
+    ...values,
+    set(path, value) {
+      if (typeof path === 'string') this[path] = value;
+      else Object.assign(this, path);
+    }
+  });
+
+  it('adds and removes tags without duplicates', () => {
+    const bug = fakeBug({ tags: ['ui', 'old'], priority: 'high' });
+    applyBulkChanges(bug, { set: { priority: 'low' }, addTags: ['ui', 'login'], removeTags: ['old'] });
+    expect(bug.tags).toEqual(['ui', 'login']);
+    expect(bug.priority).toBe('low');
+  });
+});
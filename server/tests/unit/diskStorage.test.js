@@ -0,0 +1,43 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import createDiskStorage from '../../src/storage/diskStorage.js';
+
+describe('disk storage', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'bug-attachments-'));
+    storage = createDiskStorage({ root });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  const read = (key) =>
+    new Promise((resolve, reject) => {
+      const chunks = [];
+      storage.createReadStream(key)
+        .on('data', chunk => chunks.push(chunk))
+        .on('end', () => resolve(Buffer.concat(chunks).toString()))
+        .on('error', reject);
+    });
+
+  it('saves, reads and removes files by key', async () => {
+    await storage.save('bug-1/log.txt', Buffer.from('stack trace'));
+    expect(await read('bug-1/log.txt')).toBe('stack trace');
+
+    await storage.remove('bug-1/log.txt');
+    expect(fs.existsSync(path.join(root, 'bug-1/log.txt'))).toBe(false);
+  });
+
+  it('ignores removing a missing file', async () => {
+    await expect(storage.remove('bug-1/missing.txt')).resolves.toBeUndefined();
+  });
+
+  it('rejects keys outside its root', async () => {
+    await expect(storage.save('../escape.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+});
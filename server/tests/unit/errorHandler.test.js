@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import errorHandler from '../../src/middleware/erroHandler.js';
+import Bug from '../../src/models/Bug.js';
+import ApiError from '../../src/utils/ApiError.js';
+
+const mockResponse = () => {
+  const res = { headersSent: false };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const handle = (err) => {
+  const res = mockResponse();
+  errorHandler(err, {}, res, jest.fn());
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+describe('errorHandler', () => {
+  it('passes ApiErrors through with their code', () => {
+    const { status, body } = handle(ApiError.notFound('Bug'));
+    expect(status).toBe(404);
+    expect(body).toEqual({ code: 'NOT_FOUND', message: 'Bug not found' });
+  });
+
+  it('maps Mongoose validation errors to per-field messages', () => {
+    const err = new mongoose.Error.ValidationError();
+    err.addError('title', new mongoose.Error.ValidatorError({
+      path: 'title',
+      type: 'required',
+      message: 'Title is required'
+    }));
+
+    const { status, body } = handle(err);
+    expect(status).toBe(400);
+    expect(body.code).toBe('VALIDATION_ERROR');
+    expect(body.fields.title).toEqual({ code: 'required', message: 'Title is required' });
+  });
+
+  it('maps invalid ObjectIds to INVALID_ID', () => {
+    const { status, body } = handle(new mongoose.Error.CastError('ObjectId', 'abc', '_id'));
+    expect(status).toBe(400);
+    expect(body.code).toBe('INVALID_ID');
+  });
+
+  it('maps duplicate keys to 409', () => {
+    const err = Object.assign(new Error('E11000'), { code: 11000, keyValue: { email: 'a@b.c' } });
+    const { status, body } = handle(err);
+    expect(status).toBe(409);
+    expect(body.fields.email.code).toBe('duplicate');
+  });
+
+  it('maps stale saves to VERSION_CONFLICT', () => {
+    const { status, body } = handle(new mongoose.Error.VersionError(new Bug(), 2, ['title']));
+    expect(status).toBe(409);
+    expect(body.code).toBe('VERSION_CONFLICT');
+  });
+
+  it('hides unexpected errors behind INTERNAL_ERROR', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { status, body } = handle(new Error('boom'));
+    expect(status).toBe(500);
+    expect(body.code).toBe('INTERNAL_ERROR');
+    console.error.mockRestore();
+  });
+});
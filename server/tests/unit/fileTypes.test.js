@@ -0,0 +1,33 @@
+import { matchesContentType } from '../../src/utils/fileTypes.js';
+
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+
+describe('matchesContentType', () => {
+  it('accepts files whose first bytes match the declared type', () => {
+    expect(matchesContentType(png, 'image/png')).toBe(true);
+    expect(matchesContentType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), 'image/jpeg')).toBe(true);
+    expect(matchesContentType(Buffer.from('GIF89a...'), 'image/gif')).toBe(true);
+    expect(matchesContentType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '), 'image/webp')).toBe(true);
+    expect(matchesContentType(Buffer.from('%PDF-1.7'), 'application/pdf')).toBe(true);
+    expect(matchesContentType(Buffer.from([0x50, 0x4b, 0x03, 0x04]), 'application/zip')).toBe(true);
+    expect(matchesContentType(Buffer.from([0x1f, 0x8b, 0x08]), 'application/gzip')).toBe(true);
+  });
+
+  it('rejects files dressed up as another type', () => {
+    expect(matchesContentType(Buffer.from('<script>alert(1)</script>'), 'image/png')).toBe(false);
+    expect(matchesContentType(png, 'application/pdf')).toBe(false);
+    expect(matchesContentType(Buffer.from([0x89, 0x50]), 'image/png')).toBe(false);
+  });
+
+  it('accepts UTF-8 text for text types and nothing binary', () => {
+    expect(matchesContentType(Buffer.from('TypeError: x is undefined — again'), 'text/plain')).toBe(true);
+    expect(matchesContentType(Buffer.from('a,b\n1,2'), 'text/csv')).toBe(true);
+    expect(matchesContentType(Buffer.from('{"ok":false}'), 'application/json')).toBe(true);
+    expect(matchesContentType(png, 'text/plain')).toBe(false);
+    expect(matchesContentType(Buffer.from([0xc3, 0x28]), 'text/csv')).toBe(false);
+  });
+
+  it('rejects types it has no check for', () => {
+    expect(matchesContentType(Buffer.from('<svg/>'), 'image/svg+xml')).toBe(false);
+  });
+});
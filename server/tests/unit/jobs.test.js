@@ -0,0 +1,51 @@
+import { jest } from '@jest/globals';
+import Bug from '../../src/models/Bug.js';
+import WebhookDelivery from '../../src/models/WebhookDelivery.js';
+import { startJobs } from '../../src/jobs/index.js';
+import { startTrashPurgeJob } from '../../src/jobs/purgeTrash.js';
+import { TRASH_PURGE_INTERVAL_MS } from '../../src/config/trash.js';
+
+// Nothing is trashed and nothing is due, so every run stops after the lookup
+const emptyQuery = (result = []) => {
+  const query = Promise.resolve(result);
+  return Object.assign(query, { distinct: () => query, sort: () => query, limit: () => query });
+};
+
+describe('background jobs', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Bug, 'find').mockImplementation(() => emptyQuery());
+    jest.spyOn(WebhookDelivery, 'find').mockImplementation(() => emptyQuery());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('purges the trash on start and on every interval until stopped', () => {
+    const stop = startTrashPurgeJob({ intervalMs: 1000 });
+    expect(Bug.find).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(2000);
+    expect(Bug.find).toHaveBeenCalledTimes(3);
+
+    stop();
+    jest.advanceTimersByTime(2000);
+    expect(Bug.find).toHaveBeenCalledTimes(3);
+  });
+
+  it('schedules the trash purge with the server jobs', () => {
+    const stop = startJobs();
+    expect(Bug.find).toHaveBeenCalledTimes(1);
+    expect(Bug.find.mock.calls[0][0]).toHaveProperty('deletedAt');
+
+    jest.advanceTimersByTime(TRASH_PURGE_INTERVAL_MS);
+    expect(Bug.find).toHaveBeenCalledTimes(2);
+    expect(WebhookDelivery.find).toHaveBeenCalled();
+
+    stop();
+    jest.advanceTimersByTime(TRASH_PURGE_INTERVAL_MS);
+    expect(Bug.find).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,61 @@
+import { getNewMentions, planBugNotifications, planCommentNotifications } from '../../src/utils/notifications.js';
+import { extractMentions } from '../../../shared/mentions.js';
+
+describe('extractMentions', () => {
+  it('finds each mentioned username once, lowercased', () => {
+    expect(extractMentions('@Alice can you and @carol check? cc @alice.')).toEqual(['alice', 'carol']);
+  });
+
+  it('ignores email addresses and too short names', () => {
+    expect(extractMentions('Mail bob@example.com or ping @ab')).toEqual([]);
+    expect(extractMentions(undefined)).toEqual([]);
+  });
+});
+
+describe('getNewMentions', () => {
+  it('only returns mentions added by the change', () => {
+    expect(getNewMentions('Ask @alice', 'Ask @alice and @bob')).toEqual(['bob']);
+    expect(getNewMentions(undefined, 'Ask @alice')).toEqual(['alice']);
+  });
+});
+
+describe('planBugNotifications', () => {
+  const bug = { reporter: 'reporter', assignee: 'assignee', status: 'open' };
+
+  it('notifies a new assignee but not someone assigning themselves', () => {
+    expect(planBugNotifications({ before: null, after: bug, actor: 'reporter' })).toEqual([
+      { recipient: 'assignee', type: 'assigned' }
+    ]);
+    expect(planBugNotifications({ before: null, after: bug, actor: 'assignee' })).toEqual([]);
+  });
+
+  it('notifies the reporter and assignee of a status change', () => {
+    const notifications = planBugNotifications({
+      before: bug,
+      after: { ...bug, status: 'in-progress' },
+      actor: 'someone'
+    });
+    const statusChange = { from: 'open', to: 'in-progress' };
+    expect(notifications).toEqual([
+      { recipient: 'reporter', type: 'status_changed', statusChange },
+      { recipient: 'assignee', type: 'status_changed', statusChange }
+    ]);
+  });
+
+  it('notifies mentioned users once', () => {
+    const notifications = planBugNotifications({ before: bug, after: bug, actor: 'reporter', mentioned: ['carol', 'carol'] });
+    expect(notifications).toEqual([{ recipient: 'carol', type: 'mentioned' }]);
+  });
+});
+
+describe('planCommentNotifications', () => {
+  it('notifies mentioned users, then the reporter and assignee, each once', () => {
+    const comment = { _id: 'comment', author: 'assignee' };
+    expect(
+      planCommentNotifications({ bug: { reporter: 'reporter', assignee: 'assignee' }, comment, mentioned: ['reporter', 'carol'] })
+    ).toEqual([
+      { recipient: 'reporter', type: 'mentioned', comment: 'comment' },
+      { recipient: 'carol', type: 'mentioned', comment: 'comment' }
+    ]);
+  });
+});
@@ -0,0 +1,19 @@
+import { paginate } from '../../src/utils/pagination.js';
+import { pick } from '../../src/utils/pick.js';
+
+describe('paginate', () => {
+  it('says whether matches remain past this page', () => {
+    expect(paginate([1, 2], { total: 5, limit: 2, offset: 2 })).toEqual({
+      data: [1, 2],
+      pagination: { total: 5, limit: 2, offset: 2, hasMore: true }
+    });
+    expect(paginate([5], { total: 5, limit: 2, offset: 4 }).pagination.hasMore).toBe(false);
+    expect(paginate([], { total: 0, limit: 2, offset: 0 }).pagination.hasMore).toBe(false);
+  });
+});
+
+describe('pick', () => {
+  it('keeps only the allowed fields', () => {
+    expect(pick({ name: 'Web', createdBy: 'x', role: 'admin' }, ['name', 'description'])).toEqual({ name: 'Web' });
+  });
+});
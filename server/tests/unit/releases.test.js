@@ -0,0 +1,27 @@
+import { buildReadiness } from '../../src/utils/releases.js';
+
+const bug = (status, priority) => ({ status, priority });
+
+describe('buildReadiness', () => {
+  it('counts resolved bugs towards the progress', () => {
+    const readiness = buildReadiness([
+      bug('closed', 'high'),
+      bug('resolved', 'low'),
+      bug('open', 'critical')
+    ]);
+    expect(readiness).toMatchObject({ total: 3, resolved: 2, unresolved: 1, progress: 66 });
+  });
+
+  it('groups unresolved bugs by priority, most urgent first', () => {
+    const critical = bug('in-progress', 'critical');
+    const low = bug('open', 'low');
+    const { byPriority } = buildReadiness([low, bug('closed', 'critical'), critical]);
+    expect(byPriority.map(group => group.priority)).toEqual(['critical', 'high', 'medium', 'low']);
+    expect(byPriority[0]).toEqual({ priority: 'critical', count: 1, bugs: [critical] });
+    expect(byPriority[3].bugs).toEqual([low]);
+  });
+
+  it('treats a release without bugs as done', () => {
+    expect(buildReadiness([]).progress).toBe(100);
+  });
+});
@@ -0,0 +1,29 @@
+import { parseViewQuery } from '../../src/utils/savedViews.js';
+import { QueryError } from '../../src/utils/bugQuery.js';
+
+describe('parseViewQuery', () => {
+  it('keeps filters, search and sort, dropping empty values', () => {
+    const query = parseViewQuery({
+      filters: { status: ['open'], priority: 'critical', tags: [], assignee: '' },
+      search: '  login ',
+      sort: '-updatedAt'
+    });
+    expect(query).toEqual({ filters: { status: ['open'], priority: 'critical' }, search: 'login', sort: '-updatedAt' });
+  });
+
+  it('defaults to the unfiltered list', () => {
+    expect(parseViewQuery({})).toEqual({ filters: {}, search: '', sort: '' });
+  });
+
+  it('rejects what a list request would reject', () => {
+    expect(() => parseViewQuery({ filters: { assignee: 'bob' } })).toThrow('Invalid id for "assignee": bob');
+    expect(() => parseViewQuery({ sort: 'severity' })).toThrow('Cannot sort by "severity"');
+    expect(() => parseViewQuery({ filters: { sla: 'late' } })).toThrow(QueryError);
+  });
+
+  it('rejects unknown params and values that are not strings', () => {
+    expect(() => parseViewQuery({ filters: { limit: '5' } })).toThrow('Cannot filter by "limit"');
+    expect(() => parseViewQuery({ filters: { status: { $ne: 'closed' } } })).toThrow(QueryError);
+    expect(() => parseViewQuery([])).toThrow('"query" must be an object');
+  });
+});
@@ -0,0 +1,43 @@
+import { tokenize, jaccard, scoreSimilarity, buildSimilarityQuery } from '../../src/utils/similarity.js';
+
+describe('tokenize', () => {
+  it('lowercases, stems and drops stop words', () => {
+    expect([...tokenize('The Save button crashes')]).toEqual(['save', 'button', 'crash']);
+  });
+
+  it('returns an empty set for missing text', () => {
+    expect(tokenize(undefined).size).toBe(0);
+  });
+});
+
+describe('scoreSimilarity', () => {
+  const draft = {
+    title: 'Save button crashes the form',
+    description: 'Clicking save crashes the page',
+    environment: 'Chrome 120'
+  };
+
+  it('scores near-identical reports above unrelated ones', () => {
+    const similar = { title: 'Form crashes on save', description: 'Pressing save crashed the page', environment: 'Chrome 121' };
+    const unrelated = { title: 'Login is slow', description: 'Takes ten seconds to sign in', environment: 'Safari' };
+    expect(scoreSimilarity(draft, similar)).toBeGreaterThan(0.5);
+    expect(scoreSimilarity(draft, unrelated)).toBe(0);
+  });
+
+  it('ignores fields the draft leaves empty', () => {
+    const bug = { title: 'Save button crashes the form', description: 'Something else entirely', environment: 'Firefox' };
+    expect(scoreSimilarity({ title: draft.title }, bug)).toBe(1);
+  });
+
+  it('computes Jaccard overlap', () => {
+    expect(jaccard(new Set(['a', 'b']), new Set(['b', 'c']))).toBeCloseTo(1 / 3);
+    expect(jaccard(new Set(), new Set(['a']))).toBe(0);
+  });
+});
+
+describe('buildSimilarityQuery', () => {
+  it('joins the distinct meaningful words of title and description', () => {
+    expect(buildSimilarityQuery({ title: 'Save crashes', description: 'save is broken' })).toBe('save crashes broken');
+    expect(buildSimilarityQuery({ title: 'the', description: '' })).toBe('');
+  });
+});
@@ -0,0 +1,44 @@
+import { getSlaTarget, getBugSla, DEFAULT_SLA_POLICIES } from '../../../shared/sla.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const createdAt = new Date('2024-01-01T00:00:00Z');
+const hoursLater = (hours) => new Date(createdAt.getTime() + hours * HOUR_MS);
+
+describe('getSlaTarget', () => {
+  it('counts down until the target is due', () => {
+    expect(getSlaTarget(createdAt, 48, null, hoursLater(12))).toMatchObject({
+      dueAt: hoursLater(48),
+      remainingMs: 36 * HOUR_MS,
+      state: 'on-track'
+    });
+  });
+
+  it('is at risk in the last quarter of the window and breached after it', () => {
+    expect(getSlaTarget(createdAt, 48, null, hoursLater(40)).state).toBe('at-risk');
+    expect(getSlaTarget(createdAt, 48, null, hoursLater(48)).state).toBe('breached');
+  });
+
+  it('stays met or breached once the target was reached', () => {
+    expect(getSlaTarget(createdAt, 4, hoursLater(3), hoursLater(100)).state).toBe('met');
+    expect(getSlaTarget(createdAt, 4, hoursLater(5), hoursLater(5)).state).toBe('breached');
+  });
+});
+
+describe('getBugSla', () => {
+  it('reports the worst target as the overall state', () => {
+    const bug = { priority: 'critical', createdAt, acknowledgedAt: hoursLater(5), resolvedAt: null };
+    const sla = getBugSla(bug, DEFAULT_SLA_POLICIES, hoursLater(6));
+    expect(sla.acknowledge.state).toBe('breached');
+    expect(sla.resolve.state).toBe('on-track');
+    expect(sla.state).toBe('breached');
+  });
+
+  it('is met when every target was reached in time', () => {
+    const bug = { priority: 'low', createdAt, acknowledgedAt: hoursLater(1), resolvedAt: hoursLater(2) };
+    expect(getBugSla(bug, DEFAULT_SLA_POLICIES, hoursLater(1000)).state).toBe('met');
+  });
+
+  it('returns null for priorities without a policy', () => {
+    expect(getBugSla({ priority: 'trivial', createdAt }, DEFAULT_SLA_POLICIES)).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+import { parseSearchQuery, buildHighlights } from '../../src/utils/textSearch.js';
+import { QueryError } from '../../src/utils/bugQuery.js';
+
+describe('parseSearchQuery', () => {
+  it('splits terms, phrases and negations', () => {
+    expect(parseSearchQuery('login "save button" -firefox -"dark mode"')).toEqual({
+      query: 'login "save button" -firefox -"dark mode"',
+      phrases: ['save button'],
+      terms: ['login'],
+      excluded: ['firefox', 'dark mode']
+    });
+  });
+
+  it('rejects empty and negation-only queries', () => {
+    expect(() => parseSearchQuery('   ')).toThrow(QueryError);
+    expect(() => parseSearchQuery('-firefox')).toThrow(QueryError);
+  });
+});
+
+describe('buildHighlights', () => {
+  const bug = {
+    title: 'App crashes on login',
+    description: 'Pressing the save button crashed the whole app.',
+    stepsToReproduce: '',
+    tags: ['auth', 'login']
+  };
+
+  it('returns match ranges per field', () => {
+    const highlights = buildHighlights(bug, parseSearchQuery('login'));
+    expect(highlights.map(h => h.field)).toEqual(['title', 'tags']);
+    const [title] = highlights;
+    expect(title.text.slice(...title.ranges[0])).toBe('login');
+  });
+
+  it('matches stemmed terms and whole phrases', () => {
+    const [description] = buildHighlights(bug, parseSearchQuery('"save button" crash'), ['description']);
+    expect(description.ranges.map(([from, to]) => description.text.slice(from, to)))
+      .toEqual(['save button', 'crashed']);
+  });
+
+  it('trims long fields to a snippet around the first match', () => {
+    const long = { description: `${'a '.repeat(200)}needle${' b'.repeat(200)}` };
+    const [snippet] = buildHighlights(long, parseSearchQuery('needle'), ['description']);
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(snippet.text.endsWith('…')).toBe(true);
+    expect(snippet.text.slice(...snippet.ranges[0])).toBe('needle');
+  });
+});
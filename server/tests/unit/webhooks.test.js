@@ -0,0 +1,42 @@
+import {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  getRetryDelay,
+  isWebhookUrl
+} from '../../src/utils/webhooks.js';
+
+describe('webhook signatures', () => {
+  const body = JSON.stringify({ event: 'bug.created', data: { id: '1' } });
+  const now = Date.UTC(2024, 0, 1);
+  const timestamp = String(now / 1000);
+
+  it('verifies a signature made with the same secret', () => {
+    const signature = signWebhookPayload('secret', timestamp, body);
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifyWebhookSignature('secret', { signature, timestamp, body }, { now })).toBe(true);
+  });
+
+  it('rejects another secret, a changed body or an old timestamp', () => {
+    const signature = signWebhookPayload('secret', timestamp, body);
+    expect(verifyWebhookSignature('other', { signature, timestamp, body }, { now })).toBe(false);
+    expect(verifyWebhookSignature('secret', { signature, timestamp, body: `${body} ` }, { now })).toBe(false);
+    expect(verifyWebhookSignature('secret', { signature, timestamp, body }, { now: now + 10 * 60 * 1000 })).toBe(false);
+    expect(verifyWebhookSignature('secret', { timestamp, body }, { now })).toBe(false);
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('doubles after every failed attempt up to the cap', () => {
+    const options = { baseMs: 1000, maxMs: 5000 };
+    expect([1, 2, 3, 4].map(attempts => getRetryDelay(attempts, options))).toEqual([1000, 2000, 4000, 5000]);
+  });
+});
+
+describe('isWebhookUrl', () => {
+  it('accepts http and https addresses only', () => {
+    expect(isWebhookUrl('https://example.com/hooks')).toBe(true);
+    expect(isWebhookUrl('http://localhost:4000')).toBe(true);
+    expect(isWebhookUrl('ftp://example.com')).toBe(false);
+    expect(isWebhookUrl('not a url')).toBe(false);
+  });
+});
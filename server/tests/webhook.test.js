@@ -0,0 +1,181 @@
+import request from 'supertest';
+import app from '../server.js';
+import mongoose from 'mongoose';
+import Webhook from '../src/models/Webhook.js';
+import WebhookDelivery from '../src/models/WebhookDelivery.js';
+import { startWebhookDeliveries, deliverDueWebhooks } from '../src/jobs/deliverWebhooks.js';
+import { createWebhookReceiver } from '../scripts/webhookReceiver.js';
+import { auth, createBug, createProject, createUser } from './helpers.js';
+
+const SECRET = 'test-webhook-secret';
+
+let receiver;
+let stopDeliveries;
+let respond;
+let received;
+let waiting;
+
+// Resolves with the next `count` deliveries the receiver gets
+const nextDeliveries = (count = 1) =>
+  new Promise(resolve => {
+    waiting = { count, resolve };
+    if (received.length >= count) resolve(received.splice(0, count));
+  });
+
+const createWebhook = async (fields = {}) =>
+  (await request(app)
+    .post('/api/webhooks')
+    .set(auth('admin'))
+    .send({ url: `${receiver.url}/hooks`, events: ['bug.created'], secret: SECRET, ...fields })).body;
+
+beforeAll(async () => {
+  await mongoose.connect('mongodb://localhost:27017/bugtracker_webhook_test');
+
+  await createProject({ key: 'HOOK', name: 'Hooks' });
+  await createUser('admin', { role: 'admin' });
+  await createUser('bob');
+
+  receiver = await createWebhookReceiver({
+    secret: SECRET,
+    respond: (delivery) => respond(delivery),
+    onDelivery: (delivery) => {
+      received.push(delivery);
+      if (waiting && received.length >= waiting.count) waiting.resolve(received.splice(0, waiting.count));
+    }
+  });
+  stopDeliveries = startWebhookDeliveries({ intervalMs: 60 * 60 * 1000 });
+});
+
+afterAll(async () => {
+  stopDeliveries();
+  receiver.close();
+  await mongoose.connection.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Webhook.deleteMany({});
+  await WebhookDelivery.deleteMany({});
+  received = [];
+  waiting = null;
+  respond = () => 204;
+});
+
+describe('Webhook API', () => {
+  it('should only let admins manage webhooks', async () => {
+    const res = await request(app).get('/api/webhooks').set(auth('bob'));
+    expect(res.statusCode).toEqual(403);
+    expect(res.body.code).toBe('FORBIDDEN');
+  });
+
+  it('should validate the url and events', async () => {
+    const res = await request(app).post('/api/webhooks').set(auth('admin')).send({ url: 'ftp://example.com', events: ['bug.eaten'] });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.fields).toHaveProperty('url');
+    expect(Object.keys(res.body.fields).some(field => field.startsWith('events'))).toBe(true);
+  });
+
+  it('should show the secret only when the webhook is created', async () => {
+    const { body: webhook } = await request(app)
+      .post('/api/webhooks')
+      .set(auth('admin'))
+      .send({ url: `${receiver.url}/hooks`, events: ['bug.created'] });
+    expect(webhook.secret).toMatch(/^whsec_/);
+
+    const res = await request(app).get(`/api/webhooks/${webhook.id}`).set(auth('admin'));
+    expect(res.body).toMatchObject({ url: `${receiver.url}/hooks`, events: ['bug.created'], active: true });
+    expect(res.body).not.toHaveProperty('secret');
+  });
+
+  it('should ping the receiver on request', async () => {
+    const webhook = await createWebhook();
+    const res = await request(app).post(`/api/webhooks/${webhook.id}/ping`).set(auth('admin'));
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({ event: 'ping', status: 'succeeded', attempts: [{ statusCode: 204 }] });
+
+    const [delivery] = await nextDeliveries();
+    expect(delivery).toMatchObject({ event: 'ping', verified: true });
+  });
+});
+
+describe('Webhook deliveries', () => {
+  it('should send signed payloads for subscribed events only', async () => {
+    const webhook = await createWebhook({ events: ['bug.created', 'bug.status_changed'] });
+
+    const created = nextDeliveries();
+    const bug = await createBug();
+    const [delivery] = await created;
+    expect(delivery).toMatchObject({ event: 'bug.created', verified: true });
+    expect(delivery.payload).toMatchObject({ event: 'bug.created', data: { id: bug.id, title: 'Test Bug' } });
+
+    const changed = nextDeliveries();
+    await request(app).patch(`/api/bugs/${bug.id}`).set(auth('bob')).send({ title: 'Renamed' });
+    await request(app).patch(`/api/bugs/${bug.id}`).set(auth('bob')).send({ status: 'in-progress' });
+    const [statusChange] = await changed;
+    expect(statusChange.payload).toMatchObject({
+      event: 'bug.status_changed',
+      data: { id: bug.id, statusChange: { from: 'open', to: 'in-progress' } }
+    });
+
+    const { body: log } = await request(app).get(`/api/webhooks/${webhook.id}/deliveries`).set(auth('admin'));
+    expect(log.data.map(entry => [entry.event, entry.status])).toEqual([
+      ['bug.status_changed', 'succeeded'],
+      ['bug.created', 'succeeded']
+    ]);
+  });
+
+  it('should retry failed deliveries with backoff', async () => {
+    respond = () => 500;
+    const webhook = await createWebhook();
+
+    const failed = nextDeliveries();
+    await createBug();
+    await failed;
+    // The attempt is recorded just after the receiver answers
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    let [delivery] = await WebhookDelivery.find({ webhook: webhook.id });
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts).toMatchObject([{ statusCode: 500, error: 'Receiver responded with 500' }]);
+    expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    expect(await deliverDueWebhooks()).toBe(0);
+
+    respond = () => 204;
+    const retried = nextDeliveries();
+    expect(await deliverDueWebhooks({ now: new Date(delivery.nextAttemptAt.getTime() + 1) })).toBe(1);
+    const [retry] = await retried;
+    expect(retry.payload.id).toBe(delivery.payload.id);
+
+    delivery = await WebhookDelivery.findById(delivery._id);
+    expect(delivery.status).toBe('succeeded');
+    expect(delivery.attempts.map(attempt => attempt.statusCode)).toEqual([500, 204]);
+  });
+
+  it('should redeliver a logged delivery by hand', async () => {
+    respond = () => 503;
+    const webhook = await createWebhook();
+    await createBug();
+    await nextDeliveries();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const [original] = await WebhookDelivery.find({ webhook: webhook.id });
+
+    respond = () => 204;
+    const res = await request(app)
+      .post(`/api/webhooks/${webhook.id}/deliveries/${original.id}/redeliver`)
+      .set(auth('admin'));
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({ status: 'succeeded', redeliveryOf: original.id, event: 'bug.created' });
+
+    const [redelivered] = await nextDeliveries();
+    expect(redelivered.payload.id).toBe(original.payload.id);
+  });
+
+  it('should skip disabled webhooks', async () => {
+    const webhook = await createWebhook();
+    await request(app).patch(`/api/webhooks/${webhook.id}`).set(auth('admin')).send({ active: false });
+    await createBug();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(await WebhookDelivery.countDocuments({ webhook: webhook.id })).toBe(0);
+  });
+});
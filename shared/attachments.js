@@ -0,0 +1,34 @@
+// Attachment limits shared by the API (which enforces them) and the client
+// (which checks files before uploading).
+
+export const ATTACHMENT_LIMITS = {
+  maxFileSize: 10 * 1024 * 1024,
+  maxFiles: 5,
+  mimeTypes: [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'text/plain',
+    'text/csv',
+    'application/json',
+    'application/pdf',
+    'application/zip',
+    'application/gzip'
+  ]
+};
+
+export const isImageType = (contentType = '') => contentType.startsWith('image/');
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Why a file would be rejected, or null if it is acceptable
+export const getAttachmentError = ({ name, size, type }, limits = ATTACHMENT_LIMITS) => {
+  if (!limits.mimeTypes.includes(type)) return `"${name}" has an unsupported file type`;
+  if (size > limits.maxFileSize) return `"${name}" is larger than ${formatFileSize(limits.maxFileSize)}`;
+  return null;
+};
@@ -0,0 +1,38 @@
+// Bug link types. Each link is stored once, from its source bug; the target
+// sees it under the inverse name ("A blocks B" reads "B is blocked by A").
+// Symmetric types use their own name as the inverse.
+
+import { isUnresolved } from './bugWorkflow.js';
+
+export const bugLinkTypes = {
+  blocks: { inverse: 'blocked-by', label: 'Blocks', inverseLabel: 'Blocked by' },
+  'relates-to': { inverse: 'relates-to', label: 'Relates to', inverseLabel: 'Relates to' },
+  'duplicate-of': { inverse: 'duplicated-by', label: 'Duplicate of', inverseLabel: 'Duplicated by' }
+};
+
+export const LINK_TYPES = Object.keys(bugLinkTypes);
+
+// Every name a link can have when seen from one of its bugs.
+export const LINK_DIRECTIONS = [...new Set(LINK_TYPES.flatMap(type => [type, bugLinkTypes[type].inverse]))];
+
+export const isSymmetricLink = (type) => bugLinkTypes[type]?.inverse === type;
+
+// Maps a name seen from one bug to the stored type; `reversed` means that bug
+// is the link's target rather than its source.
+export const toStoredLink = (direction) => {
+  if (bugLinkTypes[direction]) return { type: direction, reversed: false };
+  const type = LINK_TYPES.find(name => bugLinkTypes[name].inverse === direction);
+  return type ? { type, reversed: true } : null;
+};
+
+export const getLinkDirection = (type, isSource) => (isSource ? type : bugLinkTypes[type].inverse);
+
+export const getLinkLabel = (direction) => {
+  const { type, reversed } = toStoredLink(direction) ?? {};
+  if (!type) return direction;
+  return reversed ? bugLinkTypes[type].inverseLabel : bugLinkTypes[type].label;
+};
+
+// Links as returned by the API: { id, type: <direction>, bug: { id, title, status } }
+export const getUnresolvedBlockers = (links = []) =>
+  links.filter(link => link.type === 'blocked-by' && isUnresolved(link.bug?.status));
@@ -0,0 +1,107 @@
+// Single source of truth for bug validation. The client builds its zod form
+// schema from these rules and the server builds the Mongoose model from them,
+// so both sides accept and reject exactly the same input.
+
+export const BUG_STATUSES = ['open', 'in-progress', 'resolved', 'closed'];
+export const BUG_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+export const bugFields = {
+  title: {
+    type: 'string',
+    trim: true,
+    required: 'Title is required',
+    maxLength: [100, 'Title must be less than 100 characters']
+  },
+  description: {
+    type: 'string',
+    trim: true,
+    required: 'Description is required',
+    minLength: [10, 'Description must be at least 10 characters'],
+    maxLength: [1000, 'Description must be less than 1000 characters']
+  },
+  status: {
+    type: 'string',
+    enum: BUG_STATUSES,
+    default: 'open'
+  },
+  priority: {
+    type: 'string',
+    enum: BUG_PRIORITIES,
+    default: 'medium'
+  },
+  project: {
+    type: 'objectId',
+    ref: 'Project',
+    required: 'Project is required'
+  },
+  // Must belong to the bug's project
+  component: {
+    type: 'objectId',
+    ref: 'Component',
+    default: null
+  },
+  // Releases of the bug's project: the one it was found in and the one it
+  // should be fixed by
+  affectsVersion: {
+    type: 'objectId',
+    ref: 'Release',
+    default: null
+  },
+  fixVersion: {
+    type: 'objectId',
+    ref: 'Release',
+    default: null
+  },
+  assignee: {
+    type: 'objectId',
+    ref: 'User',
+    required: 'Assignee is required'
+  },
+  // Set by the server from the logged-in user; never taken from the request.
+  reporter: {
+    type: 'objectId',
+    ref: 'User',
+    required: 'Reporter is required',
+    immutable: true
+  },
+  environment: {
+    type: 'string',
+    trim: true,
+    required: 'Environment is required'
+  },
+  reproducible: {
+    type: 'boolean',
+    default: false
+  },
+  stepsToReproduce: {
+    type: 'string',
+    trim: true
+  },
+  resolution: {
+    type: 'string',
+    trim: true,
+    maxLength: [1000, 'Resolution must be less than 1000 characters']
+  },
+  tags: {
+    type: 'array',
+    of: 'string',
+    default: []
+  }
+};
+
+// Fields the report/edit form submits; status is changed from the bug card
+// and the reporter is always the logged-in user.
+export const BUG_FORM_FIELDS = [
+  'title',
+  'description',
+  'project',
+  'component',
+  'affectsVersion',
+  'fixVersion',
+  'priority',
+  'assignee',
+  'environment',
+  'reproducible',
+  'stepsToReproduce',
+  'tags'
+];
@@ -0,0 +1,39 @@
+// Status workflow shared by the API (which enforces it) and the client (which
+// only offers legal transitions). Edit this definition to change the workflow.
+
+export const bugWorkflow = {
+  initial: 'open',
+  transitions: {
+    open: ['in-progress'],
+    'in-progress': ['resolved', 'open'],
+    resolved: ['closed', 'open'],
+    closed: ['open']
+  },
+  // Statuses in which a bug still needs work.
+  unresolved: ['open', 'in-progress'],
+  // Fields that must accompany a transition into the given status.
+  requiredFields: {
+    resolved: {
+      resolution: 'A resolution note is required to resolve a bug'
+    }
+  }
+};
+
+export const getAllowedTransitions = (from, workflow = bugWorkflow) =>
+  workflow.transitions[from] ?? [];
+
+export const isUnresolved = (status, workflow = bugWorkflow) =>
+  workflow.unresolved.includes(status);
+
+export const canTransition = (from, to, workflow = bugWorkflow) =>
+  from === to || getAllowedTransitions(from, workflow).includes(to);
+
+export const getRequiredTransitionFields = (to, workflow = bugWorkflow) =>
+  workflow.requiredFields[to] ?? {};
+
+export const getMissingTransitionFields = (to, values = {}, workflow = bugWorkflow) =>
+  Object.fromEntries(
+    Object.entries(getRequiredTransitionFields(to, workflow)).filter(
+      ([field]) => typeof values[field] !== 'string' || !values[field].trim()
+    )
+  );
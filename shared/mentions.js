@@ -0,0 +1,14 @@
+// @username mentions in bug descriptions and comments. Usernames follow the
+// User model's rules; an @ right after a word character (as in an email
+// address) isn't a mention, and a trailing full stop ends the sentence.
+
+const MENTION_PATTERN = /(^|[^\w.@-])@([a-z0-9_.-]{3,30})/gi;
+
+// Unique, lowercased usernames in the order they first appear
+export const extractMentions = (text) => [
+  ...new Set(
+    [...String(text ?? '').matchAll(MENTION_PATTERN)]
+      .map(match => match[2].toLowerCase().replace(/\.+$/, ''))
+      .filter(username => username.length >= 3)
+  )
+];
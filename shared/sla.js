@@ -0,0 +1,59 @@
+// Service levels per priority, counted from when a bug is reported: it should
+// be acknowledged (moved out of "open") and resolved within these many hours.
+// The server can override them (see server/src/config/sla.js) and sends the
+// policy with each bug, so the client can keep counting down on its own.
+
+export const DEFAULT_SLA_POLICIES = {
+  critical: { acknowledgeHours: 4, resolveHours: 48 },
+  high: { acknowledgeHours: 8, resolveHours: 120 },
+  medium: { acknowledgeHours: 24, resolveHours: 336 },
+  low: { acknowledgeHours: 72, resolveHours: 720 }
+};
+
+// Targets are at risk once less than this share of their window is left
+export const AT_RISK_FRACTION = 0.25;
+
+// Values for the list's `sla` filter
+export const SLA_FILTERS = ['breached', 'at-risk'];
+
+export const SLA_TARGETS = {
+  acknowledge: { field: 'acknowledgedAt', hours: 'acknowledgeHours', label: 'Acknowledge' },
+  resolve: { field: 'resolvedAt', hours: 'resolveHours', label: 'Resolve' }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const toTime = (value) => (value ? new Date(value).getTime() : null);
+
+// state: 'met' | 'breached' | 'at-risk' | 'on-track'
+export const getSlaTarget = (startedAt, hours, metAt, now = Date.now()) => {
+  const windowMs = hours * HOUR_MS;
+  const dueAt = toTime(startedAt) + windowMs;
+  const met = toTime(metAt);
+  const remainingMs = dueAt - toTime(now);
+
+  let state;
+  if (met !== null) state = met <= dueAt ? 'met' : 'breached';
+  else if (remainingMs <= 0) state = 'breached';
+  else if (remainingMs <= windowMs * AT_RISK_FRACTION) state = 'at-risk';
+  else state = 'on-track';
+
+  return { dueAt: new Date(dueAt), metAt: met === null ? null : new Date(met), remainingMs, state };
+};
+
+// The bug's overall state is its worst target's; null without a policy
+export const getBugSla = (bug, policies = DEFAULT_SLA_POLICIES, now = Date.now()) => {
+  const policy = policies[bug.priority];
+  if (!policy) return null;
+
+  const targets = Object.fromEntries(
+    Object.entries(SLA_TARGETS).map(([name, { field, hours }]) => [
+      name,
+      getSlaTarget(bug.createdAt, policy[hours], bug[field], now)
+    ])
+  );
+  const states = Object.values(targets).map(target => target.state);
+  const state = ['breached', 'at-risk', 'on-track'].find(candidate => states.includes(candidate)) ?? 'met';
+
+  return { policy, ...targets, state };
+};